@@ -2,5 +2,6 @@ export const MONGO_COLLECTIONS = {
   TEST_COLLECTION: "testcollection",
   BUILDING_DATA: "building_data",
   VENUE: "venue",
+  VENUE_REVISION: "venue_revision",
   // Add more collections here
 };
@@ -1,5 +1,11 @@
 export const POSTGIS_TABLE = {
   TEST_TABLE: "test_table",
   USERINFORMATION: "userinformation",
+  INDOOR_NETWORK: "indoor_network",
+  NETWORK_VALIDATION: "indoor_network_validation",
+  IMPORT_JOB: "import_job",
+  OUTDOOR_NETWORK: "outdoor_network",
+  NETWORK_SCHEDULE: "network_schedule",
+  NETWORK_CLOSURE: "network_closure",
   // Add more collections here
 };
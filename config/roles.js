@@ -0,0 +1,8 @@
+// Roles whose users may see restricted (staff-only) network edges such as
+// back-of-house corridors; override with a comma-separated RESTRICTED_DATA_ROLES
+export const RESTRICTED_DATA_ROLES = (
+  process.env.RESTRICTED_DATA_ROLES || "admin,operations"
+)
+  .split(",")
+  .map((role) => role.trim())
+  .filter(Boolean);
@@ -7,4 +7,117 @@ CREATE TABLE userinformation (
     role TEXT NOT NULL,
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     last_login TIMESTAMPTZ
-);
\ No newline at end of file
+);
+
+## create indoor_network table (one row per edge, written by NetworkService imports)
+
+CREATE TABLE indoor_network (
+    id SERIAL PRIMARY KEY,
+    pedestrianrouteid BIGINT,
+    inetworkid BIGINT NOT NULL,
+    floorpolyid TEXT,
+    level_id TEXT,
+    level_english_name TEXT,
+    level_chinese_name TEXT,
+    buildingname_eng TEXT,
+    buildingname_chi TEXT,
+    aliasname_en TEXT,
+    aliasname_tc TEXT,
+    highway TEXT,
+    oneway TEXT,
+    wheelchair TEXT,
+    emergency TEXT,
+    exit BOOLEAN NOT NULL DEFAULT FALSE,
+    restricted TEXT,
+    wheelchairaccess INTEGER,
+    wheelchairbarrier INTEGER,
+    weatherproof INTEGER,
+    featuretype INTEGER,
+    -- dates are kept as exported from the source GIS
+    creation_date TEXT,
+    creation_by TEXT,
+    lastamendment_date TEXT,
+    lastamendment_by TEXT,
+    venue_id TEXT NOT NULL,
+    display_name TEXT,
+    region TEXT,
+    building_type TEXT,
+    geom geometry(LineStringZ, 4326) NOT NULL
+);
+
+CREATE INDEX indoor_network_geom_idx ON indoor_network USING GIST (geom);
+CREATE INDEX indoor_network_venue_level_idx ON indoor_network (venue_id, level_id);
+CREATE INDEX indoor_network_venue_inetworkid_idx ON indoor_network (venue_id, inetworkid);
+
+## create indoor_network_validation table (latest topology report per venue)
+
+CREATE TABLE indoor_network_validation (
+    venue_id TEXT PRIMARY KEY,
+    valid BOOLEAN NOT NULL,
+    report JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+## create import_job table (history of asynchronous network / venue imports)
+
+CREATE TABLE import_job (
+    id UUID PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    params JSONB,
+    progress JSONB,
+    result JSONB,
+    error TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+## create outdoor_network table (outdoor pedestrian network linking venues, replaced as a whole on import)
+
+CREATE TABLE outdoor_network (
+    id SERIAL PRIMARY KEY,
+    feature_id TEXT NOT NULL,
+    highway TEXT,
+    aliasname_en TEXT,
+    aliasname_tc TEXT,
+    oneway TEXT,
+    wheelchair TEXT,
+    weatherproof TEXT,
+    -- every attribute of the source feature
+    properties JSONB,
+    geom geometry(LineStringZ, 4326) NOT NULL
+);
+
+CREATE INDEX outdoor_network_geom_idx ON outdoor_network USING GIST (geom);
+
+## create network_schedule table (opening hours of edges and units, kept across network re-imports)
+
+CREATE TABLE network_schedule (
+    venue_id TEXT NOT NULL,
+    -- 'edge' (target_id is inetworkid) or 'unit' (target_id is the IMDF unit id)
+    target_type TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    schedule JSONB NOT NULL,
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (venue_id, target_type, target_id)
+);
+
+## create network_closure table (temporary closures of units, openings and edges, kept as history once expired)
+
+CREATE TABLE network_closure (
+    id SERIAL PRIMARY KEY,
+    venue_id TEXT NOT NULL,
+    -- 'unit', 'opening' (IMDF ids) or 'edge' (inetworkid)
+    target_type TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX network_closure_venue_idx ON network_closure (venue_id, expires_at);
@@ -99,6 +99,29 @@ const venuePolygonApi =
 const MTRvenuePolygonApi =
   "https://mapapi.hkmapservice.gov.hk/ogc/wfs/indoor/mtr_venue_polygon";
 
+// Whether the user's role may see restricted (staff-only) network edges,
+// set from /api/account/status when the demo starts
+let includeRestricted = false;
+
+async function loadIncludeRestricted() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/account/status`, {
+      credentials: "same-origin",
+    });
+    const { role, restrictedDataRoles = [] } = await response.json();
+    includeRestricted = restrictedDataRoles.includes(role);
+  } catch (error) {
+    console.warn("[demo-main-server] Failed to load the account role:", error);
+  }
+}
+
+// Network data of a venue, with restricted edges for roles allowed them
+function networkDataUrl(venueId) {
+  return `${API_BASE_URL}/api/network/network_data?venue_id=${encodeURIComponent(
+    venueId
+  )}${includeRestricted ? "&include_restricted=true" : ""}`;
+}
+
 async function initDemo() {
   // Use AppState as single source of truth for viewer
   let viewer = appState.getViewer();
@@ -126,6 +149,8 @@ async function initDemo() {
   const viewControllerManager = new ViewControllerManager(appState.getViewer());
   window.viewControllerManager = viewControllerManager; // Make available globally for debugging
 
+  await loadIncludeRestricted();
+
   const venueResponseFromServer = await fetch(
     `${API_BASE_URL}/api/smo3dm/venues`,
     {
@@ -327,6 +352,36 @@ function setupWallSelectionOverride() {
   );
 }
 
+// Most closures announced one by one when a venue is loaded
+const MAX_CLOSURE_NOTIFICATIONS = 3;
+
+// Draw the closures of a freshly loaded venue and announce them
+async function announceVenueClosures(indoorNetwork) {
+  if (!indoorNetwork || typeof indoorNetwork.loadClosures !== "function") {
+    return;
+  }
+  const result = await indoorNetwork.loadClosures();
+  if (!result || result.closures.length === 0) return;
+  result.closures.slice(0, MAX_CLOSURE_NOTIFICATIONS).forEach((closure) => {
+    notificationSystem.warning(
+      `Closed ${closure.target_type} ${closure.target_id}`,
+      `${closure.reason} (until ${new Date(
+        closure.expires_at
+      ).toLocaleString()})`,
+      8000
+    );
+  });
+  if (result.closures.length > MAX_CLOSURE_NOTIFICATIONS) {
+    notificationSystem.info(
+      "Closures",
+      `${
+        result.closures.length - MAX_CLOSURE_NOTIFICATIONS
+      } more closures in this venue`,
+      8000
+    );
+  }
+}
+
 function setupVenueClickInteraction() {
   const viewer = appState.getViewer();
   const handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
@@ -461,14 +516,9 @@ function setupVenueClickInteraction() {
                     credentials: "same-origin",
                   }
                 );
-                const networkResponse = await fetch(
-                  `${API_BASE_URL}/api/network/network_data?venue_id=${encodeURIComponent(
-                    venueId
-                  )}`,
-                  {
-                    credentials: "same-origin",
-                  }
-                );
+                const networkResponse = await fetch(networkDataUrl(venueId), {
+                  credentials: "same-origin",
+                });
                 if (networkResponse.ok) {
                   const networkData = await networkResponse.json();
                   const indoorNetwork = new IndoorNetwork(viewer, networkData);
@@ -533,6 +583,9 @@ function setupVenueClickInteraction() {
                   if (typeof buildingIndoor.initLevelBar === "function") {
                     buildingIndoor.initLevelBar();
                   }
+                  announceVenueClosures(network).catch((error) =>
+                    console.error("Failed to load closures:", error)
+                  );
 
                   // Set building context for sidebar 2D view using state management
                   const sidebar = appState.getMapSidebar();
@@ -843,14 +896,10 @@ async function selectBuilding(venueId, searchInput, dropdownContainer) {
       }
     );
 
-    const networkResponse = await fetch(
-      `${API_BASE_URL}/api/network/network_data?venue_id=${encodeURIComponent(
-        venueId
-      )}`,
-      {
-        credentials: "same-origin",
-      }
-    );
+    // Restricted edges are only added for roles allowed to see them
+    const networkResponse = await fetch(networkDataUrl(venueId), {
+      credentials: "same-origin",
+    });
 
     // Load network data if available
     let indoorNetwork = null;
@@ -873,6 +922,9 @@ async function selectBuilding(venueId, searchInput, dropdownContainer) {
 
       // Use StateActions for proper loading with state management
       StateActions.loadBuilding(venueId, buildingIndoor, indoorNetwork);
+      announceVenueClosures(indoorNetwork).catch((error) =>
+        console.error("Failed to load closures:", error)
+      );
 
       // Update ViewControllerManager with building context
       viewControllerManager.setBuildingContext(buildingIndoor, venueId);
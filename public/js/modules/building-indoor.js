@@ -3,6 +3,9 @@ import { appState } from "../shared/AppState.js";
 import { StateHooks } from "../shared/AppStateHooks.js";
 import { indoorStyles } from "../utils/indoorStyles.js";
 import { customizeEntityDisplayInfo } from "../utils/informationBox.js";
+
+const API_BASE_URL =
+  window.location.port === "3002" ? "http://localhost:3002" : "";
 // BuildingIndoor class for managing 3D building visualization
 // This is a scaffold. You will need to implement methods based on your buildingData structure.
 
@@ -21,6 +24,15 @@ export class BuildingIndoor {
     // unit-labels
     this.unitLabelDataSource = null;
 
+    // Units coloured by setUnitOverlay
+    this.overlayUnitIds = [];
+
+    // Units and openings hatched by setClosures
+    this.closedFeatures = { units: [], openings: [] };
+
+    // Revision diff whose changed units are coloured by showRevisionDiff
+    this.revisionDiff = null;
+
     // Create specific subscriptions for only view mode and kick mode changes
     const viewModeCleanup1 = appState.subscribe("viewModeChanged", (data) => {
       console.log(
@@ -228,6 +240,8 @@ export class BuildingIndoor {
         this.dataSources[dataKey] = dataSource;
       }
     }
+    // Closures may have been set while the data sources were loading
+    this.applyClosures();
   }
 
   getVenueId() {
@@ -1258,29 +1272,17 @@ export class BuildingIndoor {
             : null;
 
         if (featureType === "unit") {
-          let category =
-            this.selectedEntity.properties &&
-            this.selectedEntity.properties.category
-              ? this.selectedEntity.properties.category.getValue
-                ? this.selectedEntity.properties.category.getValue()
-                : this.selectedEntity.properties.category
-              : "default";
-          let restriction =
-            this.selectedEntity.properties &&
-            this.selectedEntity.properties.restriction;
-          if (
-            category === "unspecified" &&
-            restriction.getValue() === "restricted"
-          ) {
-            category = "restricted";
-          }
-          const originalStyle =
-            this.styles.unit[category] || this.styles.unit.default;
-          if (originalStyle && originalStyle.fill) {
-            this.selectedEntity.polygon.material = originalStyle.fill;
+          // Analysis overlays and closures keep their look after deselection
+          const fill =
+            this.selectedEntity._overlayMaterial ||
+            this.selectedEntity._closureMaterial ||
+            this.getUnitFill(this.selectedEntity);
+          if (fill) {
+            this.selectedEntity.polygon.material = fill;
           }
         } else if (featureType === "opening") {
-          this.selectedEntity.polygon.material = this.styles.opening.fill;
+          this.selectedEntity.polygon.material =
+            this.selectedEntity._closureMaterial || this.styles.opening.fill;
         } else if (featureType === "window") {
           this.selectedEntity.polygon.material = this.styles.window.fill;
         } else if (featureType === "door") {
@@ -1321,6 +1323,156 @@ export class BuildingIndoor {
     this.highlightEntity = null;
   }
 
+  // Category fill of a unit entity, as applied in show()
+  getUnitFill(entity) {
+    let category =
+      entity.properties && entity.properties.category
+        ? entity.properties.category.getValue
+          ? entity.properties.category.getValue()
+          : entity.properties.category
+        : "default";
+    const restriction = entity.properties && entity.properties.restriction;
+    const restrictionValue =
+      restriction && restriction.getValue
+        ? restriction.getValue()
+        : restriction;
+    if (category === "unspecified" && restrictionValue === "restricted") {
+      category = "restricted";
+    }
+    const originalStyle =
+      this.styles.unit[category] || this.styles.unit.default;
+    return originalStyle ? originalStyle.fill : null;
+  }
+
+  // Colour units on top of their category style (analysis overlays such as
+  // walking reachability); colors maps unit id => Cesium.Color
+  setUnitOverlay(colors) {
+    this.clearUnitOverlay();
+    const units = this.dataSources && this.dataSources.units;
+    if (!units) return;
+    colors.forEach((color, unitId) => {
+      const entity = units.entities.getById(unitId);
+      if (!entity || !entity.polygon) return;
+      entity._overlayMaterial = new Cesium.ColorMaterialProperty(color);
+      // A selected unit keeps its highlight until deselected
+      if (entity !== this.selectedEntity) {
+        entity.polygon.material = entity._overlayMaterial;
+      }
+      this.overlayUnitIds.push(unitId);
+    });
+  }
+
+  clearUnitOverlay() {
+    const units = this.dataSources && this.dataSources.units;
+    (this.overlayUnitIds || []).forEach((unitId) => {
+      const entity = units && units.entities.getById(unitId);
+      if (!entity) return;
+      delete entity._overlayMaterial;
+      const fill = entity._closureMaterial || this.getUnitFill(entity);
+      if (entity !== this.selectedEntity && fill) {
+        entity.polygon.material = fill;
+      }
+    });
+    this.overlayUnitIds = [];
+  }
+
+  // Colour the units changed from an older revision of the venue data to
+  // `toRevision` (default the current one, which is what is shown): added,
+  // modified and moved. Resolves to the diff, null when it cannot be loaded.
+  async showRevisionDiff(
+    fromRevision,
+    { toRevision = null, tolerance = null } = {}
+  ) {
+    const params = new URLSearchParams({ from: fromRevision });
+    if (toRevision !== null) params.set("to", toRevision);
+    if (tolerance !== null) params.set("tolerance", tolerance);
+    const response = await fetch(
+      `${API_BASE_URL}/api/smo3dm/venue/${encodeURIComponent(
+        this.venueId
+      )}/revisions/diff?${params.toString()}`,
+      { credentials: "same-origin" }
+    );
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch revision diff:",
+        response.status,
+        response.statusText
+      );
+      return null;
+    }
+    const diff = await response.json();
+
+    const style = indoorStyles.revisionDiff;
+    const colors = new Map();
+    diff.collections.unit.added.forEach((unit) =>
+      colors.set(unit.id, style.added.withAlpha(style.unitAlpha))
+    );
+    diff.collections.unit.modified.forEach((unit) =>
+      colors.set(
+        unit.id,
+        (unit.moved ? style.moved : style.modified).withAlpha(style.unitAlpha)
+      )
+    );
+    this.setUnitOverlay(colors);
+    this.revisionDiff = diff;
+    return diff;
+  }
+
+  clearRevisionDiff() {
+    if (!this.revisionDiff) return;
+    this.revisionDiff = null;
+    this.clearUnitOverlay();
+  }
+
+  // Hatch units and openings closed by an operator (renovation, incident);
+  // an analysis overlay or the selection highlight is drawn over them
+  setClosures({ units = [], openings = [] }) {
+    this.clearClosures();
+    this.closedFeatures = { units, openings };
+    this.applyClosures();
+  }
+
+  applyClosures() {
+    const style = this.styles.closure;
+    [
+      ["units", this.closedFeatures.units, style.unit],
+      ["openings", this.closedFeatures.openings, style.opening],
+    ].forEach(([dataKey, ids, material]) => {
+      const dataSource = this.dataSources && this.dataSources[dataKey];
+      if (!dataSource) return;
+      ids.forEach((id) => {
+        const entity = dataSource.entities.getById(id);
+        if (!entity || !entity.polygon) return;
+        entity._closureMaterial = material;
+        if (entity !== this.selectedEntity && !entity._overlayMaterial) {
+          entity.polygon.material = material;
+        }
+      });
+    });
+  }
+
+  clearClosures() {
+    [
+      ["units", this.closedFeatures.units],
+      ["openings", this.closedFeatures.openings],
+    ].forEach(([dataKey, ids]) => {
+      const dataSource = this.dataSources && this.dataSources[dataKey];
+      if (!dataSource) return;
+      ids.forEach((id) => {
+        const entity = dataSource.entities.getById(id);
+        if (!entity || !entity._closureMaterial) return;
+        delete entity._closureMaterial;
+        if (entity === this.selectedEntity || entity._overlayMaterial) return;
+        const fill =
+          dataKey === "units"
+            ? this.getUnitFill(entity)
+            : this.styles.opening.fill;
+        if (fill) entity.polygon.material = fill;
+      });
+    });
+    this.closedFeatures = { units: [], openings: [] };
+  }
+
   // Highlight a selected feature
   highlightFeature(entity) {
     // Clear any existing selection first
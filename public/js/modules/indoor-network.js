@@ -2,6 +2,10 @@ import { indoorStyles } from "../utils/indoorStyles.js";
 import { customizeEntityDisplayInfo } from "../utils/informationBox.js";
 import { appState } from "../shared/AppState.js";
 
+// Same backend resolution as demo-main-server.js
+const API_BASE_URL =
+  window.location.port === "3002" ? "http://localhost:3002" : "";
+
 export class IndoorNetwork {
   constructor(viewer, networkData) {
     this.viewer = viewer;
@@ -13,11 +17,37 @@ export class IndoorNetwork {
 
     this.toggleButtonEl = null; // Reference to the toggle button element
 
+    // Evacuation overlay (drawn on demand, follows the selected level)
+    this.evacuationDataSource = null;
+    this.evacuationVisible = false;
+
+    // Walking reachability overlay (from a unit, filtered by the selected level)
+    this.reachabilityDataSource = null;
+    this.reachabilityVisible = false;
+
+    // Amenity coverage overlay (units tinted by walking time to an amenity)
+    this.coverageVisible = false;
+
+    // Departure time the network layer and analyses follow (null for now)
+    this.departureTime = null;
+    // Edge ids closed / reversed by their schedule at the departure time
+    this.scheduleState = null;
+    // Edge ids closed by an operator, see loadClosures
+    this.closedEdgeIds = new Set();
+
     // Subscribe to barrier changes to update color dynamically
     if (appState && typeof appState.subscribe === "function") {
       appState.subscribe("wheelchairBarrierChanged", (data) => {
         this.updateBarrierStyle(data.current);
       });
+      appState.subscribe("selectedLevelChanged", (data) => {
+        if (this.evacuationVisible) {
+          this.showEvacuationRoutes(data.current);
+        }
+        if (this.reachabilityVisible) {
+          this.filterReachabilityByLevel(data.current);
+        }
+      });
     }
   }
 
@@ -61,6 +91,7 @@ export class IndoorNetwork {
       const style = styledFeatures[i]._indoorStyle;
 
       entity._isBarrier = styledFeatures[i]._isBarrier;
+      entity._networkId = String(styledFeatures[i].properties.iNetworkID);
       if (style) {
         entity.polyline.material = style.stroke;
 
@@ -76,6 +107,8 @@ export class IndoorNetwork {
     ) {
       this.updateBarrierStyle(appState.getWheelchairBarrierVisible());
     }
+    // Schedules or closures may have been loaded before the network
+    this.refreshEdgeMaterials();
   }
 
   // Apply Z-value clipping to all building entities (all feature types)
@@ -184,15 +217,353 @@ export class IndoorNetwork {
             // If toggle is ON: Change color to RED
             entity.polyline.material = Cesium.Color.RED;
           } else {
-            // If toggle is OFF: Revert to default color (Green)
-            if (entity._defaultMaterial) {
-              entity.polyline.material = entity._defaultMaterial;
+            // If toggle is OFF: Revert to default color (Green), or to
+            // the closed / reversed colour of the edge
+            if (entity._statusMaterial || entity._defaultMaterial) {
+              entity.polyline.material =
+                entity._statusMaterial || entity._defaultMaterial;
             }
           }
         }
       });
     });
   }
+  // Draw the route towards the nearest exit from every network node of a
+  // level ("ALL" for the whole venue), coloured by distance to the exit
+  async showEvacuationRoutes(levelId = appState.getSelectedLevel()) {
+    const venueId = this.networkData.venue_id;
+    const params = new URLSearchParams({ venue_id: venueId });
+    if (levelId && levelId !== "ALL") {
+      params.set("level_id", levelId);
+    }
+    this.addDepartureTime(params);
+    const response = await fetch(
+      `${API_BASE_URL}/api/network/evacuation/plan?${params.toString()}`,
+      { credentials: "same-origin" }
+    );
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch evacuation routes:",
+        response.status,
+        response.statusText
+      );
+      return;
+    }
+    const plan = await response.json();
+
+    this.removeEvacuationDataSource();
+    const features = plan.featureCollection.features;
+    const maxDistance = Math.max(
+      1,
+      ...features.map((f) => f.properties.distanceToExit)
+    );
+    const dataSource = await Cesium.GeoJsonDataSource.load(
+      plan.featureCollection
+    );
+    const style = indoorStyles.evacuationRoute;
+    dataSource.entities.values.forEach((entity, i) => {
+      const ratio = features[i].properties.distanceToExit / maxDistance;
+      entity.polyline.width = style.width;
+      entity.polyline.material = new Cesium.PolylineArrowMaterialProperty(
+        Cesium.Color.lerp(style.near, style.far, ratio, new Cesium.Color())
+      );
+    });
+    this.viewer.dataSources.add(dataSource);
+    this.evacuationDataSource = dataSource;
+    this.evacuationVisible = true;
+    if (plan.unreachableNodes > 0) {
+      console.warn(
+        `${plan.unreachableNodes} network nodes cannot reach an exit on ${venueId}`
+      );
+    }
+  }
+
+  hideEvacuationRoutes() {
+    this.removeEvacuationDataSource();
+    this.evacuationVisible = false;
+  }
+
+  toggleEvacuationRoutes() {
+    if (this.evacuationVisible) {
+      this.hideEvacuationRoutes();
+    } else {
+      this.showEvacuationRoutes();
+    }
+  }
+
+  removeEvacuationDataSource() {
+    if (this.evacuationDataSource) {
+      this.viewer.dataSources.remove(this.evacuationDataSource, true);
+      this.evacuationDataSource = null;
+    }
+  }
+
+  // Draw what can be walked to within a budget from a unit: network
+  // segments coloured by walking cost and the reached units tinted on the
+  // building. Pass maxSeconds for a time budget, maxDistance (metres) otherwise.
+  async showReachability(
+    unitId,
+    { maxDistance = 300, maxSeconds = null } = {}
+  ) {
+    const venueId = this.networkData.venue_id;
+    const params = new URLSearchParams({
+      venue_id: venueId,
+      from_unit_id: unitId,
+    });
+    if (maxSeconds !== null) {
+      params.set("max_seconds", maxSeconds);
+    } else {
+      params.set("max_distance", maxDistance);
+    }
+    this.addDepartureTime(params);
+    const response = await fetch(
+      `${API_BASE_URL}/api/network/reachability?${params.toString()}`,
+      { credentials: "same-origin" }
+    );
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch reachability:",
+        response.status,
+        response.statusText
+      );
+      return null;
+    }
+    const result = await response.json();
+
+    this.hideCoverage();
+    this.hideReachability();
+    const style = indoorStyles.reachability;
+    const colorAt = (cost) =>
+      Cesium.Color.lerp(
+        style.near,
+        style.far,
+        Math.min(1, cost / result.budget),
+        new Cesium.Color()
+      );
+    const features = result.featureCollection.features;
+    const dataSource = await Cesium.GeoJsonDataSource.load(
+      result.featureCollection
+    );
+    dataSource.entities.values.forEach((entity, i) => {
+      entity._levelId = features[i].properties.level_id;
+      entity.polyline.width = style.width;
+      entity.polyline.material = colorAt(features[i].properties.maxCost);
+    });
+    this.viewer.dataSources.add(dataSource);
+    this.reachabilityDataSource = dataSource;
+    this.reachabilityVisible = true;
+    this.filterReachabilityByLevel(appState.getSelectedLevel());
+
+    const building = appState.getActiveBuilding(venueId);
+    if (building && typeof building.setUnitOverlay === "function") {
+      building.setUnitOverlay(
+        new Map(
+          result.units.map((unit) => [
+            unit.unit_id,
+            colorAt(unit.cost).withAlpha(style.unitAlpha),
+          ])
+        )
+      );
+    }
+    return result;
+  }
+
+  filterReachabilityByLevel(levelId) {
+    if (!this.reachabilityDataSource) return;
+    this.reachabilityDataSource.entities.values.forEach((entity) => {
+      entity.show =
+        !levelId || levelId === "ALL" || entity._levelId === levelId;
+    });
+  }
+
+  hideReachability() {
+    if (this.reachabilityDataSource) {
+      this.viewer.dataSources.remove(this.reachabilityDataSource, true);
+      this.reachabilityDataSource = null;
+    }
+    const building = appState.getActiveBuilding(this.networkData.venue_id);
+    if (building && typeof building.clearUnitOverlay === "function") {
+      building.clearUnitOverlay();
+    }
+    this.reachabilityVisible = false;
+  }
+
+  // Tint every unit by walking time to the nearest amenity of a category:
+  // green to orange within the threshold, red beyond it, grey when no path
+  // leads there. Resolves to the analysis, with `uncovered` units slowest first.
+  async showCoverage(
+    category = "defibrillator",
+    { thresholdSeconds = 180 } = {}
+  ) {
+    const venueId = this.networkData.venue_id;
+    const params = new URLSearchParams({
+      venue_id: venueId,
+      category,
+      threshold_seconds: thresholdSeconds,
+    });
+    this.addDepartureTime(params);
+    const response = await fetch(
+      `${API_BASE_URL}/api/network/coverage?${params.toString()}`,
+      { credentials: "same-origin" }
+    );
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch coverage:",
+        response.status,
+        response.statusText
+      );
+      return null;
+    }
+    const result = await response.json();
+
+    this.hideReachability();
+    const style = indoorStyles.coverage;
+    const colorOf = (unit) => {
+      if (unit.seconds === null) return style.unreachable;
+      if (!unit.covered) return style.uncovered;
+      return Cesium.Color.lerp(
+        style.near,
+        style.far,
+        unit.seconds / result.thresholdSeconds,
+        new Cesium.Color()
+      );
+    };
+    const building = appState.getActiveBuilding(venueId);
+    if (building && typeof building.setUnitOverlay === "function") {
+      building.setUnitOverlay(
+        new Map(
+          result.units.map((unit) => [
+            unit.unit_id,
+            colorOf(unit).withAlpha(style.unitAlpha),
+          ])
+        )
+      );
+    }
+    this.coverageVisible = true;
+    return result;
+  }
+
+  addDepartureTime(params) {
+    if (this.departureTime) {
+      params.set("departure_time", this.departureTime.toISOString());
+    }
+  }
+
+  // Show the network as it is at a departure time: edges closed by their
+  // schedule dashed grey, edges walked against their usual direction purple,
+  // closures active at that time as in loadClosures. Evacuation,
+  // reachability and coverage then use the same time. Resolves to the
+  // schedule state, with the `closedUnits` at that time.
+  async applySchedule(date) {
+    const venueId = this.networkData.venue_id;
+    const params = new URLSearchParams({
+      venue_id: venueId,
+      at: date.toISOString(),
+    });
+    const response = await fetch(
+      `${API_BASE_URL}/api/network/schedules/state?${params.toString()}`,
+      { credentials: "same-origin" }
+    );
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch schedule state:",
+        response.status,
+        response.statusText
+      );
+      return null;
+    }
+    const state = await response.json();
+
+    this.departureTime = date;
+    this.scheduleState = {
+      closed: new Set(state.closedEdges),
+      reversed: new Set(state.reversedEdges),
+    };
+    await this.loadClosures();
+    this.refreshEdgeMaterials();
+    return state;
+  }
+
+  // Back to the network as it is now
+  async clearSchedule() {
+    this.departureTime = null;
+    this.scheduleState = null;
+    await this.loadClosures();
+    this.refreshEdgeMaterials();
+  }
+
+  // Grey the edges and hatch the units and openings closed by an operator
+  // at the departure time (now by default). Resolves to the active closures
+  // with the edges and units they close.
+  async loadClosures() {
+    const venueId = this.networkData.venue_id;
+    const params = new URLSearchParams({ venue_id: venueId });
+    if (this.departureTime) {
+      params.set("at", this.departureTime.toISOString());
+    }
+    const response = await fetch(
+      `${API_BASE_URL}/api/network/closures?${params.toString()}`,
+      { credentials: "same-origin" }
+    );
+    if (!response.ok) {
+      console.error(
+        "Failed to fetch closures:",
+        response.status,
+        response.statusText
+      );
+      return null;
+    }
+    const result = await response.json();
+
+    this.closedEdgeIds = new Set(result.closedEdges);
+    this.refreshEdgeMaterials();
+    const building = appState.getActiveBuilding(venueId);
+    if (building && typeof building.setClosures === "function") {
+      building.setClosures({
+        units: result.closedUnits,
+        openings: result.closures
+          .filter((closure) => closure.target_type === "opening")
+          .map((closure) => closure.target_id),
+      });
+    }
+    return result;
+  }
+
+  // Closures first, then the schedule of the departure time, then the
+  // imported colour; wheelchair barriers stay red while highlighted
+  refreshEdgeMaterials() {
+    const dataSource = this.dataSources && this.dataSources["Indoor-network"];
+    if (!dataSource) return;
+    const showBarriers =
+      typeof appState.getWheelchairBarrierVisible === "function" &&
+      appState.getWheelchairBarrierVisible();
+    const schedule = this.scheduleState;
+    dataSource.entities.values.forEach((entity) => {
+      const id = entity._networkId;
+      if (this.closedEdgeIds.has(id)) {
+        entity._statusMaterial = indoorStyles.closure.edge;
+      } else if (schedule && schedule.closed.has(id)) {
+        entity._statusMaterial = indoorStyles.schedule.closed;
+      } else if (schedule && schedule.reversed.has(id)) {
+        entity._statusMaterial = indoorStyles.schedule.reversed;
+      } else {
+        entity._statusMaterial = null;
+      }
+      if (entity._isBarrier && showBarriers) return;
+      entity.polyline.material =
+        entity._statusMaterial || entity._defaultMaterial;
+    });
+  }
+
+  hideCoverage() {
+    if (!this.coverageVisible) return;
+    const building = appState.getActiveBuilding(this.networkData.venue_id);
+    if (building && typeof building.clearUnitOverlay === "function") {
+      building.clearUnitOverlay();
+    }
+    this.coverageVisible = false;
+  }
+
   // updateNetworkVisibility() {
   //   Object.values(this.dataSources || {}).forEach((ds) => {
   //     ds.entities.values.forEach((entity) => {
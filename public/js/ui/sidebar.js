@@ -159,6 +159,27 @@ export class Sidebar {
     this.createNetworkToggleButton();
     viewSection.appendChild(this.networkToggleButton);
 
+    // Evacuation routes of the active building, drawn for the selected level
+    this.createEvacuationToggleButton();
+    viewSection.appendChild(this.evacuationToggleButton);
+
+    // Walking reachability from the selected unit of the active building
+    this.createReachabilityToggleButton();
+    viewSection.appendChild(this.reachabilityToggleButton);
+
+    // Walking time from every unit to the nearest defibrillator
+    this.createCoverageToggleButton();
+    viewSection.appendChild(this.coverageToggleButton);
+    viewSection.appendChild(this.coverageList);
+
+    // Network and analyses at a chosen departure time (edge / unit schedules)
+    this.createDepartureTimeControl();
+    viewSection.appendChild(this.departureTimeControl);
+
+    // Units changed since an older revision of the active building's data
+    this.createRevisionDiffControl();
+    viewSection.appendChild(this.revisionDiffControl);
+
     // ✅ ADD PNTILES TOGGLE BUTTON under wall toggle
     this.createPNTilesToggleButton();
     viewSection.appendChild(this.pnTilesToggleButton);
@@ -223,6 +244,239 @@ export class Sidebar {
     });
   }
 
+  createEvacuationToggleButton() {
+    this.evacuationToggleButton = document.createElement("button");
+    this.evacuationToggleButton.className = "sidebar-view-btn";
+    this.evacuationToggleButton.innerHTML = "Show Evacuation Routes";
+    this.evacuationToggleButton.title =
+      "Show the route to the nearest exit for the selected level";
+
+    this.evacuationToggleButton.addEventListener("click", async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const network = appState.getActiveNetwork(
+        appState.getLastActiveVenueId()
+      );
+      if (!network || typeof network.toggleEvacuationRoutes !== "function") {
+        console.warn("[Sidebar] No indoor network loaded for evacuation");
+        return;
+      }
+      await network.toggleEvacuationRoutes();
+      this.evacuationToggleButton.innerHTML = network.evacuationVisible
+        ? "Hide Evacuation Routes"
+        : "Show Evacuation Routes";
+    });
+  }
+
+  createReachabilityToggleButton() {
+    this.reachabilityToggleButton = document.createElement("button");
+    this.reachabilityToggleButton.className = "sidebar-view-btn";
+    this.reachabilityToggleButton.innerHTML = "Show 5-min Walk";
+    this.reachabilityToggleButton.title =
+      "Show the network and units within a 5-minute walk of the selected unit";
+
+    this.reachabilityToggleButton.addEventListener("click", async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const venueId = appState.getLastActiveVenueId();
+      const network = appState.getActiveNetwork(venueId);
+      if (!network || typeof network.showReachability !== "function") {
+        console.warn("[Sidebar] No indoor network loaded for reachability");
+        return;
+      }
+      if (network.reachabilityVisible) {
+        network.hideReachability();
+      } else {
+        const building = appState.getActiveBuilding(venueId);
+        const selected = building && building.selectedEntity;
+        if (!selected || building.getEntityFeatureType(selected) !== "unit") {
+          console.warn("[Sidebar] Select a unit to start the walk from");
+          return;
+        }
+        await network.showReachability(selected.id, { maxSeconds: 300 });
+      }
+      this.reachabilityToggleButton.innerHTML = network.reachabilityVisible
+        ? "Hide 5-min Walk"
+        : "Show 5-min Walk";
+      this.coverageToggleButton.innerHTML = network.coverageVisible
+        ? "Hide AED Coverage"
+        : "Show AED Coverage";
+      if (!network.coverageVisible) this.renderCoverageList([]);
+    });
+  }
+
+  createCoverageToggleButton() {
+    this.coverageToggleButton = document.createElement("button");
+    this.coverageToggleButton.className = "sidebar-view-btn";
+    this.coverageToggleButton.innerHTML = "Show AED Coverage";
+    this.coverageToggleButton.title =
+      "Colour units by walking time to the nearest defibrillator (3-minute threshold)";
+
+    // Units beyond the threshold, slowest first, while coverage is shown
+    this.coverageList = document.createElement("ol");
+    this.coverageList.className = "sidebar-coverage-list";
+    this.coverageList.hidden = true;
+
+    this.coverageToggleButton.addEventListener("click", async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const network = appState.getActiveNetwork(
+        appState.getLastActiveVenueId()
+      );
+      if (!network || typeof network.showCoverage !== "function") {
+        console.warn("[Sidebar] No indoor network loaded for coverage");
+        return;
+      }
+      if (network.coverageVisible) {
+        network.hideCoverage();
+        this.renderCoverageList([]);
+      } else {
+        const result = await network.showCoverage("defibrillator", {
+          thresholdSeconds: 180,
+        });
+        if (!result) {
+          notificationSystem.error(
+            "AED coverage",
+            "No defibrillator found on this venue's network"
+          );
+        } else if (result.summary.uncovered > 0) {
+          this.renderCoverageList(result.uncovered);
+          notificationSystem.warning(
+            "AED coverage",
+            `${result.summary.uncovered} of ${result.summary.units} units are more than 3 minutes from a defibrillator`
+          );
+        } else {
+          notificationSystem.success(
+            "AED coverage",
+            "Every unit is within 3 minutes of a defibrillator"
+          );
+        }
+      }
+      this.coverageToggleButton.innerHTML = network.coverageVisible
+        ? "Hide AED Coverage"
+        : "Show AED Coverage";
+      this.reachabilityToggleButton.innerHTML = network.reachabilityVisible
+        ? "Hide 5-min Walk"
+        : "Show 5-min Walk";
+    });
+  }
+
+  /**
+   * List uncovered units with their walking time, an empty list hides it
+   * @param {Array<Object>} units - `uncovered` of the coverage result
+   */
+  renderCoverageList(units) {
+    this.coverageList.replaceChildren(
+      ...units.map((unit) => {
+        const item = document.createElement("li");
+        const time =
+          unit.seconds === null
+            ? "unreachable"
+            : `${Math.round(unit.seconds)} s`;
+        item.textContent = `${unit.nameEn || unit.unit_id} (${
+          unit.level_id
+        }): ${time}`;
+        item.title = unit.nameZh || unit.unit_id;
+        return item;
+      })
+    );
+    this.coverageList.hidden = units.length === 0;
+  }
+
+  createDepartureTimeControl() {
+    this.departureTimeControl = document.createElement("label");
+    this.departureTimeControl.className = "sidebar-departure-time";
+    this.departureTimeControl.textContent = "Departure time ";
+    this.departureTimeControl.title =
+      "Show the network with the closures and one-way reversals scheduled at this time, empty for now";
+
+    this.departureTimeInput = document.createElement("input");
+    this.departureTimeInput.type = "datetime-local";
+    this.departureTimeControl.appendChild(this.departureTimeInput);
+
+    this.departureTimeInput.addEventListener("change", async () => {
+      const network = appState.getActiveNetwork(
+        appState.getLastActiveVenueId()
+      );
+      if (!network || typeof network.applySchedule !== "function") {
+        console.warn("[Sidebar] No indoor network loaded for schedules");
+        return;
+      }
+      if (!this.departureTimeInput.value) {
+        await network.clearSchedule();
+        return;
+      }
+      // datetime-local values are in the browser's timezone
+      const state = await network.applySchedule(
+        new Date(this.departureTimeInput.value)
+      );
+      if (!state) {
+        notificationSystem.error(
+          "Departure time",
+          "Could not load the network schedules"
+        );
+      } else if (
+        state.closedEdges.length > 0 ||
+        state.reversedEdges.length > 0 ||
+        state.closedUnits.length > 0
+      ) {
+        notificationSystem.info(
+          "Departure time",
+          `${state.closedEdges.length} paths and ${state.closedUnits.length} units closed, ${state.reversedEdges.length} paths reversed`
+        );
+      } else {
+        notificationSystem.info(
+          "Departure time",
+          "Everything is open at this time"
+        );
+      }
+    });
+  }
+
+  createRevisionDiffControl() {
+    this.revisionDiffControl = document.createElement("label");
+    this.revisionDiffControl.className = "sidebar-revision-diff";
+    this.revisionDiffControl.textContent = "Compare with revision ";
+    this.revisionDiffControl.title =
+      "Colour the units added, modified or moved since this revision of the venue data, empty to clear";
+
+    this.revisionDiffInput = document.createElement("input");
+    this.revisionDiffInput.type = "number";
+    this.revisionDiffInput.min = "1";
+    this.revisionDiffInput.step = "1";
+    this.revisionDiffControl.appendChild(this.revisionDiffInput);
+
+    this.revisionDiffInput.addEventListener("change", async () => {
+      const building = appState.getActiveBuilding(
+        appState.getLastActiveVenueId()
+      );
+      if (!building || typeof building.showRevisionDiff !== "function") {
+        console.warn("[Sidebar] No building loaded to compare revisions");
+        return;
+      }
+      if (!this.revisionDiffInput.value) {
+        building.clearRevisionDiff();
+        return;
+      }
+      const diff = await building.showRevisionDiff(
+        Number(this.revisionDiffInput.value)
+      );
+      if (!diff) {
+        notificationSystem.error(
+          "Compare revisions",
+          "Could not compare with this revision"
+        );
+        return;
+      }
+      const units = diff.collections.unit;
+      const moved = units.modified.filter((unit) => unit.moved).length;
+      notificationSystem.info(
+        `Revision ${diff.from} → ${diff.to}`,
+        `Units: ${units.added.length} added, ${units.modified.length} modified (${moved} moved), ${units.removed.length} removed`
+      );
+    });
+  }
+
   /**
    * Update visibility for ALL loaded networks (global control)
    */
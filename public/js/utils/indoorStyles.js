@@ -475,6 +475,54 @@ export const indoorStyles = {
       outline: false,
     },
   },
+  // Evacuation routes are coloured from `near` to `far` by walking distance to the exit
+  evacuationRoute: {
+    near: new Cesium.Color(0.0, 0.8, 0.2, 1.0), // Green next to an exit
+    far: new Cesium.Color(1.0, 0.0, 0.0, 1.0), // Red for the longest walk
+    width: 8,
+  },
+  reachability: {
+    near: new Cesium.Color(0.0, 0.4, 1.0, 1.0), // Blue at the start
+    far: new Cesium.Color(1.0, 0.8, 0.0, 1.0), // Yellow at the edge of the budget
+    width: 6,
+    unitAlpha: 0.55, // Tint of the units reached
+  },
+  // Units coloured by walking time to the nearest amenity of a category
+  coverage: {
+    near: new Cesium.Color(0.0, 0.7, 0.3, 1.0), // Green next to an amenity
+    far: new Cesium.Color(1.0, 0.65, 0.0, 1.0), // Orange at the threshold
+    uncovered: new Cesium.Color(0.85, 0.0, 0.0, 1.0), // Red beyond the threshold
+    unreachable: new Cesium.Color(0.4, 0.4, 0.4, 1.0), // Grey, no path at all
+    unitAlpha: 0.6,
+  },
+  // Network edges at the viewer's departure time
+  schedule: {
+    closed: new Cesium.PolylineDashMaterialProperty({
+      color: new Cesium.Color(0.5, 0.5, 0.5, 0.8), // Dashed grey, closed
+    }),
+    reversed: new Cesium.Color(0.6, 0.2, 0.9, 1.0), // Purple, direction reversed
+  },
+  // Units changed between two revisions of the venue data
+  revisionDiff: {
+    added: new Cesium.Color(0.0, 0.75, 0.3, 1.0), // Green, new unit
+    modified: new Cesium.Color(1.0, 0.7, 0.0, 1.0), // Amber, properties changed
+    moved: new Cesium.Color(0.9, 0.0, 0.6, 1.0), // Magenta, geometry moved
+    unitAlpha: 0.65,
+  },
+  // Units, openings and edges closed by an operator (renovation, incident)
+  closure: {
+    unit: new Cesium.StripeMaterialProperty({
+      evenColor: new Cesium.Color(0.9, 0.1, 0.1, 0.6),
+      oddColor: new Cesium.Color(1.0, 1.0, 1.0, 0.3),
+      repeat: 12,
+    }),
+    opening: new Cesium.StripeMaterialProperty({
+      evenColor: new Cesium.Color(0.9, 0.1, 0.1, 0.9),
+      oddColor: new Cesium.Color(1.0, 1.0, 1.0, 0.9),
+      repeat: 4,
+    }),
+    edge: new Cesium.Color(0.35, 0.35, 0.35, 0.6), // Grey
+  },
   wall: {
     // Default wall styling with transparency
     default: {
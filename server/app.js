@@ -8,6 +8,7 @@ import adminRouter from "./routes/admin.js";
 import loginRouter from "./routes/login.js";
 import smo3dmRouter from "./routes/smo3dm.js";
 import networkRouter from "./routes/network.js";
+import jobsRouter from "./routes/jobs.js";
 import { MongoClient } from "mongodb";
 import csurf from "csurf";
 
@@ -80,6 +81,7 @@ app.use("/api/test", testRouter);
 app.use("/api/admin", adminRouter);
 app.use("/api/account", loginRouter);
 app.use("/api/network", networkRouter);
+app.use("/api/jobs", jobsRouter);
 // app.use("/api/network", requireAuth, networkRouter);
 
 // Middleware to check authentication for protected pages
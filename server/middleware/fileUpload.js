@@ -0,0 +1,147 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import multer from "multer";
+import AdmZip from "adm-zip";
+
+const UPLOAD_DIR = path.join(os.tmpdir(), "indoor-uploads");
+
+// Limits per uploaded file and for everything extracted from one zip
+const MAX_FILE_BYTES = 200 * 1024 * 1024;
+const MAX_EXTRACTED_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Multipart upload middleware storing the files of `fieldName` in a temp
+ * directory (req.files); other extensions are rejected with a 400
+ * @param {Object} options
+ * @param {Array<string>} options.extensions - Accepted extensions, e.g. [".geojson", ".zip"]
+ * @param {string} [options.fieldName] - Form field holding the files
+ * @param {number} [options.maxFiles] - Files accepted per request
+ */
+export function fileUpload({ extensions, fieldName = "files", maxFiles = 20 }) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  const upload = multer({
+    dest: UPLOAD_DIR,
+    limits: { fileSize: MAX_FILE_BYTES, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      if (!extensions.includes(ext)) {
+        return cb(new Error(`Unsupported file type: ${file.originalname}`));
+      }
+      cb(null, true);
+    },
+  }).array(fieldName, maxFiles);
+
+  // Answer upload errors in the API's JSON shape
+  return (req, res, next) =>
+    upload(req, res, (err) => {
+      if (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: `No file uploaded in field "${fieldName}"`,
+        });
+      }
+      next();
+    });
+}
+
+// Zip compression methods extractEntry can inflate
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Write one zip entry to `target`, inflating it as a stream and failing as
+ * soon as more than `budget.remaining` bytes come out, whatever size its
+ * header claims
+ */
+async function extractEntry(entry, target, budget, zipName) {
+  const { method, encrypted } = entry.header;
+  if (encrypted || ![STORED, DEFLATED].includes(method)) {
+    throw new Error(
+      `${zipName}/${entry.entryName} is encrypted or uses an unsupported compression`
+    );
+  }
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      budget.remaining -= chunk.length;
+      callback(
+        budget.remaining < 0
+          ? new Error(`${zipName} is too large once extracted`)
+          : null,
+        chunk
+      );
+    },
+  });
+  await pipeline(
+    Readable.from([entry.getCompressedData()]),
+    ...(method === DEFLATED ? [zlib.createInflateRaw()] : []),
+    limit,
+    fs.createWriteStream(target)
+  );
+}
+
+/**
+ * List uploaded files with zips replaced by their entries of the given
+ * extensions, extracted next to the upload
+ * @param {Array<Object>} files - req.files from fileUpload
+ * @param {Array<string>} extensions - Entry extensions to keep from zips
+ * @param {Object} [options]
+ * @param {number} [options.maxExtractedBytes] - Limit on what one zip inflates to
+ * @returns {Promise<{files: Array<{name: string, path: string}>, cleanup: Function}>}
+ */
+export async function expandUploadedFiles(
+  files,
+  extensions,
+  { maxExtractedBytes = MAX_EXTRACTED_BYTES } = {}
+) {
+  const expanded = [];
+  const tempPaths = files.map((file) => file.path);
+  const cleanup = () =>
+    Promise.all(
+      tempPaths.map((p) => fs.promises.rm(p, { recursive: true, force: true }))
+    );
+
+  try {
+    for (const file of files) {
+      if (path.extname(file.originalname).toLowerCase() !== ".zip") {
+        expanded.push({ name: file.originalname, path: file.path });
+        continue;
+      }
+      const zip = new AdmZip(await fs.promises.readFile(file.path));
+      const entries = zip
+        .getEntries()
+        .filter(
+          (entry) =>
+            !entry.isDirectory &&
+            !entry.entryName.startsWith("__MACOSX/") &&
+            extensions.includes(path.extname(entry.entryName).toLowerCase())
+        );
+
+      const dir = await fs.promises.mkdtemp(
+        path.join(path.dirname(file.path), "zip-")
+      );
+      tempPaths.push(dir);
+      const budget = { remaining: maxExtractedBytes };
+      for (const [i, entry] of entries.entries()) {
+        // Entry names never become paths, so "../" inside a zip cannot escape
+        const target = path.join(dir, String(i));
+        await extractEntry(entry, target, budget, file.originalname);
+        expanded.push({
+          name: `${file.originalname}/${entry.entryName}`,
+          path: target,
+        });
+      }
+    }
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  return { files: expanded, cleanup };
+}
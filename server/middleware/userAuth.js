@@ -0,0 +1,15 @@
+import jwt from "jsonwebtoken";
+
+// JWT cookie authentication middleware for Express, exposes the token payload as req.user
+export function userAuth(req, res, next) {
+  const token = req.cookies?.token;
+  if (!token) {
+    return res.status(401).json({ error: "Not authenticated" });
+  }
+  try {
+    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    next();
+  } catch (err) {
+    return res.status(401).json({ error: "Invalid token" });
+  }
+}
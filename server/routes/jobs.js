@@ -0,0 +1,67 @@
+import express from "express";
+import { userAuth } from "../middleware/userAuth.js";
+import { JobService } from "../services/jobService.js";
+
+const router = express.Router();
+const jobService = new JobService();
+
+// Admin sees every job, other users only the jobs they submitted
+const jobOwner = (req) =>
+  req.user?.role === "admin" ? null : req.user?.username ?? "";
+
+// GET /api/jobs - Import job history, newest first (?type=network-import&limit=50)
+router.get("/", userAuth, async (req, res) => {
+  try {
+    const { type = null } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const jobs = await jobService.listJobs({
+      type,
+      limit,
+      createdBy: jobOwner(req),
+    });
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (err) {
+    console.error("Error listing jobs:", err.message);
+    res.status(500).json({ success: false, error: "Failed to list jobs" });
+  }
+});
+
+// GET /api/jobs/:id - Status, progress and result of one job
+router.get("/:id", userAuth, async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id, {
+      createdBy: jobOwner(req),
+    });
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error("Error fetching job:", err.message);
+    res.status(500).json({ success: false, error: "Failed to fetch job" });
+  }
+});
+
+// POST /api/jobs/:id/cancel - Stop a running job at its next batch or file
+router.post("/:id/cancel", userAuth, async (req, res) => {
+  try {
+    const createdBy = jobOwner(req);
+    const job = jobService.cancel(req.params.id, { createdBy });
+    if (!job) {
+      const stored = await jobService.getJob(req.params.id, { createdBy });
+      if (!stored) {
+        return res.status(404).json({ success: false, error: "Job not found" });
+      }
+      return res.status(409).json({
+        success: false,
+        error: `Job is not running (status: ${stored.status})`,
+      });
+    }
+    res.status(202).json({ success: true, job });
+  } catch (err) {
+    console.error("Error cancelling job:", err.message);
+    res.status(500).json({ success: false, error: "Failed to cancel job" });
+  }
+});
+
+export default router;
@@ -3,19 +3,25 @@ import bcrypt from "bcrypt";
 import { PostgisService } from "../dbServices/PostgisService.js";
 import jwt from "jsonwebtoken";
 import { POSTGIS_TABLE } from "../../config/postgistable.js";
+import { RESTRICTED_DATA_ROLES } from "../../config/roles.js";
 
 const router = express.Router();
 
 const postgisService = new PostgisService();
 
-// GET /api/account/status - check if user is logged in (valid JWT)
+// GET /api/account/status - check if user is logged in (valid JWT), with
+// the user's role and the roles that may see restricted network edges
 
 router.get("/status", (req, res) => {
   const token = req.cookies?.token;
   if (!token) return res.json({ loggedIn: false });
   try {
-    jwt.verify(token, process.env.JWT_SECRET);
-    res.json({ loggedIn: true });
+    const { role } = jwt.verify(token, process.env.JWT_SECRET);
+    res.json({
+      loggedIn: true,
+      role,
+      restrictedDataRoles: RESTRICTED_DATA_ROLES,
+    });
   } catch {
     res.json({ loggedIn: false });
   }
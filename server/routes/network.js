@@ -1,13 +1,35 @@
 import express from "express";
 import jwt from "jsonwebtoken";
+import fs from "fs";
+import path from "path";
 import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import { userAuth } from "../middleware/userAuth.js";
+import { fileUpload, expandUploadedFiles } from "../middleware/fileUpload.js";
 import { MongoDbService } from "../dbServices/MongoDbService.js";
+import { PostgisService } from "../dbServices/PostgisService.js";
 import { MONGO_COLLECTIONS } from "../../config/collections.js";
 import { Utils } from "../services/utils.js";
 import { NetworkService } from "../services/networkService.js";
+import {
+  OutdoorNetworkService,
+  OutdoorAreaTooLargeError,
+} from "../services/outdoorNetworkService.js";
+import { ROUTING_PROFILES } from "../services/routingProfiles.js";
+import { JobService } from "../services/jobService.js";
+import { EXPORT_FORMATS } from "../services/networkExport.js";
+import { RESTRICTED_DATA_ROLES } from "../../config/roles.js";
+import {
+  SCHEDULE_TARGETS,
+  validateSchedule,
+} from "../services/networkSchedule.js";
+import { validateClosure } from "../services/networkClosures.js";
+import { visibleTopologyReport } from "../services/networkTopology.js";
 
 const router = express.Router();
 const networkService = new NetworkService();
+const outdoorNetworkService = new OutdoorNetworkService();
+const postgisService = new PostgisService();
+const jobService = new JobService();
 const utils = new Utils();
 
 const USER_BUILDING_TYPE = {
@@ -17,10 +39,116 @@ const USER_BUILDING_TYPE = {
   mtr: "MTR",
 };
 
-// POST /testing/import-indoor-network - Import indoor network data from JSON to PostGIS
-router.post("/import-indoor-network", async (req, res) => {
+// Building type a user may access: null for admin, undefined for unknown users
+function allowedBuildingTypeOf(username) {
+  if (!username || username.toLowerCase() === "admin") return null;
+  return USER_BUILDING_TYPE[username.toLowerCase()];
+}
+
+// Middleware: require venue_id and resolve the building type the user may access
+// (req.allowedBuildingType is null for admin) and whether restricted edges are served
+function venueAccess(req, res, next) {
+  req.allowedBuildingType = allowedBuildingTypeOf(req.user?.username);
+  req.includeRestricted = includeRestrictedFor(req.user?.role, req.query);
+  if (req.allowedBuildingType === undefined) {
+    return res.status(403).json({ error: "Unauthorized user" });
+  }
+  if (!req.query.venue_id) {
+    return res.status(400).json({
+      success: false,
+      error: "Missing venue_id parameter",
+    });
+  }
+  next();
+}
+
+// MTR networks are shared by every building type
+function canAccessBuildingType(allowedBuildingType, buildingType) {
+  if (!allowedBuildingType) return true;
+  const type = (buildingType || "").replace(" ", "");
+  return type === "MTR" || type === allowedBuildingType;
+}
+
+// Query string flag, e.g. ?emergency_only=true
+function parseBooleanQuery(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  return ["true", "1", "yes"].includes(String(value).toLowerCase());
+}
+
+// Staff-only edges are served on include_restricted=true to permitted roles only
+function includeRestrictedFor(role, query) {
+  return (
+    RESTRICTED_DATA_ROLES.includes(role) &&
+    parseBooleanQuery(query.include_restricted, false)
+  );
+}
+
+// Write part of a streamed response; waits for the socket to drain and
+// resolves false once the client is gone
+function writeChunk(res, chunk) {
+  if (res.destroyed) return false;
+  if (res.write(chunk)) return true;
+  return new Promise((resolve) => {
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      resolve(false);
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+}
+
+// Read a route endpoint from `<prefix>_unit_id` or `<prefix>_lon/_lat/_level_id`
+function parseRoutePoint(query, prefix) {
+  if (query[`${prefix}_unit_id`]) {
+    return { unit_id: query[`${prefix}_unit_id`] };
+  }
+  const lon = parseFloat(query[`${prefix}_lon`]);
+  const lat = parseFloat(query[`${prefix}_lat`]);
+  const levelId = query[`${prefix}_level_id`];
+  if (!Number.isFinite(lon) || !Number.isFinite(lat) || !levelId) {
+    return null;
+  }
+  return { lon, lat, level_id: levelId };
+}
+
+// Moment edge and unit schedules are evaluated at, from the departure_time
+// query parameter (ISO 8601) and now by default; answers 400 and resolves
+// null when it cannot be parsed
+function parseDepartureTime(req, res, parameter = "departure_time") {
+  const value = req.query[parameter];
+  const date = value === undefined ? new Date() : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid ${parameter}, expected an ISO 8601 date and time`,
+    });
+    return null;
+  }
+  return date;
+}
+
+// Directory /network/import-indoor-network reads network files from
+const IMPORT_NETWORK_DIR = path.resolve("./testing-data/network");
+
+// POST /network/import-indoor-network - Import a network file from
+// testing-data/network as a background job, poll GET /api/jobs/:id for progress
+// (admin only, other users upload their files to /network/upload)
+router.post("/import-indoor-network", userAuth, async (req, res) => {
   try {
-    const { filePath, batchSize = 50, clearExisting = true } = req.body;
+    if (req.user?.role !== "admin") {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const {
+      filePath,
+      batchSize = 500,
+      clearExisting = true,
+      mode = "replace",
+    } = req.body;
 
     // Validate required parameters
     if (!filePath) {
@@ -29,9 +157,21 @@ router.post("/import-indoor-network", async (req, res) => {
         error: "Missing required field: filePath",
       });
     }
+    if (!["replace", "merge"].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown mode: ${mode}`,
+      });
+    }
 
-    // Construct full path relative to project root
-    const fullPath = path.join("./testing-data/network", filePath);
+    // Files outside the network directory (../ or absolute paths) are refused
+    const fullPath = path.resolve(IMPORT_NETWORK_DIR, String(filePath));
+    if (!fullPath.startsWith(IMPORT_NETWORK_DIR + path.sep)) {
+      return res.status(400).json({
+        success: false,
+        error: "filePath must be inside testing-data/network",
+      });
+    }
 
     console.log(`🚀 Starting indoor network import request for: ${fullPath}`);
 
@@ -44,33 +184,28 @@ router.post("/import-indoor-network", async (req, res) => {
       });
     }
 
-    // Track progress for API response
-    let progressData = {};
-    const progressCallback = (progress) => {
-      progressData = progress;
-      console.log(
-        `📊 Import Progress: ${progress.progressPercent}% (Batch ${progress.batchIndex}/${progress.totalBatches})`
-      );
-    };
-
-    // Execute the import
-    const importResults = await networkService.importIndoorNetwork(fullPath, {
+    const options = {
       batchSize: parseInt(batchSize),
-      clearExisting: Boolean(clearExisting),
-      progressCallback,
-    });
-
-    console.log(`✅ Import completed successfully:`, importResults);
+      clearExisting: parseBooleanQuery(clearExisting, true),
+      mode,
+    };
+    const job = await jobService.submit(
+      "network-import",
+      { files: [filePath], ...options },
+      (context) =>
+        networkService.importNetworkFiles([fullPath], options, context),
+      { createdBy: req.user.username }
+    );
 
-    // Return comprehensive results
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: "Indoor network import completed successfully",
-      results: importResults,
-      finalProgress: progressData,
+      message: "Indoor network import submitted",
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
     });
   } catch (error) {
-    console.error(`❌ Import failed:`, error);
+    console.error(`❌ Import submission failed:`, error);
 
     res.status(500).json({
       success: false,
@@ -80,7 +215,238 @@ router.post("/import-indoor-network", async (req, res) => {
   }
 });
 
+// Uploaded network files: GeoJSON documents or zips of them
+const NETWORK_EXTENSIONS = [".json", ".geojson"];
+
+// POST /network/upload - Validate and import uploaded network files as a
+// background job, poll GET /api/jobs/:id for the per-file report
+// (multipart field "files"; optional mode, batchSize and clearExisting fields)
+router.post(
+  "/upload",
+  userAuth,
+  fileUpload({ extensions: [...NETWORK_EXTENSIONS, ".zip"] }),
+  async (req, res) => {
+    let uploads = null;
+    let submitted = false;
+    try {
+      const allowedBuildingType = allowedBuildingTypeOf(req.user?.username);
+      if (allowedBuildingType === undefined) {
+        return res.status(403).json({ error: "Unauthorized user" });
+      }
+      const {
+        batchSize = 500,
+        clearExisting = "true",
+        mode = "replace",
+      } = req.body;
+      if (!["replace", "merge"].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown mode: ${mode}`,
+        });
+      }
+
+      try {
+        uploads = await expandUploadedFiles(req.files, NETWORK_EXTENSIONS);
+      } catch (error) {
+        // Not a zip, or one inflating beyond the extraction limit
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (uploads.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "No network GeoJSON found in the upload",
+        });
+      }
+
+      // Only admin may import networks of another building type, or over
+      // a stored venue of another building type
+      const authorize = (networkData) =>
+        networkService.importDenial(networkData, allowedBuildingType);
+      const options = {
+        batchSize: parseInt(batchSize) || 500,
+        clearExisting: parseBooleanQuery(clearExisting, true),
+        mode,
+      };
+      const { files, cleanup } = uploads;
+      const job = await jobService.submit(
+        "network-upload",
+        { files: files.map((file) => file.name), ...options },
+        async (context) => {
+          try {
+            return await networkService.importUploadedNetworkFiles(
+              files,
+              options,
+              authorize,
+              context
+            );
+          } finally {
+            await cleanup();
+          }
+        },
+        { createdBy: req.user.username }
+      );
+      submitted = true;
+
+      res.status(202).json({
+        success: true,
+        message: "Network upload submitted",
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+    } catch (error) {
+      console.error(`❌ Network upload failed:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    } finally {
+      // Once submitted, the job removes the files after reading them
+      if (!submitted && uploads) {
+        await uploads.cleanup();
+      } else if (!submitted) {
+        await Promise.all(
+          req.files.map((file) => fs.promises.rm(file.path, { force: true }))
+        );
+      }
+    }
+  }
+);
+
+// POST /network/outdoor/upload - Replace the outdoor pedestrian network with
+// the uploaded GeoJSON (admin only); runs as a job, poll GET /api/jobs/:id
+router.post(
+  "/outdoor/upload",
+  userAuth,
+  fileUpload({ extensions: [...NETWORK_EXTENSIONS, ".zip"] }),
+  async (req, res) => {
+    let uploads = null;
+    let submitted = false;
+    try {
+      if (req.user?.role !== "admin") {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      uploads = await expandUploadedFiles(req.files, NETWORK_EXTENSIONS);
+      if (uploads.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "No network GeoJSON found in the upload",
+        });
+      }
+
+      const { files, cleanup } = uploads;
+      const job = await jobService.submit(
+        "outdoor-network-import",
+        { files: files.map((file) => file.name) },
+        async (context) => {
+          try {
+            // Several files make up one network, imported together so a
+            // failing file leaves the previous network in place
+            const documents = [];
+            for (const file of files) {
+              documents.push(
+                await networkService.jsonService.readJson(file.path)
+              );
+            }
+            const result = await outdoorNetworkService.importOutdoorNetwork(
+              documents,
+              { clearExisting: true },
+              context
+            );
+            return { files: files.map((file) => file.name), ...result };
+          } finally {
+            await cleanup();
+          }
+        },
+        { createdBy: req.user.username }
+      );
+      submitted = true;
+
+      res.status(202).json({
+        success: true,
+        message: "Outdoor network import submitted",
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+    } catch (error) {
+      console.error(`❌ Outdoor network upload failed:`, error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    } finally {
+      // Once submitted, the job removes the files after reading them
+      if (!submitted && uploads) {
+        await uploads.cleanup();
+      } else if (!submitted) {
+        await Promise.all(
+          req.files.map((file) => fs.promises.rm(file.path, { force: true }))
+        );
+      }
+    }
+  }
+);
+
+// GET /network/export - Stream a venue's network as format=geojson (default),
+// csv (attributes plus WKT geometry) or osm (OSM XML ways and shared nodes)
+router.get("/export", userAuth, venueAccess, async (req, res) => {
+  const { venue_id, format = "geojson" } = req.query;
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown format: ${format}, expected one of ${Object.keys(
+        EXPORT_FORMATS
+      ).join(", ")}`,
+    });
+  }
+
+  try {
+    const summary = await networkService.getNetworkSummary(venue_id, {
+      includeRestricted: req.includeRestricted,
+    });
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (
+      !canAccessBuildingType(req.allowedBuildingType, summary.building_type)
+    ) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    res.setHeader("Content-Type", exportFormat.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${venue_id}-network.${exportFormat.extension}"`
+    );
+    const write = (chunk) => writeChunk(res, chunk);
+    await networkService.exportNetwork(venue_id, format, write, {
+      includeRestricted: req.includeRestricted,
+    });
+    res.end();
+  } catch (error) {
+    console.error(`❌ Network export failed:`, error);
+    if (res.headersSent) {
+      // Part of the file is out already, cut it off so it is not taken as complete
+      return res.destroy(error);
+    }
+    res.removeHeader("Content-Disposition");
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // GET /testing/network-data/:venue_id - Get import statistics for a venue
+// (include_restricted=true adds staff-only edges for RESTRICTED_DATA_ROLES)
 router.get("/network_data", async (req, res) => {
   try {
     const token = req.cookies?.token;
@@ -88,9 +454,11 @@ router.get("/network_data", async (req, res) => {
       return res.status(401).json({ error: "Not authenticated" });
     }
     let username;
+    let role;
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       username = decoded.username;
+      role = decoded.role;
     } catch (err) {
       return res.status(401).json({ error: "Invalid token" });
     }
@@ -112,7 +480,9 @@ router.get("/network_data", async (req, res) => {
       }
     }
 
-    const result = await networkService.networkGeoJSONScheme(venue_id);
+    const result = await networkService.networkGeoJSONScheme(venue_id, {
+      includeRestricted: includeRestrictedFor(role, req.query),
+    });
 
     if (!result) {
       return res.status(404).json({
@@ -146,4 +516,1002 @@ router.get("/network_data", async (req, res) => {
   }
 });
 
+// GET /network/route - Shortest walking path between two points of a venue
+// (optional profile=wheelchair avoids barriers and stairs)
+router.get("/route", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id, profile = "default" } = req.query;
+    if (!ROUTING_PROFILES[profile]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown routing profile: ${profile}`,
+      });
+    }
+    const start = parseRoutePoint(req.query, "from");
+    const end = parseRoutePoint(req.query, "to");
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Start and end require either <from|to>_unit_id or <from|to>_lon, _lat and _level_id",
+      });
+    }
+
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const route = await networkService.getRoute(venue_id, start, end, {
+      graph,
+      profile,
+    });
+    if (!route.success) {
+      return res.status(404).json(route);
+    }
+    res.status(200).json(route);
+  } catch (error) {
+    console.error(`❌ Failed to compute route:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/venue-route - Shortest walking path from a point of
+// from_venue_id to a point of to_venue_id over the outdoor pedestrian network
+router.get("/venue-route", userAuth, async (req, res) => {
+  try {
+    const { from_venue_id, to_venue_id, profile = "default" } = req.query;
+    const allowedBuildingType = allowedBuildingTypeOf(req.user?.username);
+    if (allowedBuildingType === undefined) {
+      return res.status(403).json({ error: "Unauthorized user" });
+    }
+    if (!from_venue_id || !to_venue_id) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing from_venue_id or to_venue_id parameter",
+      });
+    }
+    if (from_venue_id === to_venue_id) {
+      return res.status(400).json({
+        success: false,
+        error: "Both points are in the same venue, use /api/network/route",
+      });
+    }
+    if (!ROUTING_PROFILES[profile]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown routing profile: ${profile}`,
+      });
+    }
+    const start = parseRoutePoint(req.query, "from");
+    const end = parseRoutePoint(req.query, "to");
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Start and end require either <from|to>_unit_id or <from|to>_lon, _lat and _level_id",
+      });
+    }
+
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const includeRestricted = includeRestrictedFor(req.user?.role, req.query);
+    const graphs = {};
+    for (const venueId of [from_venue_id, to_venue_id]) {
+      const graph = await networkService.getScheduledGraph(
+        venueId,
+        departureTime,
+        { includeRestricted }
+      );
+      if (!graph) {
+        return res.status(404).json({
+          success: false,
+          message: "No network data found for this venue",
+          venue_id: venueId,
+        });
+      }
+      if (!canAccessBuildingType(allowedBuildingType, graph.buildingType)) {
+        return res
+          .status(403)
+          .json({ error: "Unauthorized user for this venue" });
+      }
+      graphs[venueId] = graph;
+    }
+
+    const route = await networkService.getVenueToVenueRoute(
+      { venueId: from_venue_id, point: start },
+      { venueId: to_venue_id, point: end },
+      {
+        fromGraph: graphs[from_venue_id],
+        toGraph: graphs[to_venue_id],
+        profile,
+        includeRestricted,
+      }
+    );
+    if (!route.success) {
+      return res.status(404).json(route);
+    }
+    res.status(200).json(route);
+  } catch (error) {
+    if (error instanceof OutdoorAreaTooLargeError) {
+      return res.status(422).json({ success: false, error: error.message });
+    }
+    console.error(`❌ Failed to compute venue route:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/nearest - Nearest edge of a level to lon/lat, the projected
+// point on it and the distance in metres
+router.get("/nearest", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id, level_id } = req.query;
+    const lon = parseFloat(req.query.lon);
+    const lat = parseFloat(req.query.lat);
+    if (!Number.isFinite(lon) || !Number.isFinite(lat) || !level_id) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing or invalid lon, lat or level_id parameter",
+      });
+    }
+
+    const nearest = await networkService.findNearestEdge(
+      venue_id,
+      level_id,
+      lon,
+      lat,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!nearest) {
+      return res.status(404).json({
+        success: false,
+        message: "No network edges found on this level",
+        venue_id,
+        level_id,
+      });
+    }
+    const { buildingType, ...result } = nearest;
+    if (!canAccessBuildingType(req.allowedBuildingType, buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    res.json({
+      success: true,
+      venue_id,
+      level_id,
+      query: { lon, lat },
+      ...result,
+    });
+  } catch (error) {
+    console.error(`❌ Nearest edge lookup failed:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Upper bounds of a reachability budget
+const MAX_REACH_DISTANCE = 5000;
+const MAX_REACH_SECONDS = 3600;
+
+// GET /network/reachability - Network segments, units and amenities within
+// max_distance metres or max_seconds of walking from a point or unit
+router.get("/reachability", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id, profile = "default" } = req.query;
+    if (!ROUTING_PROFILES[profile]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown routing profile: ${profile}`,
+      });
+    }
+    const start = parseRoutePoint(req.query, "from");
+    if (!start) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Start requires from_unit_id or from_lon, from_lat and from_level_id",
+      });
+    }
+    const maxDistance =
+      req.query.max_distance !== undefined
+        ? parseFloat(req.query.max_distance)
+        : null;
+    const maxSeconds =
+      req.query.max_seconds !== undefined
+        ? parseFloat(req.query.max_seconds)
+        : null;
+    if ((maxDistance === null) === (maxSeconds === null)) {
+      return res.status(400).json({
+        success: false,
+        error: "Give exactly one of max_distance or max_seconds",
+      });
+    }
+    if (
+      (maxDistance !== null &&
+        !(maxDistance > 0 && maxDistance <= MAX_REACH_DISTANCE)) ||
+      (maxSeconds !== null &&
+        !(maxSeconds > 0 && maxSeconds <= MAX_REACH_SECONDS))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `max_distance must be within (0, ${MAX_REACH_DISTANCE}] metres and max_seconds within (0, ${MAX_REACH_SECONDS}]`,
+      });
+    }
+
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const result = await networkService.getReachability(venue_id, start, {
+      graph,
+      maxDistance,
+      maxSeconds,
+      profile,
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`❌ Reachability analysis failed:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Matrix limits: points per side, cells in all and cells answered as one
+// JSON document (larger ones need stream=true)
+const MAX_MATRIX_POINTS = 1000;
+const MAX_MATRIX_CELLS = 250000;
+const MAX_BUFFERED_MATRIX_CELLS = 10000;
+
+// POST /network/matrix?venue_id= - Walking distances and times between
+// lists of origins and destinations (unit ids, points or unit / amenity
+// categories); stream=true answers NDJSON, one line per origin
+router.post("/matrix", userAuth, venueAccess, async (req, res) => {
+  const {
+    origins,
+    destinations,
+    profile = "default",
+    metric = "distance",
+  } = req.body;
+  const stream = parseBooleanQuery(req.body.stream ?? req.query.stream, false);
+  if (!Array.isArray(origins) || !Array.isArray(destinations)) {
+    return res.status(400).json({
+      success: false,
+      error: "origins and destinations must be arrays",
+    });
+  }
+  if (
+    origins.length > MAX_MATRIX_POINTS ||
+    destinations.length > MAX_MATRIX_POINTS
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_MATRIX_POINTS} origins and destinations`,
+    });
+  }
+  if (!ROUTING_PROFILES[profile]) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown routing profile: ${profile}`,
+    });
+  }
+  if (!["distance", "time"].includes(metric)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown metric: ${metric}, expected distance or time`,
+    });
+  }
+
+  try {
+    const { venue_id } = req.query;
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const options = {
+      graph,
+      profile,
+      metric,
+      // Categories expand after this check, so the cell limit is applied again
+      maxCells: stream ? MAX_MATRIX_CELLS : MAX_BUFFERED_MATRIX_CELLS,
+    };
+    if (!stream) {
+      const matrix = await networkService.getDistanceMatrix(
+        venue_id,
+        origins,
+        destinations,
+        options
+      );
+      return res.status(matrix.success ? 200 : 400).json(
+        matrix.success
+          ? matrix
+          : {
+              ...matrix,
+              error: `${matrix.error}, use stream=true for up to ${MAX_MATRIX_CELLS} cells`,
+            }
+      );
+    }
+
+    const writeLine = (value) => writeChunk(res, `${JSON.stringify(value)}\n`);
+    const result = await networkService.getDistanceMatrix(
+      venue_id,
+      origins,
+      destinations,
+      {
+        ...options,
+        onHeader: (header) => {
+          res.setHeader("Content-Type", "application/x-ndjson");
+          return writeLine({ type: "header", ...header });
+        },
+        onRow: (row) => writeLine({ type: "row", ...row }),
+      }
+    );
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    await writeLine({ type: "end" });
+    res.end();
+  } catch (error) {
+    console.error(`❌ Distance matrix failed:`, error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Longest walking-time threshold of a coverage analysis
+const MAX_COVERAGE_SECONDS = 3600;
+
+// GET /network/coverage - Walking time from every unit to the nearest amenity
+// of a category (default defibrillator) and the units beyond threshold_seconds
+router.get("/coverage", userAuth, venueAccess, async (req, res) => {
+  try {
+    const {
+      venue_id,
+      category = "defibrillator",
+      profile = "default",
+    } = req.query;
+    const thresholdSeconds = parseFloat(req.query.threshold_seconds ?? "180");
+    if (!(thresholdSeconds > 0 && thresholdSeconds <= MAX_COVERAGE_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `threshold_seconds must be within (0, ${MAX_COVERAGE_SECONDS}]`,
+      });
+    }
+    if (!ROUTING_PROFILES[profile]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown routing profile: ${profile}`,
+      });
+    }
+
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const result = await networkService.getAmenityCoverage(venue_id, {
+      graph,
+      category,
+      thresholdSeconds,
+      profile,
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error(`❌ Coverage analysis failed:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/stats - 3D length per level and highway type, wheelchair
+// and weatherproof shares, barrier / exit / emergency counts and amendment dates
+router.get("/stats", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const graph = await networkService.getNetworkGraph(venue_id, {
+      includeRestricted: req.includeRestricted,
+    });
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const stats = await networkService.getNetworkStats(venue_id, { graph });
+    res.status(200).json({ success: true, ...stats });
+  } catch (error) {
+    console.error(`❌ Failed to compute network stats:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/topology-report - Latest topology report of a venue's network
+// (refresh=true re-runs the checks against the stored network first, for
+// users who may edit the venue). Issues of staff-only edges are left out
+// unless the user may see them.
+router.get("/topology-report", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+
+    const graph = await networkService.getNetworkGraph(venue_id, {
+      includeRestricted: req.includeRestricted,
+    });
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const refresh = parseBooleanQuery(req.query.refresh, false);
+    if (refresh && !canEditVenue(req, graph)) {
+      return res
+        .status(403)
+        .json({ error: "Not allowed to re-run the checks of this venue" });
+    }
+    const stored = refresh
+      ? await networkService.validateNetworkTopology(venue_id)
+      : await networkService.getTopologyReport(venue_id);
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        message: "No topology report found for this venue",
+        venue_id,
+      });
+    }
+    const report = req.includeRestricted
+      ? stored
+      : visibleTopologyReport(stored, graph);
+
+    res.status(200).json({
+      success: true,
+      venue_id,
+      report,
+    });
+  } catch (error) {
+    console.error(`❌ Failed to get topology report:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/evacuation - Shortest path from a point or unit to the nearest exit
+router.get("/evacuation", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const start = parseRoutePoint(req.query, "from");
+    if (!start) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Start requires either from_unit_id or from_lon, _lat and _level_id",
+      });
+    }
+
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const route = await networkService.getEvacuationRoute(venue_id, start, {
+      graph,
+      emergencyOnly: parseBooleanQuery(req.query.emergency_only, false),
+      excludeLifts: parseBooleanQuery(req.query.exclude_lifts, true),
+    });
+    if (!route.success) {
+      return res.status(404).json(route);
+    }
+    res.status(200).json(route);
+  } catch (error) {
+    console.error(`❌ Failed to compute evacuation route:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/evacuation/plan - Evacuation routes of every node on a level
+// (whole venue when level_id is omitted)
+router.get("/evacuation/plan", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id, level_id } = req.query;
+
+    const departureTime = parseDepartureTime(req, res);
+    if (!departureTime) return;
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime,
+      { includeRestricted: req.includeRestricted }
+    );
+    if (!graph) {
+      return res.status(404).json({
+        success: false,
+        message: "No network data found for this venue",
+        venue_id,
+      });
+    }
+    if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized user for this venue" });
+    }
+
+    const plan = await networkService.getEvacuationPlan(venue_id, {
+      graph,
+      levelId: level_id && level_id !== "ALL" ? level_id : null,
+      emergencyOnly: parseBooleanQuery(req.query.emergency_only, false),
+      excludeLifts: parseBooleanQuery(req.query.exclude_lifts, true),
+    });
+    if (!plan.success) {
+      return res.status(404).json(plan);
+    }
+    res.status(200).json(plan);
+  } catch (error) {
+    console.error(`❌ Failed to compute evacuation plan:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Load the venue's network for the schedule and closure routes and check
+// the user may see it; answers the request itself and resolves null
+// otherwise. Staff-only edges are included for permitted roles, whatever
+// include_restricted says.
+async function venueNetworkGraph(req, res) {
+  const { venue_id } = req.query;
+  const graph = await networkService.getNetworkGraph(venue_id, {
+    includeRestricted: RESTRICTED_DATA_ROLES.includes(req.user?.role),
+  });
+  if (!graph) {
+    res.status(404).json({
+      success: false,
+      message: "No network data found for this venue",
+      venue_id,
+    });
+    return null;
+  }
+  if (!canAccessBuildingType(req.allowedBuildingType, graph.buildingType)) {
+    res.status(403).json({ error: "Unauthorized user for this venue" });
+    return null;
+  }
+  return graph;
+}
+
+// Schedules and closures are edited, and topology checks re-run, by admin and
+// by the venue's own building type only, MTR networks being shared does not
+// make them editable by everyone
+function canEditVenue(req, graph) {
+  if (req.allowedBuildingType === null) return true;
+  return (
+    (graph.buildingType || "").replace(" ", "") === req.allowedBuildingType
+  );
+}
+
+// GET /network/schedules?venue_id= - Opening hours and direction reversal
+// windows of the venue's edges and units
+router.get("/schedules", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const graph = await venueNetworkGraph(req, res);
+    if (!graph) return;
+
+    // Schedules of edges the user cannot see are left out
+    const edgeIds = new Set(graph.edges.map((edge) => String(edge.id)));
+    const schedules = (await networkService.getSchedules(venue_id)).filter(
+      (item) => item.target_type !== "edge" || edgeIds.has(item.target_id)
+    );
+    res.status(200).json({ success: true, venue_id, schedules });
+  } catch (error) {
+    console.error(`❌ Failed to get schedules:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET /network/schedules/state?venue_id=&at= - Edges and units closed or
+// reversed at a moment (now by default), for the viewer's network layer
+router.get("/schedules/state", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const at = parseDepartureTime(req, res, "at");
+    if (!at) return;
+    const graph = await venueNetworkGraph(req, res);
+    if (!graph) return;
+
+    const state = await networkService.getScheduleState(venue_id, at);
+    const edgeIds = new Set(graph.edges.map((edge) => String(edge.id)));
+    const visible = (ids) => [...ids].filter((id) => edgeIds.has(id));
+    res.status(200).json({
+      success: true,
+      venue_id,
+      at: at.toISOString(),
+      closedEdges: visible(state.closedEdges),
+      reversedEdges: visible(state.reversedEdges),
+      closedUnits: [...state.closedUnits],
+    });
+  } catch (error) {
+    console.error(`❌ Failed to get schedule state:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// PUT /network/schedules/:targetType/:targetId?venue_id= - Create or replace
+// the schedule of an edge (inetworkid) or unit, the body is the schedule
+router.put(
+  "/schedules/:targetType/:targetId",
+  userAuth,
+  venueAccess,
+  async (req, res) => {
+    try {
+      const { venue_id } = req.query;
+      const { targetType, targetId } = req.params;
+      if (!SCHEDULE_TARGETS.includes(targetType)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown schedule target: ${targetType}, expected edge or unit`,
+        });
+      }
+      const errors = validateSchedule(req.body, targetType);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid schedule",
+          details: errors,
+        });
+      }
+      const graph = await venueNetworkGraph(req, res);
+      if (!graph) return;
+      if (!canEditVenue(req, graph)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      let exists;
+      if (targetType === "edge") {
+        exists = graph.edges.some((edge) => String(edge.id) === targetId);
+      } else {
+        const { units } = await networkService.getVenueUnitsAndAmenities(
+          venue_id
+        );
+        exists = units.some((unit) => unit.id === targetId);
+      }
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          error: `No ${targetType} ${targetId} in venue ${venue_id}`,
+        });
+      }
+
+      const schedule = await networkService.setSchedule(
+        venue_id,
+        targetType,
+        targetId,
+        req.body,
+        req.user.username
+      );
+      res.status(200).json({ success: true, venue_id, schedule });
+    } catch (error) {
+      console.error(`❌ Failed to save schedule:`, error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+// DELETE /network/schedules/:targetType/:targetId?venue_id= - Make an edge
+// or unit always open again
+router.delete(
+  "/schedules/:targetType/:targetId",
+  userAuth,
+  venueAccess,
+  async (req, res) => {
+    try {
+      const { venue_id } = req.query;
+      const { targetType, targetId } = req.params;
+      const graph = await venueNetworkGraph(req, res);
+      if (!graph) return;
+      if (!canEditVenue(req, graph)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const deleted = await networkService.deleteSchedule(
+        venue_id,
+        targetType,
+        targetId
+      );
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `No schedule for ${targetType} ${targetId}`,
+        });
+      }
+      res.status(200).json({ success: true, venue_id });
+    } catch (error) {
+      console.error(`❌ Failed to delete schedule:`, error);
+
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+// GET /network/closures?venue_id=&at= - Closures active at a moment (now by
+// default) with the edges and units they close, or every closure including
+// expired ones with all=true
+router.get("/closures", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const at = parseDepartureTime(req, res, "at");
+    if (!at) return;
+    const graph = await venueNetworkGraph(req, res);
+    if (!graph) return;
+
+    const all = parseBooleanQuery(req.query.all, false);
+    const edgeIds = new Set(graph.edges.map((edge) => String(edge.id)));
+    // Closures of edges the user cannot see are left out
+    const closures = (
+      await networkService.getClosures(venue_id, { at: all ? null : at })
+    ).filter(
+      (closure) =>
+        closure.target_type !== "edge" || edgeIds.has(closure.target_id)
+    );
+    const active = all
+      ? closures.filter(
+          (closure) =>
+            new Date(closure.starts_at) <= at &&
+            new Date(closure.expires_at) > at
+        )
+      : closures;
+    const closed = await networkService.closedByClosures(
+      venue_id,
+      graph,
+      active
+    );
+    res.status(200).json({
+      success: true,
+      venue_id,
+      at: at.toISOString(),
+      closures,
+      closedEdges: [...closed.closedEdges].filter((id) => edgeIds.has(id)),
+      closedUnits: [...closed.closedUnits],
+    });
+  } catch (error) {
+    console.error(`❌ Failed to get closures:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// POST /network/closures?venue_id= - Close a unit, opening or edge with a
+// reason until expires_at; routes avoid it while the closure is active
+router.post("/closures", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const errors = validateClosure(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid closure",
+        details: errors,
+      });
+    }
+    const graph = await venueNetworkGraph(req, res);
+    if (!graph) return;
+    if (!canEditVenue(req, graph)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const { target_type } = req.body;
+    const targetId = String(req.body.target_id);
+    let exists;
+    if (target_type === "edge") {
+      exists = graph.edges.some((edge) => String(edge.id) === targetId);
+    } else if (target_type === "unit") {
+      const { units } = await networkService.getVenueUnitsAndAmenities(
+        venue_id
+      );
+      exists = units.some((unit) => unit.id === targetId);
+    } else {
+      const openings = await networkService.getVenueOpenings(venue_id);
+      exists = openings.some((opening) => String(opening.id) === targetId);
+    }
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${target_type} ${targetId} in venue ${venue_id}`,
+      });
+    }
+
+    const closure = await networkService.createClosure(
+      venue_id,
+      req.body,
+      req.user.username
+    );
+    res.status(201).json({ success: true, venue_id, closure });
+  } catch (error) {
+    console.error(`❌ Failed to create closure:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// DELETE /network/closures/:id?venue_id= - Lift a closure before it expires
+router.delete("/closures/:id", userAuth, venueAccess, async (req, res) => {
+  try {
+    const { venue_id } = req.query;
+    const closureId = parseInt(req.params.id);
+    if (!Number.isInteger(closureId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid closure id",
+      });
+    }
+    const graph = await venueNetworkGraph(req, res);
+    if (!graph) return;
+    if (!canEditVenue(req, graph)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const closure = await networkService.liftClosure(venue_id, closureId);
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        error: `No active or upcoming closure ${closureId}`,
+      });
+    }
+    res.status(200).json({ success: true, venue_id, closure });
+  } catch (error) {
+    console.error(`❌ Failed to lift closure:`, error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 export default router;
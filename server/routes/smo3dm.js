@@ -3,13 +3,29 @@ import jwt from "jsonwebtoken";
 import path from "path";
 import fs from "fs";
 import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import { userAuth } from "../middleware/userAuth.js";
+import { fileUpload, expandUploadedFiles } from "../middleware/fileUpload.js";
 import { MongoDbService } from "../dbServices/MongoDbService.js";
 import { MONGO_COLLECTIONS } from "../../config/collections.js";
 import { Utils } from "../services/utils.js";
+import { JsonFileService } from "../services/JsonFileService.js";
+import { NetworkService } from "../services/networkService.js";
+import { ROUTING_PROFILES } from "../services/routingProfiles.js";
+import {
+  DEFAULT_MOVE_TOLERANCE,
+  diffBuildingData,
+} from "../services/venueDiff.js";
+import {
+  readImdfArchive,
+  validateImdfArchive,
+  imdfToVenueData,
+} from "../services/imdfArchive.js";
 
 const router = express.Router();
 const mongoDbService = new MongoDbService(process.env.MONGO_INITDB_DATABASE);
 const utils = new Utils();
+const jsonFileService = new JsonFileService();
+const networkService = new NetworkService();
 
 // Example protected POST endpoint
 router.post("/external-protected", apiKeyAuth, (req, res) => {
@@ -142,6 +158,524 @@ router.get("/building_data", async (req, res) => {
   }
 });
 
+// Most amenities returned by /nearest-amenity
+const MAX_NEAREST_AMENITIES = 20;
+
+// GET /nearest-amenity?venue_id=...&from=...&category=... - closest amenities
+// of a category by walking distance over the indoor network, with the path to
+// each; `from` is a unit id or "lon,lat,level_id", optional departure_time
+router.get("/nearest-amenity", userAuth, async (req, res) => {
+  try {
+    const { venue_id, from, category, profile = "default" } = req.query;
+    const limit = parseInt(req.query.limit ?? "3");
+    if (!venue_id || !from || !category) {
+      return res.status(400).json({
+        error: "Missing venue_id, from or category parameter",
+      });
+    }
+    if (!(limit >= 1 && limit <= MAX_NEAREST_AMENITIES)) {
+      return res.status(400).json({
+        error: `limit must be between 1 and ${MAX_NEAREST_AMENITIES}`,
+      });
+    }
+    if (!ROUTING_PROFILES[profile]) {
+      return res
+        .status(400)
+        .json({ error: `Unknown routing profile: ${profile}` });
+    }
+    const parts = from.split(",");
+    const start =
+      parts.length === 3
+        ? {
+            lon: parseFloat(parts[0]),
+            lat: parseFloat(parts[1]),
+            level_id: parts[2],
+          }
+        : { unit_id: from };
+    if (
+      start.level_id &&
+      (!Number.isFinite(start.lon) || !Number.isFinite(start.lat))
+    ) {
+      return res.status(400).json({ error: "Invalid from position" });
+    }
+    // Schedules of edges and units are evaluated at departure_time, now by default
+    const departureTime =
+      req.query.departure_time === undefined
+        ? new Date()
+        : new Date(req.query.departure_time);
+    if (Number.isNaN(departureTime.getTime())) {
+      return res.status(400).json({ error: "Invalid departure_time" });
+    }
+
+    // Authorization: only allow access to venues user is allowed to see
+    const username = req.user.username;
+    let allowedBuildingType = null;
+    if (username && username.toLowerCase() !== "admin") {
+      allowedBuildingType = USER_BUILDING_TYPE[username.toLowerCase()];
+      if (!allowedBuildingType) {
+        return res.status(403).json({ error: "Unauthorized user" });
+      }
+    }
+
+    const graph = await networkService.getScheduledGraph(
+      venue_id,
+      departureTime
+    );
+    if (!graph) {
+      return res
+        .status(404)
+        .json({ error: "No network data found for this venue" });
+    }
+    const buildingType = (graph.buildingType || "").replace(" ", "");
+    if (
+      allowedBuildingType &&
+      buildingType !== "MTR" &&
+      buildingType !== allowedBuildingType
+    ) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden: not allowed to access this venue's data" });
+    }
+
+    const result = await networkService.getNearestAmenities(venue_id, start, {
+      graph,
+      category,
+      limit,
+      profile,
+    });
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Error finding nearest amenity:", err.message);
+    res.status(500).json({ error: "Failed to find nearest amenity" });
+  }
+});
+
+// Optional numeric form field, undefined when absent or not a number
+const numberField = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Building type a user imports, null for admin who imports any; answers
+// 403 and returns undefined for users without one
+const importBuildingType = (req, res) => {
+  const username = req.user.username;
+  if (!username || username.toLowerCase() === "admin") return null;
+  const allowedBuildingType = USER_BUILDING_TYPE[username.toLowerCase()];
+  if (!allowedBuildingType) {
+    res.status(403).json({ error: "Unauthorized user" });
+  }
+  return allowedBuildingType;
+};
+
+// Whether the stored venue (if any) may be replaced with `buildingType`
+// data: a venue keeps its building type, only admin may hand it to another.
+// Answers 400 / 403 and returns null when not, { existing } otherwise.
+const importTarget = async (
+  req,
+  res,
+  allowedBuildingType,
+  buildingType,
+  venueId
+) => {
+  if (!Object.values(USER_BUILDING_TYPE).includes(buildingType)) {
+    res.status(400).json({
+      error: `building_type must be one of ${Object.values(
+        USER_BUILDING_TYPE
+      ).join(", ")}`,
+    });
+    return null;
+  }
+  if (allowedBuildingType && buildingType !== allowedBuildingType) {
+    res.status(403).json({
+      error: `Forbidden: not allowed to import ${buildingType} venues`,
+    });
+    return null;
+  }
+  if (!venueId) return { existing: null };
+  const venueCol = await mongoDbService.getCollection(MONGO_COLLECTIONS.VENUE);
+  const existing = await venueCol.findOne(
+    { id: venueId },
+    { projection: { buildingType: 1 } }
+  );
+  if (
+    existing &&
+    allowedBuildingType &&
+    existing.buildingType !== allowedBuildingType
+  ) {
+    res.status(403).json({
+      error: "Forbidden: not allowed to replace this venue's data",
+    });
+    return null;
+  }
+  return { existing };
+};
+
+// Options of convertToVenueMongoDBTable from the strict / dry_run fields
+const importOptions = (req) => ({
+  strict: req.body.strict === "true",
+  dryRun: req.body.dry_run === "true",
+  importedBy: req.user.username,
+});
+
+// Response of a converted venue, the preview on dry runs
+const importResponse = (result, fields) =>
+  result.dryRun
+    ? {
+        success: true,
+        dryRun: true,
+        ...fields,
+        preview: result.preview,
+        report: result.report,
+      }
+    : {
+        success: true,
+        ...fields,
+        revision: result.revision,
+        report: result.report,
+      };
+
+// POST /imdf/upload - Import a standard IMDF zip (manifest.json,
+// venue.geojson, level.geojson, unit.geojson, opening.geojson and optional
+// amenity / anchor / occupant ... files) as the venue and building_data
+// documents. Form fields: building_type (admin only, others import their
+// own type), region, display_name, building_name, level_height, height,
+// min_height, strict ("true" refuses archives with validation errors),
+// dry_run ("true" previews the changes without writing).
+router.post(
+  "/imdf/upload",
+  userAuth,
+  fileUpload({ extensions: [".zip"], fieldName: "archive", maxFiles: 1 }),
+  async (req, res) => {
+    let uploads = null;
+    try {
+      const allowedBuildingType = importBuildingType(req, res);
+      if (allowedBuildingType === undefined) return;
+      const buildingType = req.body.building_type || allowedBuildingType;
+
+      let archive;
+      try {
+        uploads = await expandUploadedFiles(req.files, [".json", ".geojson"]);
+        archive = await readImdfArchive(uploads.files);
+      } catch (error) {
+        // Not a zip, or duplicate / unparsable files inside it
+        return res
+          .status(400)
+          .json({ error: "Invalid IMDF archive", errors: [error.message] });
+      }
+      const errors = validateImdfArchive(archive);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid IMDF archive", errors });
+      }
+
+      const venueId = archive.collections.venue.features[0].id;
+      const target = await importTarget(
+        req,
+        res,
+        allowedBuildingType,
+        buildingType,
+        venueId
+      );
+      if (!target) return;
+
+      const data = imdfToVenueData(archive, {
+        buildingType,
+        region: req.body.region,
+        displayName: req.body.display_name,
+        buildingName: req.body.building_name,
+        levelHeight: numberField(req.body.level_height),
+        height: numberField(req.body.height),
+        min_height: numberField(req.body.min_height),
+      });
+      const result = await utils.convertToVenueMongoDBTable(
+        data,
+        importOptions(req)
+      );
+      if (!result.success) {
+        return res.status(422).json({
+          error: "Failed to convert the IMDF archive",
+          message: result.message,
+          report: result.report,
+        });
+      }
+
+      res.json(
+        importResponse(result, {
+          venue_id: venueId,
+          replaced: !!target.existing,
+          buildingType,
+          displayName: data.displayName,
+          features: Object.fromEntries(
+            Object.entries(archive.collections).map(([type, collection]) => [
+              type,
+              collection.features.length,
+            ])
+          ),
+        })
+      );
+    } catch (err) {
+      console.error("Error importing IMDF archive:", err.message);
+      res.status(500).json({ error: "Failed to import IMDF archive" });
+    } finally {
+      if (uploads) {
+        await uploads.cleanup();
+      } else {
+        await Promise.all(
+          req.files.map((file) => fs.promises.rm(file.path, { force: true }))
+        );
+      }
+    }
+  }
+);
+
+// POST /venue/upload - Import one wrapped venue JSON file ({ data: { venue,
+// level, unit, ..., buildingType, displayName } }) as read from
+// testing-data/indoor. Form fields: strict, dry_run as for /imdf/upload;
+// non-admin users import their own building type only.
+router.post(
+  "/venue/upload",
+  userAuth,
+  fileUpload({ extensions: [".json"], fieldName: "file", maxFiles: 1 }),
+  async (req, res) => {
+    try {
+      const allowedBuildingType = importBuildingType(req, res);
+      if (allowedBuildingType === undefined) return;
+
+      let data;
+      try {
+        data = (await jsonFileService.readJson(req.files[0].path)).data;
+      } catch (error) {
+        return res
+          .status(400)
+          .json({ error: "Invalid venue file", errors: [error.message] });
+      }
+      if (!data || typeof data !== "object") {
+        return res
+          .status(400)
+          .json({ error: "Invalid venue file", errors: ["No data object"] });
+      }
+
+      const target = await importTarget(
+        req,
+        res,
+        allowedBuildingType,
+        data.buildingType,
+        data.venue?.content?.features?.[0]?.id
+      );
+      if (!target) return;
+
+      const result = await utils.convertToVenueMongoDBTable(
+        data,
+        importOptions(req)
+      );
+      if (!result.success) {
+        return res.status(422).json({
+          error: "Failed to convert the venue file",
+          message: result.message,
+          report: result.report,
+        });
+      }
+
+      res.json(
+        importResponse(result, {
+          venue_id: result.venue_id,
+          replaced: !!target.existing,
+          buildingType: data.buildingType,
+          displayName: result.displayName,
+        })
+      );
+    } catch (err) {
+      console.error("Error importing venue file:", err.message);
+      res.status(500).json({ error: "Failed to import venue file" });
+    } finally {
+      await Promise.all(
+        req.files.map((file) => fs.promises.rm(file.path, { force: true }))
+      );
+    }
+  }
+);
+
+// Whether a user importing `allowedBuildingType` (null for admin) may see
+// data of `buildingType`; MTR stations are shared
+const canReadBuildingType = (allowedBuildingType, buildingType) =>
+  !allowedBuildingType ||
+  buildingType === "MTR" ||
+  buildingType === allowedBuildingType;
+
+// GET /venue/:venueId/revisions - Imports and rollbacks of a venue, newest
+// first; the first one is what /building_data returns
+router.get("/venue/:venueId/revisions", userAuth, async (req, res) => {
+  try {
+    const allowedBuildingType = importBuildingType(req, res);
+    if (allowedBuildingType === undefined) return;
+    const revisions = await utils.venueRevisionService.list(req.params.venueId);
+    if (revisions.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "No revisions found for this venue" });
+    }
+    if (!canReadBuildingType(allowedBuildingType, revisions[0].buildingType)) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden: not allowed to access this venue's data" });
+    }
+    res.json({ venue_id: req.params.venueId, revisions });
+  } catch (err) {
+    console.error("Error fetching venue revisions:", err.message);
+    res.status(500).json({ error: "Failed to fetch venue revisions" });
+  }
+});
+
+// GET /venue/:venueId/revisions/diff?from=...&to=...&tolerance=... - Added,
+// removed and modified units, openings, amenities and occupants from one
+// revision to another (default the current one); geometries moving less
+// than `tolerance` metres (default 0.5) count as unchanged
+router.get("/venue/:venueId/revisions/diff", userAuth, async (req, res) => {
+  try {
+    const allowedBuildingType = importBuildingType(req, res);
+    if (allowedBuildingType === undefined) return;
+    const { venueId } = req.params;
+    const from = Number(req.query.from);
+    const to = req.query.to === undefined ? null : Number(req.query.to);
+    const tolerance =
+      req.query.tolerance === undefined
+        ? DEFAULT_MOVE_TOLERANCE
+        : Number(req.query.tolerance);
+    if (!Number.isInteger(from) || (to !== null && !Number.isInteger(to))) {
+      return res
+        .status(400)
+        .json({ error: "from and to must be revision numbers" });
+    }
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      return res
+        .status(400)
+        .json({ error: "tolerance must be a non-negative number of metres" });
+    }
+    const toRevision =
+      to ?? (await utils.venueRevisionService.list(venueId))[0]?.revision;
+    const [older, newer] = await Promise.all([
+      utils.venueRevisionService.get(venueId, from),
+      toRevision === undefined
+        ? null
+        : utils.venueRevisionService.get(venueId, toRevision),
+    ]);
+    if (!older || !newer) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+    if (
+      !canReadBuildingType(allowedBuildingType, older.buildingType) ||
+      !canReadBuildingType(allowedBuildingType, newer.buildingType)
+    ) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden: not allowed to access this venue's data" });
+    }
+    res.json({
+      venue_id: venueId,
+      from,
+      to: toRevision,
+      ...diffBuildingData(older.buildingData, newer.buildingData, {
+        tolerance,
+      }),
+    });
+  } catch (err) {
+    console.error("Error comparing venue revisions:", err.message);
+    res.status(500).json({ error: "Failed to compare venue revisions" });
+  }
+});
+
+// GET /venue/:venueId/revisions/:revision - Building data of a revision in
+// the shape of /building_data, with the revision's summary
+router.get(
+  "/venue/:venueId/revisions/:revision",
+  userAuth,
+  async (req, res) => {
+    try {
+      const allowedBuildingType = importBuildingType(req, res);
+      if (allowedBuildingType === undefined) return;
+      const revisionNumber = Number(req.params.revision);
+      if (!Number.isInteger(revisionNumber)) {
+        return res.status(400).json({ error: "Invalid revision" });
+      }
+      const revision = await utils.venueRevisionService.get(
+        req.params.venueId,
+        revisionNumber
+      );
+      if (!revision) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      if (!canReadBuildingType(allowedBuildingType, revision.buildingType)) {
+        return res.status(403).json({
+          error: "Forbidden: not allowed to access this venue's data",
+        });
+      }
+      const { venue, buildingData, ...summary } = revision;
+      res.json({
+        ...utils.convertToCesiumFeatureCollection(buildingData),
+        revision: summary,
+      });
+    } catch (err) {
+      console.error("Error fetching venue revision:", err.message);
+      res.status(500).json({ error: "Failed to fetch venue revision" });
+    }
+  }
+);
+
+// POST /venue/:venueId/revisions/:revision/rollback - Make a revision the
+// venue's current data again, recorded as a new revision. Non-admin users
+// roll back venues of their own building type to revisions of that type.
+router.post(
+  "/venue/:venueId/revisions/:revision/rollback",
+  userAuth,
+  async (req, res) => {
+    try {
+      const allowedBuildingType = importBuildingType(req, res);
+      if (allowedBuildingType === undefined) return;
+      const { venueId } = req.params;
+      const revisionNumber = Number(req.params.revision);
+      if (!Number.isInteger(revisionNumber)) {
+        return res.status(400).json({ error: "Invalid revision" });
+      }
+      const [current] = await utils.venueRevisionService.list(venueId);
+      const revision = await utils.venueRevisionService.get(
+        venueId,
+        revisionNumber
+      );
+      if (!current || !revision) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      if (
+        allowedBuildingType &&
+        (current.buildingType !== allowedBuildingType ||
+          revision.buildingType !== allowedBuildingType)
+      ) {
+        return res.status(403).json({
+          error: "Forbidden: not allowed to replace this venue's data",
+        });
+      }
+      const result = await utils.venueRevisionService.rollback(
+        venueId,
+        revisionNumber,
+        { importedBy: req.user.username }
+      );
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+      res.json({
+        ...result,
+        venue_id: venueId,
+        rolledBackFrom: revisionNumber,
+      });
+    } catch (err) {
+      console.error("Error rolling back venue:", err.message);
+      res.status(500).json({ error: "Failed to roll back venue" });
+    }
+  }
+);
+
 router.get("/icons/:category", async (req, res) => {
   try {
     const category = req.params.category;
@@ -8,6 +8,7 @@ import { MONGO_COLLECTIONS } from "../../config/collections.js";
 import { POSTGIS_TABLE } from "../../config/postgistable.js";
 import { Utils } from "../services/utils.js";
 import { NetworkService } from "../services/networkService.js";
+import { JobService } from "../services/jobService.js";
 
 const router = express.Router();
 
@@ -15,6 +16,7 @@ const mongoDbName = process.env.MONGO_INITDB_DATABASE;
 const mongoDbService = new MongoDbService(mongoDbName);
 const postgisService = new PostgisService();
 const networkService = new NetworkService();
+const jobService = new JobService();
 const utils = new Utils();
 
 router.get("/test-db", async (req, res) => {
@@ -44,12 +46,13 @@ router.get("/test-db", async (req, res) => {
   res.json({ mongo: mongoResult, postgis: pgResult });
 });
 
-// GET /test-read-json?file=filename.json
+// GET /test-read-json - Import every venue file in testing-data/indoor/latest
+// as a background job, poll GET /api/jobs/:id for progress. ?strict=true
+// refuses files with validation errors, not only fatal ones; ?dry_run=true
+// previews the changes per file without writing
 router.get("/test-read-json", async (req, res) => {
   const testDir = "./testing-data/indoor/latest";
-  const failedList = [];
   try {
-    const jsonfiles = await fs.readdirSync(testDir);
     if (!fs.existsSync(testDir)) {
       return res.status(404).json({
         error: "Directory not found",
@@ -57,36 +60,32 @@ router.get("/test-read-json", async (req, res) => {
         message: "Please ensure testing-data directory is mounted or exists",
       });
     }
+    const jsonfiles = await fs.promises.readdir(testDir);
     if (jsonfiles.length === 0) {
       return res.status(404).json({
         error: "No JSON files found",
         path: testDir,
       });
     }
-    for (let jf of jsonfiles) {
-      const filePath = path.join(testDir, jf);
-      if (!filePath) {
-        return res
-          .status(400)
-          .json({ error: "Missing 'file' query parameter" });
-      }
-      const jsonService = new JsonFileService();
-      const json = await jsonService.readJson(filePath);
-      const venues = await utils.convertToVenueMongoDBTable(json.data);
-      if (typeof venues === "string") {
-        failedList.push(venues);
-      }
-      console.log("Read JSON from", filePath, ":", json);
-    }
-    res.json({
+    const filePaths = jsonfiles.map((jf) => path.join(testDir, jf));
+    const strict = req.query.strict === "true";
+    const dryRun = req.query.dry_run === "true";
+    const job = await jobService.submit(
+      "venue-import",
+      { directory: testDir, files: jsonfiles, strict, dryRun },
+      (context) =>
+        utils.importVenueFiles(filePaths, context, { strict, dryRun })
+    );
+    res.status(202).json({
       success: true,
-      processedFiles: jsonfiles.length,
-      failedFiles: failedList.length,
-      failures: failedList,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      totalFiles: jsonfiles.length,
     });
   } catch (err) {
-    console.error("Error reading JSON file:", err.message);
-    res.status(500).json({ error: "Failed to read or parse file" });
+    console.error("Error submitting venue import:", err.message);
+    res.status(500).json({ error: "Failed to submit venue import" });
   }
 });
 
@@ -107,14 +106,17 @@ router.get("/test-venue-data-by-buildingType", async (req, res) => {
   }
 });
 
-// POST /testing/import-indoor-network - Import indoor network data from JSON to PostGIS
+// POST /testing/import-indoor-network - Import every network file in
+// testing-data/network/latest as a background job, poll GET /api/jobs/:id for progress
 router.post("/import-indoor-network", async (req, res) => {
   const testDir = "./testing-data/network/latest";
-  const failedList = [];
   try {
-    const { batchSize = 50, clearExisting = true } = req.body;
+    const {
+      batchSize = 500,
+      clearExisting = true,
+      mode = "replace",
+    } = req.body;
 
-    const jsonfiles = await fs.promises.readdir(testDir);
     if (!fs.existsSync(testDir)) {
       return res.status(404).json({
         error: "Directory not found",
@@ -122,6 +124,7 @@ router.post("/import-indoor-network", async (req, res) => {
         message: "Please ensure testing-data directory is mounted or exists",
       });
     }
+    const jsonfiles = await fs.promises.readdir(testDir);
     // Test PostGIS connection first
     const connectionOk = await postgisService.testConnection();
     if (!connectionOk) {
@@ -131,47 +134,32 @@ router.post("/import-indoor-network", async (req, res) => {
       });
     }
 
-    // Track progress for API response
-    let progressData = {};
-    for (let jf of jsonfiles) {
-      const filePath = path.join(testDir, jf);
-      if (!filePath) {
-        return res
-          .status(400)
-          .json({ error: "Missing 'file' query parameter" });
-      }
-      const progressCallback = (progress) => {
-        progressData = progress;
-        console.log(
-          `📊 Import Progress: ${progress.progressPercent}% (Batch ${progress.batchIndex}/${progress.totalBatches})`
-        );
-      };
-      // Execute the import
-      const importResults = await networkService.importIndoorNetwork(filePath, {
-        batchSize: parseInt(batchSize),
-        clearExisting: Boolean(clearExisting),
-        progressCallback,
-      });
-      if (!importResults || !importResults.success) {
-        failedList.push({
-          file: jf,
-          error: importResults.error,
-        });
-      }
-    }
+    const options = {
+      batchSize: parseInt(batchSize),
+      clearExisting: Boolean(clearExisting),
+      mode,
+    };
+    const filePaths = jsonfiles.map((jf) => path.join(testDir, jf));
+    const job = await jobService.submit(
+      "network-import",
+      { directory: testDir, files: jsonfiles, ...options },
+      (context) =>
+        networkService.importNetworkFiles(filePaths, options, context)
+    );
 
-    // Return comprehensive results
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: "Indoor network import completed successfully",
-      failedList: failedList,
+      message: "Indoor network import submitted",
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      totalFiles: jsonfiles.length,
     });
   } catch (error) {
-    console.error(`❌ Import failed:`, error);
+    console.error(`❌ Import submission failed:`, error);
 
     res.status(500).json({
       success: false,
-      failedList: failedList,
       error: error.message,
       type: "ImportError",
     });
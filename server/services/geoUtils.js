@@ -0,0 +1,239 @@
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance in metres between two [lon, lat] positions
+ */
+export function haversineDistance(a, b) {
+  const dLat = toRadians(b[1] - a[1]);
+  const dLon = toRadians(b[0] - a[0]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a[1])) *
+      Math.cos(toRadians(b[1])) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 3D distance in metres between two [lon, lat, z] positions
+ */
+export function distance3D(a, b) {
+  const horizontal = haversineDistance(a, b);
+  const dz = (b[2] || 0) - (a[2] || 0);
+  return Math.sqrt(horizontal * horizontal + dz * dz);
+}
+
+/**
+ * 3D length in metres of a LineString coordinate array
+ */
+export function lineLength3D(coordinates) {
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    length += distance3D(coordinates[i - 1], coordinates[i]);
+  }
+  return length;
+}
+
+/**
+ * Average position of a Polygon / MultiPolygon outer ring (or a Point),
+ * good enough to place a unit or amenity on the network
+ */
+export function geometryCentroid(geometry) {
+  if (!geometry || !geometry.coordinates) return null;
+  let ring;
+  switch (geometry.type) {
+    case "Point":
+      return geometry.coordinates;
+    case "Polygon":
+      ring = geometry.coordinates[0];
+      break;
+    case "MultiPolygon":
+      ring = geometry.coordinates[0][0];
+      break;
+    default:
+      return null;
+  }
+  // The closing vertex repeats the first one
+  const vertices = ring.length > 1 ? ring.slice(0, -1) : ring;
+  const sum = vertices.reduce(
+    (acc, c) => [acc[0] + c[0], acc[1] + c[1], acc[2] + (c[2] || 0)],
+    [0, 0, 0]
+  );
+  return sum.map((v) => v / vertices.length);
+}
+
+/**
+ * Part of a LineString between two fractions of its 3D length
+ * @param {Array} coordinates - LineString coordinates
+ * @param {number} startFraction - 0 is the first vertex
+ * @param {number} endFraction - 1 is the last vertex
+ * @returns {Array} Coordinates of the sub-line, cut points interpolated
+ */
+export function lineSubstring(coordinates, startFraction, endFraction) {
+  const total = lineLength3D(coordinates);
+  if (total === 0) return [coordinates[0], coordinates[0]];
+  const start = startFraction * total;
+  const end = endFraction * total;
+  const interpolate = (a, b, t) => a.map((v, i) => v + ((b[i] || 0) - v) * t);
+
+  const result = [];
+  let travelled = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = coordinates[i - 1];
+    const b = coordinates[i];
+    const segment = distance3D(a, b);
+    const next = travelled + segment;
+    if (next >= start && travelled <= end && segment > 0) {
+      if (result.length === 0) {
+        result.push(
+          interpolate(a, b, Math.max(0, start - travelled) / segment)
+        );
+      }
+      if (next <= end) {
+        result.push(b);
+      } else {
+        result.push(interpolate(a, b, (end - travelled) / segment));
+        break;
+      }
+    }
+    travelled = next;
+  }
+  return result.length > 1 ? result : [coordinates[0], coordinates[0]];
+}
+
+const pointInRing = (point, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (
+      yi > point[1] !== yj > point[1] &&
+      point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a [lon, lat] position lies inside a Polygon / MultiPolygon (holes excluded)
+ */
+export function pointInGeometry(point, geometry) {
+  if (!geometry || !geometry.coordinates) return false;
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+      ? geometry.coordinates
+      : [];
+  return polygons.some(
+    ([outer, ...holes]) =>
+      pointInRing(point, outer) && !holes.some((h) => pointInRing(point, h))
+  );
+}
+
+// Fractions along p1-p2 where it crosses segment q1-q2, planar in degrees
+const crossingFraction = (p1, p2, q1, q2) => {
+  const r = [p2[0] - p1[0], p2[1] - p1[1]];
+  const s = [q2[0] - q1[0], q2[1] - q1[1]];
+  const denominator = r[0] * s[1] - r[1] * s[0];
+  if (denominator === 0) return null;
+  const d = [q1[0] - p1[0], q1[1] - p1[1]];
+  const t = (d[0] * s[1] - d[1] * s[0]) / denominator;
+  const u = (d[0] * r[1] - d[1] * r[0]) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+};
+
+/**
+ * Where segment a-b first enters a Polygon / MultiPolygon: 0 when `a` lies
+ * inside, the fraction along the segment of the boundary crossing after
+ * which it runs inside, null when it stays outside (touching the boundary,
+ * as an edge ending at a doorway does, is not entering)
+ */
+export function segmentEntry(a, b, geometry) {
+  const polygons =
+    geometry?.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry?.type === "MultiPolygon"
+      ? geometry.coordinates
+      : [];
+  const fractions = [0, 1];
+  polygons.forEach((rings) =>
+    rings.forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        const t = crossingFraction(a, b, ring[i - 1], ring[i]);
+        if (t !== null) fractions.push(t);
+      }
+    })
+  );
+  fractions.sort((x, y) => x - y);
+  const at = (t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  for (let i = 1; i < fractions.length; i++) {
+    const [from, to] = [fractions[i - 1], fractions[i]];
+    if (to > from && pointInGeometry(at((from + to) / 2), geometry)) {
+      return from;
+    }
+  }
+  return null;
+}
+
+/**
+ * Initial compass bearing in degrees (0 = north, clockwise) from a to b
+ */
+export function bearing(a, b) {
+  const lat1 = toRadians(a[1]);
+  const lat2 = toRadians(b[1]);
+  const dLon = toRadians(b[0] - a[0]);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x =
+    Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Shortest horizontal distance in metres between segment a1-a2 and segment
+ * b1-b2 of [lon, lat] positions, 0 when they cross. Planar around a1, which
+ * is accurate at building scale.
+ */
+export function segmentDistance(a1, a2, b1, b2) {
+  const kx = toRadians(EARTH_RADIUS_M) * Math.cos(toRadians(a1[1]));
+  const ky = toRadians(EARTH_RADIUS_M);
+  const [p1, p2, q1, q2] = [a1, a2, b1, b2].map((c) => [
+    (c[0] - a1[0]) * kx,
+    (c[1] - a1[1]) * ky,
+  ]);
+  const side = (o, a, b) =>
+    Math.sign((a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]));
+  if (
+    side(q1, q2, p1) * side(q1, q2, p2) < 0 &&
+    side(p1, p2, q1) * side(p1, p2, q2) < 0
+  ) {
+    return 0;
+  }
+  const toSegment = (p, a, b) => {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(
+            0,
+            Math.min(
+              1,
+              ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared
+            )
+          );
+    return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+  };
+  return Math.min(
+    toSegment(p1, q1, q2),
+    toSegment(p2, q1, q2),
+    toSegment(q1, p1, p2),
+    toSegment(q2, p1, p2)
+  );
+}
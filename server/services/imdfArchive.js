@@ -0,0 +1,265 @@
+import path from "path";
+import { JsonFileService } from "./JsonFileService.js";
+
+/**
+ * Standard Apple IMDF archives (a zip of one GeoJSON file per feature type
+ * and a manifest.json) turned into the wrapped venue JSON that
+ * Utils.convertToVenueMongoDBTable stores as venue / building_data.
+ */
+
+// Files read from an archive, keyed by IMDF feature type
+export const IMDF_FILES = {
+  manifest: "manifest.json",
+  address: "address.geojson",
+  venue: "venue.geojson",
+  building: "building.geojson",
+  footprint: "footprint.geojson",
+  level: "level.geojson",
+  unit: "unit.geojson",
+  opening: "opening.geojson",
+  amenity: "amenity.geojson",
+  anchor: "anchor.geojson",
+  occupant: "occupant.geojson",
+  window: "window.geojson",
+};
+
+const REQUIRED_FILES = ["manifest", "venue", "level", "unit", "opening"];
+
+// Metres between two level ordinals when the archive has no heights (IMDF
+// geometries are 2D, the viewer stacks features by their z)
+export const DEFAULT_LEVEL_HEIGHT = 4;
+
+/**
+ * Read the IMDF files of an uploaded archive
+ * @param {Array<{name: string, path: string}>} files - expandUploadedFiles result
+ * @returns {Object} { manifest, collections: { venue: FeatureCollection, ... } }
+ * @throws {Error} When a feature type is found twice or a file is not JSON
+ */
+export async function readImdfArchive(files) {
+  const jsonService = new JsonFileService();
+  const byName = new Map();
+  files.forEach((file) => {
+    const name = path.basename(file.name).toLowerCase();
+    if (byName.has(name)) {
+      throw new Error(`${name} is found more than once in the archive`);
+    }
+    byName.set(name, file);
+  });
+
+  const archive = { manifest: null, collections: {} };
+  for (const [type, fileName] of Object.entries(IMDF_FILES)) {
+    const file = byName.get(fileName);
+    if (!file) continue;
+    let json;
+    try {
+      json = await jsonService.readJson(file.path);
+    } catch (error) {
+      throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+    }
+    if (type === "manifest") archive.manifest = json;
+    else archive.collections[type] = json;
+  }
+  return archive;
+}
+
+/**
+ * Problems preventing an archive from being imported, empty when it can be
+ * @param {Object} archive - readImdfArchive result
+ * @returns {Array<string>}
+ */
+export function validateImdfArchive({ manifest, collections }) {
+  const errors = [];
+  REQUIRED_FILES.forEach((type) => {
+    if (type === "manifest" ? !manifest : !collections[type]) {
+      errors.push(`Missing ${IMDF_FILES[type]}`);
+    }
+  });
+  if (manifest && !manifest.version) {
+    errors.push("manifest.json has no version");
+  }
+  Object.entries(collections).forEach(([type, collection]) => {
+    if (
+      collection?.type !== "FeatureCollection" ||
+      !Array.isArray(collection.features)
+    ) {
+      errors.push(`${IMDF_FILES[type]} is not a FeatureCollection`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  if (collections.venue.features.length !== 1) {
+    errors.push(
+      `venue.geojson must hold exactly one venue, found ${collections.venue.features.length}`
+    );
+  }
+  collections.level.features.forEach((level) => {
+    if (!Number.isFinite(level.properties?.ordinal)) {
+      errors.push(`Level ${level.id} has no ordinal`);
+    }
+  });
+  const levelIds = new Set(collections.level.features.map((l) => l.id));
+  ["unit", "opening"].forEach((type) => {
+    collections[type].features.forEach((feature) => {
+      if (!levelIds.has(feature.properties?.level_id)) {
+        errors.push(`${type} ${feature.id} is on unknown level`);
+      }
+    });
+  });
+  // Occupants take the position of their anchor
+  const anchorIds = new Set(
+    (collections.anchor?.features || []).map((a) => a.id)
+  );
+  (collections.occupant?.features || []).forEach((occupant) => {
+    if (!anchorIds.has(occupant.properties?.anchor_id)) {
+      errors.push(`occupant ${occupant.id} has no anchor`);
+    }
+  });
+  // The first 100 problems are enough to fix an archive
+  return errors.slice(0, 100);
+}
+
+// Coordinates with z added where they are 2D
+const withZ = (coords, z) =>
+  typeof coords[0] === "number"
+    ? coords.length >= 3
+      ? coords
+      : [coords[0], coords[1], z]
+    : coords.map((c) => withZ(c, z));
+
+const liftFeature = (feature, z) =>
+  feature.geometry && z !== undefined
+    ? {
+        ...feature,
+        geometry: {
+          ...feature.geometry,
+          coordinates: withZ(feature.geometry.coordinates, z),
+        },
+      }
+    : feature;
+
+// IMDF labels are keyed by language tag ("zh-Hant-HK"), the stored
+// documents read `en` and `zh`
+const normalizeLabels = (labels) => {
+  if (!labels || typeof labels !== "object") return labels;
+  const result = { ...labels };
+  ["en", "zh"].forEach((language) => {
+    if (result[language] !== undefined) return;
+    const key = Object.keys(labels).find((k) =>
+      k.toLowerCase().startsWith(`${language}-`)
+    );
+    if (key) result[language] = labels[key];
+  });
+  return result;
+};
+
+const withProperties = (feature, properties) => ({
+  ...feature,
+  properties: { ...feature.properties, ...properties },
+});
+
+const wrap = (features) => ({
+  content: { type: "FeatureCollection", features },
+});
+
+/**
+ * Wrapped venue JSON of an archive, in the shape of the supplier files read
+ * by Utils.convertToVenueMongoDBTable. Features on a level get the height of
+ * the level's ordinal where their geometry is 2D.
+ * @param {Object} archive - readImdfArchive result, validated
+ * @param {Object} metadata
+ * @param {string} metadata.buildingType - HA, LCSD, DH or MTR
+ * @param {string} [metadata.region]
+ * @param {string} [metadata.displayName] - Defaults to the venue name
+ * @param {string} [metadata.buildingName] - Defaults to the venue name
+ * @param {number} [metadata.levelHeight] - Metres between two ordinals
+ * @param {number} [metadata.height] - Defaults to the top of the highest level
+ * @param {number} [metadata.min_height] - Defaults to the lowest level
+ * @returns {Object} Wrapped venue data
+ */
+export function imdfToVenueData({ manifest, collections }, metadata) {
+  const { buildingType, levelHeight = DEFAULT_LEVEL_HEIGHT } = metadata;
+  const features = (type) => collections[type]?.features || [];
+
+  const levelZ = new Map(
+    features("level").map((level) => [
+      level.id,
+      level.properties.ordinal * levelHeight,
+    ])
+  );
+  const unitLevel = new Map(
+    features("unit").map((unit) => [unit.id, unit.properties.level_id])
+  );
+  const onLevel = (levelId) => levelZ.get(levelId);
+
+  const levels = features("level").map((level) =>
+    liftFeature(
+      withProperties(level, { name: normalizeLabels(level.properties.name) }),
+      onLevel(level.id)
+    )
+  );
+  const units = features("unit").map((unit) =>
+    liftFeature(
+      withProperties(unit, { name: normalizeLabels(unit.properties.name) }),
+      onLevel(unit.properties.level_id)
+    )
+  );
+  const openings = features("opening").map((opening) =>
+    liftFeature(
+      // Doors are optional in IMDF, the stored documents flatten them
+      withProperties(opening, { door: opening.properties.door || {} }),
+      onLevel(opening.properties.level_id)
+    )
+  );
+  // Amenities and anchors sit on the level of their (first) unit
+  const amenities = features("amenity").map((amenity) =>
+    liftFeature(
+      withProperties(amenity, {
+        name: normalizeLabels(amenity.properties.name),
+      }),
+      onLevel(unitLevel.get(amenity.properties.unit_ids?.[0]))
+    )
+  );
+  const anchors = features("anchor").map((anchor) =>
+    liftFeature(anchor, onLevel(unitLevel.get(anchor.properties.unit_id)))
+  );
+  const occupants = features("occupant").map((occupant) =>
+    withProperties(occupant, {
+      name: normalizeLabels(occupant.properties.name),
+    })
+  );
+  const windows = features("window").map((window) =>
+    liftFeature(window, onLevel(window.properties.level_id))
+  );
+
+  const venue = features("venue")[0];
+  const venueName = normalizeLabels(venue.properties.name) || {};
+  const ordinals = features("level").map((l) => l.properties.ordinal);
+  const data = {
+    venue: wrap([venue]),
+    address: wrap(features("address")),
+    building: wrap(features("building")),
+    footprint: wrap(features("footprint")),
+    level: wrap(levels),
+    unit: wrap(units),
+    opening: wrap(openings),
+    buildingType,
+    region: metadata.region ?? null,
+    displayName: metadata.displayName || venueName.en || venue.id,
+    buildingName: metadata.buildingName || venueName.en || venue.id,
+    height: metadata.height ?? (Math.max(...ordinals) + 1) * levelHeight,
+    min_height: metadata.min_height ?? Math.min(0, ...ordinals) * levelHeight,
+    LastAmendmentDate: manifest.created ?? null,
+  };
+  if (windows.length > 0) data.window = wrap(windows);
+  // Supplier files name these collections differently for MTR stations
+  if (buildingType === "MTR") {
+    data.amenity = wrap(amenities);
+    data.anchor = wrap(anchors);
+    data.occupant = wrap(occupants);
+  } else {
+    data.amenities = wrap(amenities);
+    data.anchors = wrap(anchors);
+    data.occupants = wrap(occupants);
+  }
+  return data;
+}
@@ -0,0 +1,216 @@
+import crypto from "crypto";
+import { PostgisService } from "../dbServices/PostgisService.js";
+import { POSTGIS_TABLE } from "../../config/postgistable.js";
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  // Stored as running but no longer owned by this process (server restarted)
+  INTERRUPTED: "interrupted",
+};
+
+// Jobs running in this process: id => { job, cancelRequested, lastSavedAt, saving }
+const runningJobs = new Map();
+
+// Minimum milliseconds between two progress writes of the same job
+const PROGRESS_SAVE_INTERVAL = 1000;
+
+export class JobService {
+  constructor() {
+    this.postgisService = new PostgisService();
+  }
+
+  /**
+   * Register a job and run it in the background
+   * @param {string} type - Job type, e.g. "network-import"
+   * @param {Object} params - Request parameters kept in the job history
+   * @param {Function} runner - async ({ reportProgress, isCancelled }) => result
+   * @param {Object} options
+   * @param {string} options.createdBy - Username of the submitter
+   * @returns {Object} The queued job
+   */
+  async submit(type, params, runner, { createdBy = null } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      params,
+      progress: null,
+      result: null,
+      error: null,
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+    };
+    await this.postgisService.query(
+      `INSERT INTO ${POSTGIS_TABLE.IMPORT_JOB} (id, type, status, params, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        job.id,
+        job.type,
+        job.status,
+        JSON.stringify(params),
+        createdBy,
+        job.created_at,
+      ]
+    );
+
+    const entry = {
+      job,
+      cancelRequested: false,
+      lastSavedAt: 0,
+      saving: Promise.resolve(),
+    };
+    runningJobs.set(job.id, entry);
+    // Start after the submitting request has been answered
+    setImmediate(() => this.run(entry, runner));
+    return { ...job };
+  }
+
+  async run(entry, runner) {
+    const { job } = entry;
+    job.status = JOB_STATUS.RUNNING;
+    job.started_at = new Date().toISOString();
+    console.log(`🏁 Job ${job.id} (${job.type}) started`);
+
+    try {
+      await this.queueSave(entry);
+      job.result = await runner({
+        reportProgress: (progress) => this.reportProgress(entry, progress),
+        isCancelled: () => entry.cancelRequested,
+      });
+      job.status = entry.cancelRequested
+        ? JOB_STATUS.CANCELLED
+        : JOB_STATUS.COMPLETED;
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error);
+      job.error = error.message;
+      job.status = entry.cancelRequested
+        ? JOB_STATUS.CANCELLED
+        : JOB_STATUS.FAILED;
+    } finally {
+      job.finished_at = new Date().toISOString();
+      // Served from memory until stored, so pollers never see it interrupted
+      await this.queueSave(entry);
+      runningJobs.delete(job.id);
+      console.log(`🏁 Job ${job.id} ${job.status}`);
+    }
+  }
+
+  reportProgress(entry, progress) {
+    entry.job.progress = progress;
+    const now = Date.now();
+    if (now - entry.lastSavedAt < PROGRESS_SAVE_INTERVAL) return;
+    entry.lastSavedAt = now;
+    this.queueSave(entry);
+  }
+
+  /**
+   * Save a job after its previous save, so an older progress update can
+   * never overwrite the final status
+   */
+  queueSave(entry) {
+    entry.saving = entry.saving
+      .then(() => this.save(entry.job))
+      .catch((error) =>
+        console.error(`❌ Failed to save job ${entry.job.id}:`, error)
+      );
+    return entry.saving;
+  }
+
+  async save(job) {
+    await this.postgisService.query(
+      `UPDATE ${POSTGIS_TABLE.IMPORT_JOB}
+       SET status = $2, progress = $3, result = $4, error = $5, started_at = $6, finished_at = $7
+       WHERE id = $1`,
+      [
+        job.id,
+        job.status,
+        JSON.stringify(job.progress),
+        JSON.stringify(job.result),
+        job.error,
+        job.started_at,
+        job.finished_at,
+      ]
+    );
+  }
+
+  /**
+   * Stored jobs still marked active but not running here were cut off by a restart
+   */
+  withLiveStatus(row) {
+    if (
+      [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(row.status) &&
+      !runningJobs.has(row.id)
+    ) {
+      return { ...row, status: JOB_STATUS.INTERRUPTED };
+    }
+    return row;
+  }
+
+  /**
+   * One job, null when absent or, with `createdBy`, submitted by someone else
+   */
+  async getJob(id, { createdBy = null } = {}) {
+    const job = await this.findJob(id);
+    return job && (createdBy === null || job.created_by === createdBy)
+      ? job
+      : null;
+  }
+
+  async findJob(id) {
+    if (runningJobs.has(id)) {
+      return { ...runningJobs.get(id).job };
+    }
+    const row = await this.postgisService.findOne(
+      POSTGIS_TABLE.IMPORT_JOB,
+      "WHERE id::text = $1",
+      [id]
+    );
+    return row ? this.withLiveStatus(row) : null;
+  }
+
+  /**
+   * Job history, newest first, only the jobs submitted by `createdBy` when set
+   */
+  async listJobs({ type = null, limit = 50, createdBy = null } = {}) {
+    const result = await this.postgisService.query(
+      `SELECT id, type, status, params, progress, error, created_by, created_at, started_at, finished_at
+       FROM ${POSTGIS_TABLE.IMPORT_JOB}
+       WHERE ($1::text IS NULL OR type = $1)
+         AND ($3::text IS NULL OR created_by = $3)
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [type, limit, createdBy]
+    );
+    return result.rows.map((row) => {
+      const live = runningJobs.get(row.id);
+      return live
+        ? { ...live.job, result: undefined }
+        : this.withLiveStatus(row);
+    });
+  }
+
+  /**
+   * Ask a running job to stop at its next checkpoint
+   * @returns {Object|null} The job, null when it is not running in this
+   *   process or, with `createdBy`, was submitted by someone else
+   */
+  cancel(id, { createdBy = null } = {}) {
+    const entry = runningJobs.get(id);
+    if (
+      !entry ||
+      entry.job.finished_at ||
+      (createdBy !== null && entry.job.created_by !== createdBy)
+    ) {
+      return null;
+    }
+    entry.cancelRequested = true;
+    console.log(`🛑 Cancellation requested for job ${id}`);
+    return { ...entry.job, cancelRequested: true };
+  }
+}
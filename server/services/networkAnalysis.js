@@ -0,0 +1,255 @@
+import { pointInGeometry, segmentEntry } from "./geoUtils.js";
+import {
+  isFlagSet,
+  walkingSeconds,
+  wheelchairBlockReason,
+} from "./routingProfiles.js";
+
+// [minLon, minLat, maxLon, maxLat] of a Polygon / MultiPolygon
+const geometryBounds = (geometry) => {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coords) => {
+    if (typeof coords[0] === "number") {
+      bounds[0] = Math.min(bounds[0], coords[0]);
+      bounds[1] = Math.min(bounds[1], coords[1]);
+      bounds[2] = Math.max(bounds[2], coords[0]);
+      bounds[3] = Math.max(bounds[3], coords[1]);
+      return;
+    }
+    coords.forEach(visit);
+  };
+  if (geometry && geometry.coordinates) visit(geometry.coordinates);
+  return bounds;
+};
+
+const inBounds = (point, b) =>
+  point[0] >= b[0] && point[0] <= b[2] && point[1] >= b[1] && point[1] <= b[3];
+
+/**
+ * Whether an IMDF category is `category` or one of its subcategories
+ * ("restroom" matches "restroom.female")
+ */
+export function categoryMatches(value, category) {
+  return value === category || String(value || "").startsWith(`${category}.`);
+}
+
+// Whether the box around segment a-b overlaps bounds b
+const segmentInBounds = (a, b, bounds) =>
+  Math.max(a[0], b[0]) >= bounds[0] &&
+  Math.min(a[0], b[0]) <= bounds[2] &&
+  Math.max(a[1], b[1]) >= bounds[1] &&
+  Math.min(a[1], b[1]) <= bounds[3];
+
+/**
+ * Lowest cost at which reachable network segments enter each unit, where a
+ * vertex lies inside it or a segment part crosses into it
+ * @param {Array} segments - NetworkGraph.reachableSegments result
+ * @param {Array} units - building_data units (IMDF features with level_id)
+ * @returns {Map<string, number>} unit id => cost
+ */
+export function unitsTouched(segments, units) {
+  const unitsByLevel = new Map();
+  units.forEach((unit) => {
+    const levelId = unit.properties?.level_id;
+    if (!unitsByLevel.has(levelId)) unitsByLevel.set(levelId, []);
+    unitsByLevel
+      .get(levelId)
+      .push({ unit, bounds: geometryBounds(unit.geometry) });
+  });
+
+  const unitCosts = new Map();
+  const reach = (unit, cost) => {
+    if (!unitCosts.has(unit.id) || cost < unitCosts.get(unit.id)) {
+      unitCosts.set(unit.id, cost);
+    }
+  };
+  segments.forEach((segment) => {
+    const levelUnits = unitsByLevel.get(segment.edge.properties.level_id) || [];
+    const { coordinates, costs } = segment;
+    coordinates.forEach((coord, i) => {
+      levelUnits.forEach(({ unit, bounds }) => {
+        if (inBounds(coord, bounds) && pointInGeometry(coord, unit.geometry)) {
+          reach(unit, costs[i]);
+        }
+        if (i === 0 || !segmentInBounds(coordinates[i - 1], coord, bounds)) {
+          return;
+        }
+        const entry = segmentEntry(coordinates[i - 1], coord, unit.geometry);
+        if (entry !== null) {
+          reach(unit, costs[i - 1] + (costs[i] - costs[i - 1]) * entry);
+        }
+      });
+    });
+  });
+  return unitCosts;
+}
+
+/**
+ * Cost of each amenity, that of the cheapest touched unit it belongs to
+ * @param {Array} amenities - building_data amenities (with `unit_ids`)
+ * @param {Map<string, number>} unitCosts - unitsTouched result
+ * @returns {Array<{amenity: Object, unitId: string, cost: number}>}
+ */
+export function amenitiesInUnits(amenities, unitCosts) {
+  const reached = [];
+  amenities.forEach((amenity) => {
+    let best = null;
+    (amenity.properties?.unit_ids || []).forEach((unitId) => {
+      const cost = unitCosts.get(unitId);
+      if (cost !== undefined && (!best || cost < best.cost)) {
+        best = { amenity, unitId, cost };
+      }
+    });
+    if (best) reached.push(best);
+  });
+  return reached;
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Timestamp of a stored date, null when it cannot be parsed
+const dateValue = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const time =
+    value instanceof Date ? value.getTime() : Date.parse(String(value));
+  return Number.isNaN(time) ? null : time;
+};
+
+const newTotals = () => ({
+  edges: 0,
+  length: 0,
+  wheelchairAccessibleLength: 0,
+  weatherproofLength: 0,
+  barriers: 0,
+  exits: 0,
+  emergencyEdges: 0,
+  lastAmendmentDate: null,
+});
+
+const addEdge = (totals, edge, lastAmendment) => {
+  const props = edge.properties;
+  totals.edges++;
+  totals.length += edge.length;
+  if (!wheelchairBlockReason(edge)) {
+    totals.wheelchairAccessibleLength += edge.length;
+  }
+  if (isFlagSet(props.weatherproof)) totals.weatherproofLength += edge.length;
+  if (Number(props.wheelchairbarrier) === 1) totals.barriers++;
+  if (props.exit === true) totals.exits++;
+  if (isFlagSet(props.emergency)) totals.emergencyEdges++;
+  if (
+    lastAmendment !== null &&
+    (totals.lastAmendmentDate === null ||
+      lastAmendment > totals.lastAmendmentDate)
+  ) {
+    totals.lastAmendmentDate = lastAmendment;
+  }
+};
+
+const finishTotals = (totals) => ({
+  ...totals,
+  length: round2(totals.length),
+  wheelchairAccessibleLength: round2(totals.wheelchairAccessibleLength),
+  wheelchairAccessibleShare:
+    totals.length > 0
+      ? round2(totals.wheelchairAccessibleLength / totals.length)
+      : null,
+  weatherproofLength: round2(totals.weatherproofLength),
+  weatherproofShare:
+    totals.length > 0
+      ? round2(totals.weatherproofLength / totals.length)
+      : null,
+  lastAmendmentDate:
+    totals.lastAmendmentDate === null
+      ? null
+      : new Date(totals.lastAmendmentDate).toISOString(),
+});
+
+/**
+ * Length (3D, metres) and attribute statistics of a network, for the whole
+ * venue, per level and per `highway` type
+ * @param {Array} edges - NetworkGraph edges
+ * @returns {{totals: Object, levels: Array, highways: Array}}
+ */
+export function networkStatistics(edges) {
+  const totals = newTotals();
+  const levels = new Map();
+  const highways = new Map();
+
+  edges.forEach((edge) => {
+    const props = edge.properties;
+    const lastAmendment = dateValue(props.lastamendment_date);
+    if (!levels.has(props.level_id)) {
+      levels.set(props.level_id, {
+        level_id: props.level_id,
+        LevelEnglishName: props.level_english_name,
+        LevelChineseName: props.level_chinese_name,
+        ...newTotals(),
+      });
+    }
+    const highway = props.highway || "unknown";
+    if (!highways.has(highway)) {
+      highways.set(highway, { highway, ...newTotals() });
+    }
+    addEdge(totals, edge, lastAmendment);
+    addEdge(levels.get(props.level_id), edge, lastAmendment);
+    addEdge(highways.get(highway), edge, lastAmendment);
+  });
+
+  return {
+    totals: finishTotals(totals),
+    levels: [...levels.values()].map(finishTotals),
+    highways: [...highways.values()]
+      .map(finishTotals)
+      .sort((a, b) => b.length - a.length),
+  };
+}
+
+// Distance and walking time of the search tree path to a node, filled in
+// for every node on the way so shared path prefixes are walked once
+const pathTotals = (previous, nodeId, memo) => {
+  const chain = [];
+  let current = nodeId;
+  while (!memo.has(current)) {
+    const link = previous.get(current);
+    if (!link) {
+      // A start node
+      memo.set(current, { distance: 0, seconds: 0 });
+      break;
+    }
+    chain.push(current);
+    current = link.from;
+  }
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const link = previous.get(chain[i]);
+    const base = memo.get(link.from);
+    memo.set(chain[i], {
+      distance: base.distance + link.edge.length,
+      seconds: base.seconds + walkingSeconds(link.edge),
+    });
+  }
+  return memo.get(nodeId);
+};
+
+/**
+ * One row of a walking matrix: distance (metres) and time (seconds) from
+ * an origin node to each destination node along the cheapest path of a
+ * single search
+ * @param {NetworkGraph} graph
+ * @param {string} originId - Node id
+ * @param {Array<string|null>} destinationIds - Node ids, null for unresolved destinations
+ * @param {Object} searchOptions - edgeFilter / edgeCost of NetworkGraph.search
+ * @returns {{distances: Array<number|null>, durations: Array<number|null>}}
+ *   null where a destination cannot be reached
+ */
+export function matrixRow(graph, originId, destinationIds, searchOptions) {
+  const { costs, previous } = graph.search(originId, searchOptions);
+  const memo = new Map();
+  const totals = destinationIds.map((id) =>
+    id !== null && costs.has(id) ? pathTotals(previous, id, memo) : null
+  );
+  return {
+    distances: totals.map((t) => (t ? t.distance : null)),
+    durations: totals.map((t) => (t ? t.seconds : null)),
+  };
+}
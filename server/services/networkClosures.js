@@ -0,0 +1,163 @@
+import { segmentDistance, segmentEntry } from "./geoUtils.js";
+
+/**
+ * Temporary closures (renovation, incident) of units, openings and network
+ * edges. A closure is active from `starts_at` until `expires_at`; routing
+ * leaves out closed edges, the edges running into or across closed units
+ * and those passing through closed openings.
+ */
+
+export const CLOSURE_TARGETS = ["unit", "opening", "edge"];
+
+// Metres an edge may pass from a closed opening and still go through it
+export const OPENING_EDGE_TOLERANCE = 0.5;
+
+const MAX_REASON_LENGTH = 500;
+
+const CLOSURE_FIELDS = [
+  "target_type",
+  "target_id",
+  "reason",
+  "starts_at",
+  "expires_at",
+];
+
+const dateOf = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Problems with a new closure, empty when it can be stored
+ * @param {Object} closure - { target_type, target_id, reason, starts_at?, expires_at }
+ * @param {Date} now
+ * @returns {Array<string>}
+ */
+export function validateClosure(closure, now = new Date()) {
+  if (!closure || typeof closure !== "object" || Array.isArray(closure)) {
+    return ["Closure must be an object"];
+  }
+  const errors = [];
+  if (!CLOSURE_TARGETS.includes(closure.target_type)) {
+    errors.push(`target_type must be one of ${CLOSURE_TARGETS.join(", ")}`);
+  }
+  if (
+    closure.target_id === undefined ||
+    closure.target_id === null ||
+    String(closure.target_id).trim() === ""
+  ) {
+    errors.push("target_id is required");
+  }
+  if (typeof closure.reason !== "string" || closure.reason.trim() === "") {
+    errors.push("reason is required");
+  } else if (closure.reason.length > MAX_REASON_LENGTH) {
+    errors.push(`reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+  const startsAt =
+    closure.starts_at === undefined ? now : dateOf(closure.starts_at);
+  const expiresAt = dateOf(closure.expires_at);
+  if (!startsAt) {
+    errors.push("starts_at must be an ISO 8601 date and time");
+  }
+  if (!expiresAt) {
+    errors.push("expires_at must be an ISO 8601 date and time");
+  } else if (expiresAt <= now) {
+    errors.push("expires_at must be in the future");
+  } else if (startsAt && expiresAt <= startsAt) {
+    errors.push("expires_at must be after starts_at");
+  }
+  const unknown = Object.keys(closure).filter(
+    (key) => !CLOSURE_FIELDS.includes(key)
+  );
+  if (unknown.length > 0) {
+    errors.push(`Unknown closure fields: ${unknown.join(", ")}`);
+  }
+  return errors;
+}
+
+const lineParts = (geometry) =>
+  geometry?.type === "LineString"
+    ? [geometry.coordinates]
+    : geometry?.type === "MultiLineString"
+    ? geometry.coordinates
+    : [];
+
+/**
+ * Edges of an opening's level that cross it or pass within `tolerance`
+ * metres of it
+ * @param {NetworkGraph} graph
+ * @param {Object} opening - IMDF opening (LineString with level_id)
+ * @returns {Array<string>} Edge ids
+ */
+export function edgesThroughOpening(
+  graph,
+  opening,
+  tolerance = OPENING_EDGE_TOLERANCE
+) {
+  const doorways = lineParts(opening.geometry);
+  const levelId = opening.properties?.level_id;
+  return graph.edges
+    .filter((edge) => edge.properties.level_id === levelId)
+    .filter((edge) =>
+      edge.coordinates.some(
+        (a, i) =>
+          i > 0 &&
+          doorways.some((line) =>
+            line.some(
+              (b, j) =>
+                j > 0 &&
+                segmentDistance(edge.coordinates[i - 1], a, line[j - 1], b) <=
+                  tolerance
+            )
+          )
+      )
+    )
+    .map((edge) => String(edge.id));
+}
+
+/**
+ * Edges of a unit's level that run into or across it, not those only
+ * touching its outline
+ * @param {NetworkGraph} graph
+ * @param {Array<Object>} units - IMDF units (Polygon with level_id)
+ * @returns {Array<string>} Edge ids
+ */
+export function edgesInUnits(graph, units) {
+  return graph.edges
+    .filter((edge) =>
+      units.some(
+        (unit) =>
+          unit.properties?.level_id === edge.properties.level_id &&
+          edge.coordinates.some(
+            (a, i) =>
+              i > 0 &&
+              segmentEntry(edge.coordinates[i - 1], a, unit.geometry) !== null
+          )
+      )
+    )
+    .map((edge) => String(edge.id));
+}
+
+/**
+ * Edges and units taken out of routing by active closures
+ * @param {Array<Object>} closures - Stored closures
+ * @param {NetworkGraph} graph
+ * @param {Array<Object>} openings - IMDF openings of the venue
+ * @returns {{closedEdges: Set<string>, closedUnits: Set<string>}}
+ */
+export function closedByClosures(closures, graph, openings = []) {
+  const openingById = new Map(openings.map((o) => [String(o.id), o]));
+  const closedEdges = new Set();
+  const closedUnits = new Set();
+  closures.forEach(({ target_type, target_id }) => {
+    const id = String(target_id);
+    if (target_type === "edge") closedEdges.add(id);
+    else if (target_type === "unit") closedUnits.add(id);
+    else if (openingById.has(id)) {
+      edgesThroughOpening(graph, openingById.get(id)).forEach((edgeId) =>
+        closedEdges.add(edgeId)
+      );
+    }
+  });
+  return { closedEdges, closedUnits };
+}
@@ -0,0 +1,190 @@
+/**
+ * Streaming writers for GET /api/network/export. A writer turns
+ * `indoor_network` rows (with `geometry` as GeoJSON and `wkt`) into chunks
+ * of text: head(), then write(row, pass) for every row of every pass, then tail().
+ */
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const xmlEscape = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const parseGeometry = (row) =>
+  typeof row.geometry === "string" ? JSON.parse(row.geometry) : row.geometry;
+
+// Stored columns exported as attributes, in table order
+const attributesOf = (columns, row) => {
+  const properties = {};
+  columns.forEach((column) => {
+    properties[column] = row[column] ?? null;
+  });
+  return properties;
+};
+
+class GeoJsonExportWriter {
+  constructor({ venueId, columns }) {
+    this.venueId = venueId;
+    this.columns = columns;
+    this.passes = 1;
+    this.count = 0;
+  }
+
+  head() {
+    return `{"type":"FeatureCollection","name":${JSON.stringify(
+      `${this.venueId} indoor network`
+    )},"features":[\n`;
+  }
+
+  write(row) {
+    const feature = {
+      type: "Feature",
+      id: row.inetworkid,
+      properties: attributesOf(this.columns, row),
+      geometry: parseGeometry(row),
+    };
+    return `${this.count++ > 0 ? ",\n" : ""}${JSON.stringify(feature)}`;
+  }
+
+  tail() {
+    return "\n]}\n";
+  }
+}
+
+class CsvExportWriter {
+  constructor({ columns }) {
+    this.columns = columns;
+    this.passes = 1;
+  }
+
+  head() {
+    return `${[...this.columns, "wkt"].join(",")}\r\n`;
+  }
+
+  write(row) {
+    return `${[...this.columns, "wkt"]
+      .map((column) => csvValue(row[column]))
+      .join(",")}\r\n`;
+  }
+
+  tail() {
+    return "";
+  }
+}
+
+/**
+ * OSM XML with negative (not yet uploaded) ids. Vertices shared by several
+ * edges become one node, so the first pass writes every node and the second
+ * pass the ways referencing them.
+ */
+class OsmExportWriter {
+  constructor({ levels = new Map() }) {
+    this.levels = levels;
+    this.passes = 2;
+    this.nodeIds = new Map();
+    this.nextNodeId = -1;
+    this.nextWayId = -1;
+  }
+
+  // Same rounding as NetworkGraph.nodeKey, z keeps stacked vertices apart
+  nodeKey(coord) {
+    return `${coord[0].toFixed(7)},${coord[1].toFixed(7)},${(
+      coord[2] || 0
+    ).toFixed(2)}`;
+  }
+
+  head() {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<osm version="0.6" generator="indoor-network-export" upload="false">\n`;
+  }
+
+  write(row, pass) {
+    const coordinates = parseGeometry(row)?.coordinates || [];
+    return pass === 0
+      ? this.writeNodes(coordinates)
+      : this.writeWay(row, coordinates);
+  }
+
+  writeNodes(coordinates) {
+    let xml = "";
+    coordinates.forEach((coord) => {
+      const key = this.nodeKey(coord);
+      if (this.nodeIds.has(key)) return;
+      const id = this.nextNodeId--;
+      this.nodeIds.set(key, id);
+      xml += `  <node id="${id}" version="1" lat="${coord[1].toFixed(
+        7
+      )}" lon="${coord[0].toFixed(7)}"/>\n`;
+    });
+    return xml;
+  }
+
+  writeWay(row, coordinates) {
+    if (coordinates.length < 2) return "";
+    const refs = coordinates
+      .map(
+        (coord) => `    <nd ref="${this.nodeIds.get(this.nodeKey(coord))}"/>`
+      )
+      .join("\n");
+    const level = this.levels.get(row.level_id);
+    const tags = {
+      highway: row.highway,
+      level: level ?? row.level_english_name,
+      wheelchair: row.wheelchair,
+      oneway: row.oneway,
+      name: row.aliasname_en,
+      "name:zh": row.aliasname_tc,
+      ref: row.inetworkid,
+    };
+    const tagXml = Object.entries(tags)
+      .filter(
+        ([, value]) => value !== null && value !== undefined && value !== ""
+      )
+      .map(([k, v]) => `    <tag k="${k}" v="${xmlEscape(v)}"/>`)
+      .join("\n");
+    return `  <way id="${this
+      .nextWayId--}" version="1">\n${refs}\n${tagXml}\n  </way>\n`;
+  }
+
+  tail() {
+    return "</osm>\n";
+  }
+}
+
+// format => { contentType, extension, Writer }
+export const EXPORT_FORMATS = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    Writer: GeoJsonExportWriter,
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    Writer: CsvExportWriter,
+  },
+  osm: {
+    contentType: "application/xml",
+    extension: "osm",
+    Writer: OsmExportWriter,
+  },
+};
+
+/**
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options
+ * @param {string} options.venueId
+ * @param {Array<string>} options.columns - Attribute columns to export
+ * @param {Map<string, *>} [options.levels] - level_id => OSM level value
+ */
+export function createExportWriter(format, options) {
+  const { Writer } = EXPORT_FORMATS[format];
+  return new Writer(options);
+}
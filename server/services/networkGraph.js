@@ -0,0 +1,395 @@
+import { distance3D, lineLength3D, lineSubstring } from "./geoUtils.js";
+
+// Values of the `oneway` attribute that restrict travel to one direction
+const ONEWAY_FORWARD = ["yes", "y", "true", "1"];
+const ONEWAY_BACKWARD = ["-1", "reverse"];
+
+/**
+ * Returns 1 for travel along the digitised direction only, -1 for against
+ * it only and 0 when the edge can be walked both ways
+ */
+export function onewayDirection(value) {
+  if (value === null || value === undefined) return 0;
+  const normalized = String(value).trim().toLowerCase();
+  if (ONEWAY_FORWARD.includes(normalized)) return 1;
+  if (ONEWAY_BACKWARD.includes(normalized)) return -1;
+  return 0;
+}
+
+/**
+ * Minimal binary heap keyed on `cost`, used by the Dijkstra search
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= items[i].cost) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].cost < items[smallest].cost)
+          smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost)
+          smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * In-memory graph of an indoor network. Every `indoor_network` row becomes
+ * one edge between the first and last vertex of its LINESTRING Z; edges
+ * sharing an end vertex are connected.
+ */
+export class NetworkGraph {
+  /**
+   * @param {Array<Object>} rows - `indoor_network` rows with a GeoJSON `geometry`
+   */
+  constructor(rows = []) {
+    this.nodes = new Map();
+    this.edges = [];
+    this.adjacency = new Map();
+    this.reverseAdjacency = new Map();
+    rows.forEach((row) => this.addEdge(row));
+  }
+
+  /**
+   * Node identifier for a coordinate; rounding absorbs floating point noise
+   * between edges that share a vertex
+   */
+  nodeKey(coord) {
+    return `${coord[0].toFixed(7)},${coord[1].toFixed(7)},${(
+      coord[2] || 0
+    ).toFixed(2)}`;
+  }
+
+  addNode(coord, levelId) {
+    const id = this.nodeKey(coord);
+    let node = this.nodes.get(id);
+    if (!node) {
+      node = { id, coordinates: coord, levelIds: new Set() };
+      this.nodes.set(id, node);
+      this.adjacency.set(id, []);
+      this.reverseAdjacency.set(id, []);
+    }
+    if (levelId) node.levelIds.add(levelId);
+    return node;
+  }
+
+  addEdge(row) {
+    const geometry =
+      typeof row.geometry === "string"
+        ? JSON.parse(row.geometry)
+        : row.geometry;
+    if (!geometry || geometry.type !== "LineString") return null;
+    const coordinates = geometry.coordinates;
+    if (!coordinates || coordinates.length < 2) return null;
+
+    const from = this.addNode(coordinates[0], row.level_id);
+    const to = this.addNode(coordinates[coordinates.length - 1], row.level_id);
+    const edge = {
+      index: this.edges.length,
+      id: row.inetworkid,
+      from: from.id,
+      to: to.id,
+      coordinates,
+      length: lineLength3D(coordinates),
+      oneway: onewayDirection(row.oneway),
+      properties: row,
+    };
+    this.edges.push(edge);
+    if (edge.oneway >= 0) {
+      this.adjacency.get(from.id).push({ edge, to: to.id, forward: true });
+      this.reverseAdjacency
+        .get(to.id)
+        .push({ edge, to: from.id, forward: true });
+    }
+    if (edge.oneway <= 0) {
+      this.adjacency.get(to.id).push({ edge, to: from.id, forward: false });
+      this.reverseAdjacency
+        .get(from.id)
+        .push({ edge, to: to.id, forward: false });
+    }
+    return edge;
+  }
+
+  /**
+   * [minLon, minLat, maxLon, maxLat] of every node, null for an empty graph
+   */
+  bounds() {
+    if (this.nodes.size === 0) return null;
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    this.nodes.forEach(({ coordinates: [lon, lat] }) => {
+      bounds[0] = Math.min(bounds[0], lon);
+      bounds[1] = Math.min(bounds[1], lat);
+      bounds[2] = Math.max(bounds[2], lon);
+      bounds[3] = Math.max(bounds[3], lat);
+    });
+    return bounds;
+  }
+
+  /**
+   * Find the node closest to a position, optionally limited to one level
+   * @returns {{node: Object, distance: number}|null}
+   */
+  nearestNode(position, { levelId = null } = {}) {
+    let best = null;
+    for (const node of this.nodes.values()) {
+      if (levelId && !node.levelIds.has(levelId)) continue;
+      const d = distance3D(
+        [position[0], position[1], position[2] ?? node.coordinates[2]],
+        node.coordinates
+      );
+      if (!best || d < best.distance) {
+        best = { node, distance: d };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Dijkstra search from one or more start nodes
+   * @param {string|Array<string>} startIds - Start node id(s)
+   * @param {Object} options
+   * @param {Set<string>} [options.targets] - Stop when the first of these is settled
+   * @param {Function} [options.edgeFilter] - (edge, forward) => boolean, false skips the edge
+   * @param {Function} [options.edgeCost] - (edge, forward) => number, defaults to edge length
+   * @param {number} [options.maxCost] - Do not expand beyond this cost
+   * @param {boolean} [options.reverse] - Search against the travel direction, so
+   *   `previous` of a node points to the next node when walking towards a start
+   * @param {Map<string, number>} [options.startCosts] - Cost a start node is
+   *   reached at (e.g. walking onto the network), 0 when absent
+   * @returns {{costs: Map, previous: Map, reached: string|null}}
+   */
+  search(startIds, options = {}) {
+    const {
+      targets = null,
+      edgeFilter = null,
+      edgeCost = null,
+      maxCost = Infinity,
+      reverse = false,
+      startCosts = null,
+    } = options;
+    const adjacency = reverse ? this.reverseAdjacency : this.adjacency;
+    const costs = new Map();
+    const previous = new Map();
+    const settled = new Set();
+    const heap = new MinHeap();
+
+    [].concat(startIds).forEach((id) => {
+      if (!this.nodes.has(id)) return;
+      const cost = startCosts?.get(id) ?? 0;
+      costs.set(id, cost);
+      heap.push({ id, cost });
+    });
+
+    while (heap.size > 0) {
+      const { id, cost } = heap.pop();
+      if (settled.has(id)) continue;
+      settled.add(id);
+      if (targets && targets.has(id)) {
+        return { costs, previous, reached: id };
+      }
+
+      for (const link of adjacency.get(id)) {
+        if (edgeFilter && !edgeFilter(link.edge, link.forward)) continue;
+        const step = edgeCost
+          ? edgeCost(link.edge, link.forward)
+          : link.edge.length;
+        if (!Number.isFinite(step)) continue;
+        const nextCost = cost + step;
+        if (nextCost > maxCost) continue;
+        if (!costs.has(link.to) || nextCost < costs.get(link.to)) {
+          costs.set(link.to, nextCost);
+          previous.set(link.to, {
+            from: id,
+            edge: link.edge,
+            forward: link.forward,
+          });
+          heap.push({ id: link.to, cost: nextCost });
+        }
+      }
+    }
+    return { costs, previous, reached: null };
+  }
+
+  /**
+   * Walk the `previous` links of a search back to its start
+   * @returns {Array<{edge: Object, forward: boolean}>}
+   */
+  reconstructSteps(previous, endId) {
+    const steps = [];
+    let current = endId;
+    while (previous.has(current)) {
+      const link = previous.get(current);
+      steps.unshift({ edge: link.edge, forward: link.forward });
+      current = link.from;
+    }
+    return steps;
+  }
+
+  /**
+   * Shortest path between two node sets
+   * @returns {{cost: number, distance: number, steps: Array, startId: string, endId: string}|null}
+   */
+  shortestPath(startIds, endIds, options = {}) {
+    const targets = new Set([].concat(endIds));
+    const { costs, previous, reached } = this.search(startIds, {
+      ...options,
+      targets,
+    });
+    if (!reached) return null;
+    const steps = this.reconstructSteps(previous, reached);
+    const first = steps[0];
+    return {
+      cost: costs.get(reached),
+      distance: steps.reduce((sum, s) => sum + s.edge.length, 0),
+      steps,
+      startId: first
+        ? first.forward
+          ? first.edge.from
+          : first.edge.to
+        : reached,
+      endId: reached,
+    };
+  }
+
+  /**
+   * Parts of every edge reachable within `maxCost` of a search's start
+   * nodes. An edge is walked in from each end it may be entered from, so
+   * it is covered whole or as one or two pieces ending where the budget runs out.
+   * @param {Map<string, number>} costs - Node costs of a search with the same options
+   * @param {Object} options - edgeFilter, edgeCost, maxCost and reverse of that search
+   * @returns {Array<{edge: Object, coordinates: Array, costs: Array<number>, partial: boolean}>}
+   *   `costs` holds the cost at each coordinate of the piece
+   */
+  reachableSegments(costs, options) {
+    const {
+      edgeFilter = null,
+      edgeCost = null,
+      maxCost,
+      reverse = false,
+    } = options;
+    const segments = [];
+
+    this.edges.forEach((edge) => {
+      // Entry cost and cost of crossing the edge, per walking direction
+      // After a reverse search the edge is walked out of towards the node
+      const entry = (nodeId, forward) => {
+        const travel = reverse ? !forward : forward;
+        const allowed = travel ? edge.oneway >= 0 : edge.oneway <= 0;
+        if (!allowed || !costs.has(nodeId)) return null;
+        if (edgeFilter && !edgeFilter(edge, travel)) return null;
+        const cost = edgeCost ? edgeCost(edge, travel) : edge.length;
+        if (!Number.isFinite(cost)) return null;
+        return { start: costs.get(nodeId), cost };
+      };
+      const forward = entry(edge.from, true);
+      const backward = entry(edge.to, false);
+      // Share of the edge covered from each end
+      const reach = (e) =>
+        !e ? 0 : e.cost === 0 ? 1 : Math.min(1, (maxCost - e.start) / e.cost);
+      const fromStart = Math.max(0, reach(forward));
+      const fromEnd = Math.max(0, reach(backward));
+      // Cost at a fraction of the edge, the cheaper of both directions
+      const costAt = (fraction) =>
+        Math.min(
+          forward ? forward.start + fraction * forward.cost : Infinity,
+          backward ? backward.start + (1 - fraction) * backward.cost : Infinity
+        );
+
+      const pieces =
+        fromStart + fromEnd >= 1
+          ? [[0, 1]]
+          : [
+              ...(fromStart > 0 ? [[0, fromStart]] : []),
+              ...(fromEnd > 0 ? [[1 - fromEnd, 1]] : []),
+            ];
+      pieces.forEach(([startFraction, endFraction]) => {
+        const coordinates =
+          startFraction === 0 && endFraction === 1
+            ? edge.coordinates
+            : lineSubstring(edge.coordinates, startFraction, endFraction);
+        // Fraction of each coordinate along the whole edge
+        let travelled = 0;
+        const pieceCosts = coordinates.map((coord, i) => {
+          if (i > 0) travelled += distance3D(coordinates[i - 1], coord);
+          const fraction =
+            edge.length > 0
+              ? startFraction + travelled / edge.length
+              : startFraction;
+          return costAt(Math.min(1, fraction));
+        });
+        segments.push({
+          edge,
+          coordinates,
+          costs: pieceCosts,
+          partial: !(startFraction === 0 && endFraction === 1),
+        });
+      });
+    });
+    return segments;
+  }
+
+  /**
+   * Convert path steps to one LineString feature per consecutive level
+   */
+  stepsToLevelFeatures(steps) {
+    const features = [];
+    let current = null;
+    steps.forEach(({ edge, forward }) => {
+      const props = edge.properties;
+      const coords = forward
+        ? edge.coordinates
+        : [...edge.coordinates].reverse();
+      if (!current || current.properties.level_id !== props.level_id) {
+        current = {
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: [...coords] },
+          properties: {
+            venue_id: props.venue_id ?? null,
+            level_id: props.level_id,
+            LevelEnglishName: props.level_english_name,
+            LevelChineseName: props.level_chinese_name,
+            distance: 0,
+            iNetworkIDs: [],
+          },
+        };
+        features.push(current);
+      } else {
+        current.geometry.coordinates.push(...coords.slice(1));
+      }
+      current.properties.distance += edge.length;
+      current.properties.iNetworkIDs.push(edge.id);
+    });
+    return features;
+  }
+}
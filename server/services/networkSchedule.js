@@ -0,0 +1,179 @@
+import { onewayDirection } from "./networkGraph.js";
+
+/**
+ * Schedules of network edges and units. A schedule is
+ *   {
+ *     timezone: "Asia/Hong_Kong",               // optional
+ *     open: [{ days: ["mon", ...], from: "06:00", to: "01:00" }],
+ *     reversed: [{ days: [...], from: "07:00", to: "10:00" }] // edges only
+ *   }
+ * Without `open` the edge or unit is always open. A window whose `to` is not
+ * after its `from` runs past midnight and belongs to the day it starts on;
+ * `days` defaults to every day. During a `reversed` window a oneway edge is
+ * walked against its digitised direction. Routes neither start, end nor pass
+ * through a unit outside its opening hours.
+ */
+
+export const SCHEDULE_TARGETS = ["edge", "unit"];
+
+export const DEFAULT_TIMEZONE =
+  process.env.SCHEDULE_TIMEZONE || "Asia/Hong_Kong";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const parseClock = (value) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  // 24:00 closes a window at midnight
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+const validTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Problems with a schedule document, empty when it can be stored
+ * @param {Object} schedule
+ * @param {string} targetType - "edge" or "unit"
+ * @returns {Array<string>}
+ */
+export function validateSchedule(schedule, targetType) {
+  const errors = [];
+  if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+    return ["Schedule must be an object"];
+  }
+  if (schedule.timezone !== undefined && !validTimezone(schedule.timezone)) {
+    errors.push(`Unknown timezone: ${schedule.timezone}`);
+  }
+  if (schedule.reversed !== undefined && targetType !== "edge") {
+    errors.push("Only edges can have reversed windows");
+  }
+  ["open", "reversed"].forEach((key) => {
+    if (schedule[key] === undefined) return;
+    if (!Array.isArray(schedule[key])) {
+      errors.push(`${key} must be an array of windows`);
+      return;
+    }
+    schedule[key].forEach((window, i) => {
+      const where = `${key}[${i}]`;
+      if (
+        parseClock(window?.from) === null ||
+        parseClock(window?.to) === null
+      ) {
+        errors.push(`${where}: from and to must be HH:MM`);
+      }
+      if (
+        window?.days !== undefined &&
+        (!Array.isArray(window.days) ||
+          window.days.some((day) => !DAYS.includes(day)))
+      ) {
+        errors.push(`${where}: days must be a list of ${DAYS.join(", ")}`);
+      }
+    });
+  });
+  const unknown = Object.keys(schedule).filter(
+    (key) => !["timezone", "open", "reversed"].includes(key)
+  );
+  if (unknown.length > 0) {
+    errors.push(`Unknown schedule fields: ${unknown.join(", ")}`);
+  }
+  return errors;
+}
+
+/**
+ * Day of the week and minutes since midnight of a moment in a timezone
+ * @returns {{day: number, minutes: number}} day 0 is Sunday
+ */
+export function localTime(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return {
+    day: DAYS.indexOf(part("weekday").toLowerCase()),
+    minutes: Number(part("hour")) * 60 + Number(part("minute")),
+  };
+}
+
+/**
+ * Whether any window covers a local time, including windows that started
+ * the day before and run past midnight
+ */
+export function windowActive(windows, { day, minutes }) {
+  return windows.some((window) => {
+    const from = parseClock(window.from);
+    const to = parseClock(window.to);
+    const days = window.days || DAYS;
+    const onDay = (d) => days.includes(DAYS[(d + 7) % 7]);
+    if (to > from) {
+      return onDay(day) && minutes >= from && minutes < to;
+    }
+    // Overnight, a full 24 hours when from equals to
+    return (onDay(day) && minutes >= from) || (onDay(day - 1) && minutes < to);
+  });
+}
+
+/**
+ * State of a scheduled edge or unit at a moment
+ * @returns {{open: boolean, reversed: boolean}}
+ */
+export function scheduleState(schedule, date) {
+  const local = localTime(date, schedule.timezone || DEFAULT_TIMEZONE);
+  return {
+    open: !schedule.open || windowActive(schedule.open, local),
+    reversed: !!schedule.reversed && windowActive(schedule.reversed, local),
+  };
+}
+
+/**
+ * Closed and reversed edges and closed units of a venue at a moment
+ * @param {Array<Object>} schedules - { target_type, target_id, schedule } rows
+ * @param {Date} date
+ * @returns {{closedEdges: Set<string>, reversedEdges: Set<string>, closedUnits: Set<string>}}
+ */
+export function schedulesAt(schedules, date) {
+  const state = {
+    closedEdges: new Set(),
+    reversedEdges: new Set(),
+    closedUnits: new Set(),
+  };
+  schedules.forEach(({ target_type, target_id, schedule }) => {
+    const { open, reversed } = scheduleState(schedule, date);
+    if (target_type === "unit") {
+      if (!open) state.closedUnits.add(String(target_id));
+      return;
+    }
+    if (!open) state.closedEdges.add(String(target_id));
+    else if (reversed) state.reversedEdges.add(String(target_id));
+  });
+  return state;
+}
+
+/**
+ * `indoor_network` rows as they apply at a moment: closed edges removed and
+ * the oneway direction of reversed edges swapped
+ * @param {Array<Object>} rows
+ * @param {Object} state - schedulesAt result
+ */
+export function applySchedules(rows, state) {
+  return rows
+    .filter((row) => !state.closedEdges.has(String(row.inetworkid)))
+    .map((row) => {
+      if (!state.reversedEdges.has(String(row.inetworkid))) return row;
+      const direction = onewayDirection(row.oneway);
+      if (direction === 0) return row;
+      return { ...row, oneway: direction === 1 ? "-1" : "yes" };
+    });
+}
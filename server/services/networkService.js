@@ -1,13 +1,103 @@
 import pool from "../dbServices/pgPool.js";
 import { PostgisService } from "../dbServices/PostgisService.js";
 import fs from "fs/promises";
+import path from "path";
 import { JsonFileService } from "./JsonFileService.js";
 import { features } from "process";
+import { MongoDbService } from "../dbServices/MongoDbService.js";
+import { MONGO_COLLECTIONS } from "../../config/collections.js";
+import { POSTGIS_TABLE } from "../../config/postgistable.js";
+import { NetworkGraph } from "./networkGraph.js";
+import { geometryCentroid } from "./geoUtils.js";
+import {
+  ROUTING_PROFILES,
+  WALKING_SPEED,
+  evacuationProfile,
+  walkingSeconds,
+} from "./routingProfiles.js";
+import { validateNetworkTopology } from "./networkTopology.js";
+import { createExportWriter } from "./networkExport.js";
+import {
+  unitsTouched,
+  amenitiesInUnits,
+  networkStatistics,
+  matrixRow,
+  categoryMatches,
+} from "./networkAnalysis.js";
+import { buildInstructions } from "./routeInstructions.js";
+import {
+  OutdoorNetworkService,
+  OUTDOOR_LEVEL_ID,
+  linkExits,
+} from "./outdoorNetworkService.js";
+import { applySchedules, schedulesAt } from "./networkSchedule.js";
+import { closedByClosures, edgesInUnits } from "./networkClosures.js";
+
+// Record fields stored as plain columns of indoor_network (geometry aside)
+const RECORD_COLUMNS = [
+  "pedestrianrouteid",
+  "inetworkid",
+  "floorpolyid",
+  "level_id",
+  "level_english_name",
+  "level_chinese_name",
+  "buildingname_eng",
+  "buildingname_chi",
+  "aliasname_en",
+  "aliasname_tc",
+  "highway",
+  "oneway",
+  "wheelchair",
+  "emergency",
+  "exit",
+  "restricted",
+  "wheelchairaccess",
+  "wheelchairbarrier",
+  "weatherproof",
+  "featuretype",
+  "creation_date",
+  "creation_by",
+  "lastamendment_date",
+  "lastamendment_by",
+  "venue_id",
+  "display_name",
+  "region",
+  "building_type",
+];
+
+// PostgreSQL accepts at most 65535 bind parameters per statement
+const MAX_ROWS_PER_INSERT = Math.floor(65535 / (RECORD_COLUMNS.length + 1));
+
+// English and Chinese names of a unit, amenity or occupant, which the venue
+// import keeps as nameEn / nameZh in place of the IMDF name
+const featureNames = (properties) => ({
+  nameEn: properties.nameEn || null,
+  nameZh: properties.nameZh || null,
+});
+
+// Routing graphs per venue_id (suffixed ":restricted" for the graph with
+// staff-only edges), shared by every NetworkService instance and dropped
+// whenever the venue's network is re-imported
+const graphCache = new Map();
+
+// Degrees added around two venues when loading the outdoor network between
+// them (about 300 m), and the most outdoor edges loaded for one route
+const OUTDOOR_SEARCH_MARGIN = 0.003;
+const MAX_OUTDOOR_EDGES = 50000;
+
+const graphCacheKey = (venueId, includeRestricted) =>
+  includeRestricted ? `${venueId}:restricted` : venueId;
+
+// SQL condition keeping only public edges: anything but Restricted "N" is staff-only
+const PUBLIC_EDGE_CONDITION = "upper(trim(coalesce(restricted, ''))) = 'N'";
 
 export class NetworkService {
   constructor() {
     this.postgisService = new PostgisService();
     this.jsonService = new JsonFileService();
+    this.mongoDbService = new MongoDbService(process.env.MONGO_INITDB_DATABASE);
+    this.outdoorNetworkService = new OutdoorNetworkService();
+    this.defaultBatchSize = 500;
   }
 
   /**
@@ -16,30 +106,51 @@ export class NetworkService {
    * @param {Object} options - Import options
    * @param {number} options.batchSize - Number of features to process per batch
    * @param {boolean} options.clearExisting - Whether to clear existing data first
+   * @param {string} options.mode - "replace" (default) or "merge" to upsert by
+   *   iNetworkID and remove only the edges missing from the file
    * @param {Function} options.progressCallback - Callback for progress updates
+   * @param {Function} options.shouldCancel - Checked between batches, true stops the import
    * @returns {Object} Import results with statistics
    */
   async importIndoorNetwork(jsonFilePath, options = {}) {
+    console.log(`🚀 Starting indoor network import from: ${jsonFilePath}`);
+
+    let networkData;
+    try {
+      // Step 1: Read and validate JSON file
+      networkData = await this.readAndValidateNetworkJson(jsonFilePath);
+    } catch (error) {
+      console.error(`❌ Import failed:`, error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+    return this.importNetworkData(networkData, options);
+  }
+
+  /**
+   * Import an already loaded network FeatureCollection, see importIndoorNetwork
+   * @param {Object} networkData - Result of readAndValidateNetworkJson
+   * @param {Object} options - importIndoorNetwork options
+   * @returns {Object} Import results with statistics
+   */
+  async importNetworkData(networkData, options = {}) {
     const {
       batchSize = this.defaultBatchSize,
       clearExisting = true,
+      mode = "replace",
       progressCallback = null,
+      shouldCancel = null,
     } = options;
-
-    console.log(`🚀 Starting indoor network import from: ${jsonFilePath}`);
     const startTime = Date.now();
 
     try {
-      // Step 1: Read and validate JSON file
-      const networkData = await this.readAndValidateNetworkJson(jsonFilePath);
-      console.log(`📄 Loaded ${networkData.features.length} network features`);
-
-      // Step 2: Clear existing data if requested
-      if (clearExisting) {
-        await this.clearIndoorNetworkData(networkData.venue_id);
-      }
+      console.log(
+        `📄 Importing ${networkData.features.length} network features (${mode}) for venue ${networkData.venue_id}`
+      );
 
-      // Step 3: Validate all features before processing
+      // Step 2: Validate all features before touching the stored network
       const validationResults = await this.validateNetworkFeatures(
         networkData.features
       );
@@ -52,12 +163,38 @@ export class NetworkService {
         `✅ All ${validationResults.validCount} features passed validation`
       );
 
-      // Step 4: Process features in batches
-      const importResults = await this.processFeaturesInBatches(
-        networkData,
-        batchSize,
-        progressCallback
-      );
+      // Step 3: Process features in batches, replace clears the existing
+      // data in the same transaction (merge keeps what is unchanged)
+      let importResults;
+      try {
+        importResults =
+          mode === "merge"
+            ? await this.mergeIndoorNetwork(
+                networkData,
+                batchSize,
+                progressCallback,
+                shouldCancel
+              )
+            : await this.processFeaturesInBatches(
+                networkData,
+                batchSize,
+                progressCallback,
+                shouldCancel,
+                { clearExisting }
+              );
+      } finally {
+        // Whatever the outcome, the next route reads what the table holds
+        this.invalidateNetworkGraph(networkData.venue_id);
+      }
+
+      // Step 4: Topology report, a failure here does not undo the import
+      let topology;
+      try {
+        topology = await this.validateNetworkTopology(networkData.venue_id);
+      } catch (error) {
+        console.error(`⚠️ Topology validation failed:`, error);
+        topology = { error: error.message };
+      }
 
       const duration = Date.now() - startTime;
       console.log(`🎉 Import completed in ${duration}ms`);
@@ -67,6 +204,7 @@ export class NetworkService {
         duration,
         totalFeatures: networkData.features.length,
         ...importResults,
+        topology,
       };
     } catch (error) {
       console.error(`❌ Import failed:`, error);
@@ -77,6 +215,170 @@ export class NetworkService {
     }
   }
 
+  /**
+   * Import several network files one after another, as run by an import job
+   * @param {Array<string>} filePaths - Network JSON files
+   * @param {Object} options - importIndoorNetwork options (batchSize, mode, ...)
+   * @param {Object} job - { reportProgress, isCancelled } from JobService
+   * @returns {Object} Per-file results, failures and topology summaries
+   */
+  async importNetworkFiles(filePaths, options = {}, job = {}) {
+    const { reportProgress = () => {}, isCancelled = () => false } = job;
+    const results = [];
+    const failedList = [];
+    const topologyReports = [];
+
+    for (let fileIndex = 0; fileIndex < filePaths.length; fileIndex++) {
+      if (isCancelled()) break;
+      const filePath = filePaths[fileIndex];
+      const file = path.basename(filePath);
+      const progressCallback = (progress) => {
+        console.log(
+          `📊 Import Progress: ${progress.progressPercent}% (Batch ${progress.batchIndex}/${progress.totalBatches})`
+        );
+        reportProgress({
+          file,
+          fileIndex: fileIndex + 1,
+          totalFiles: filePaths.length,
+          ...progress,
+        });
+      };
+
+      const importResults = await this.importIndoorNetwork(filePath, {
+        ...options,
+        progressCallback,
+        shouldCancel: isCancelled,
+      });
+      // Inserted row ids are not worth keeping in a job result
+      const { batchResults, ...summary } = importResults;
+      results.push({ file, ...summary });
+
+      if (!importResults.success) {
+        failedList.push({ file, error: importResults.error });
+      } else if (importResults.topology) {
+        topologyReports.push({
+          file,
+          venue_id: importResults.topology.venue_id,
+          valid: importResults.topology.valid,
+          summary: importResults.topology.summary,
+          error: importResults.topology.error,
+        });
+      }
+    }
+
+    return {
+      processedFiles: results.length,
+      totalFiles: filePaths.length,
+      failedList,
+      topologyReports,
+      results,
+    };
+  }
+
+  /**
+   * Validate uploaded network files and import the valid ones, as run by an
+   * upload job
+   * @param {Array<{name: string, path: string}>} files - Uploaded files
+   * @param {Object} options - importIndoorNetwork options
+   * @param {Function} [authorize] - async (networkData) => error message when
+   *   the uploader may not import this venue, null otherwise
+   * @param {Object} [job] - { reportProgress, isCancelled } from JobService
+   * @returns {Object} Validation and import report per file
+   */
+  async importUploadedNetworkFiles(
+    files,
+    options = {},
+    authorize = null,
+    job = {}
+  ) {
+    const { reportProgress = () => {}, isCancelled = () => false } = job;
+    const reports = [];
+
+    for (const [fileIndex, file] of files.entries()) {
+      if (isCancelled()) break;
+      const report = { file: file.name, venue_id: null, validation: null };
+      reports.push(report);
+
+      let networkData;
+      try {
+        networkData = await this.readAndValidateNetworkJson(file.path);
+      } catch (error) {
+        report.validation = { valid: false, errors: [error.message] };
+        continue;
+      }
+      report.venue_id = networkData.venue_id;
+      const validation = await this.validateNetworkFeatures(
+        networkData.features
+      );
+      report.validation = {
+        valid: validation.errors.length === 0,
+        ...validation,
+      };
+      if (!report.validation.valid) continue;
+
+      const denied = authorize ? await authorize(networkData) : null;
+      if (denied) {
+        report.import = { success: false, error: denied };
+        continue;
+      }
+      const { batchResults, ...summary } = await this.importNetworkData(
+        networkData,
+        {
+          ...options,
+          progressCallback: (progress) =>
+            reportProgress({
+              file: file.name,
+              fileIndex: fileIndex + 1,
+              totalFiles: files.length,
+              ...progress,
+            }),
+          shouldCancel: isCancelled,
+        }
+      );
+      report.import = summary;
+    }
+
+    const importedFiles = reports.filter((r) => r.import?.success).length;
+    return {
+      success: importedFiles === files.length,
+      totalFiles: files.length,
+      importedFiles,
+      reports,
+    };
+  }
+
+  /**
+   * Why a user limited to `allowedBuildingType` may not import a network,
+   * null when they may (admin, null, may import any). The stored venue is
+   * checked too, so a file claiming the user's type cannot replace the
+   * network of another type's venue.
+   * @param {Object} networkData - Result of readAndValidateNetworkJson
+   * @param {string|null} allowedBuildingType
+   * @returns {Promise<string|null>}
+   */
+  async importDenial(networkData, allowedBuildingType) {
+    if (!allowedBuildingType) return null;
+    const venueId = networkData.venue_id;
+    const type = String(networkData.buildingType?.[0] || "").replace(" ", "");
+    if (type !== allowedBuildingType) {
+      return `Not allowed to import ${type || "unknown"} venue ${venueId}`;
+    }
+    const venueCol = await this.mongoDbService.getCollection(
+      MONGO_COLLECTIONS.VENUE
+    );
+    const existing = await venueCol.findOne(
+      { id: venueId },
+      { projection: { buildingType: 1 } }
+    );
+    const storedType = String(existing?.buildingType || "").replace(" ", "");
+    if (existing && storedType !== allowedBuildingType) {
+      return `Not allowed to replace the network of ${
+        storedType || "unknown"
+      } venue ${venueId}`;
+    }
+    return null;
+  }
+
   async readAndValidateNetworkJson(filePath) {
     try {
       const data = await this.jsonService.readJson(filePath);
@@ -111,10 +413,10 @@ export class NetworkService {
   /**
    * Clear existing indoor network data for a specific venue
    */
-  async clearIndoorNetworkData(venueId) {
+  async clearIndoorNetworkData(venueId, client = this.postgisService) {
     console.log(`🧹 Clearing existing data for venue: ${venueId}`);
 
-    const result = await this.postgisService.query(
+    const result = await client.query(
       "DELETE FROM indoor_network WHERE venue_id = $1",
       [venueId]
     );
@@ -209,12 +511,27 @@ export class NetworkService {
   }
 
   /**
-   * Process features in batches with progress tracking
+   * Features of a delivery that are written to the database. Restricted
+   * (staff-only) edges are stored too and filtered when served.
    */
-  async processFeaturesInBatches(networkData, batchSize, progressCallback) {
-    const features = networkData.features.filter(
-      (f) => f.properties.Restricted === "N"
-    );
+  getImportableFeatures(networkData) {
+    return networkData.features;
+  }
+
+  /**
+   * Insert features in batches with progress tracking, in one transaction
+   * with the removal of the venue's current edges when `clearExisting` is
+   * set, so a cancelled or failed import leaves the stored network as it was
+   */
+  async processFeaturesInBatches(
+    networkData,
+    batchSize,
+    progressCallback,
+    shouldCancel = null,
+    { clearExisting = false } = {}
+  ) {
+    const venueId = networkData.venue_id;
+    const features = this.getImportableFeatures(networkData);
     const totalBatches = Math.ceil(features.length / batchSize);
     let processedFeatures = 0;
     let insertedRecords = 0;
@@ -224,22 +541,48 @@ export class NetworkService {
       `📦 Processing ${features.length} features in ${totalBatches} batches of ${batchSize}`
     );
 
-    for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-      const startIdx = batchIndex * batchSize;
-      const endIdx = Math.min(startIdx + batchSize, features.length);
-      const batchFeatures = features.slice(startIdx, endIdx);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // Serialise concurrent imports of the same venue
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        venueId,
+      ]);
+      if (clearExisting) {
+        await this.clearIndoorNetworkData(venueId, client);
+      }
 
-      console.log(
-        `⚡ Processing batch ${batchIndex + 1}/${totalBatches} (${
-          batchFeatures.length
-        } features)`
-      );
+      for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+        if (shouldCancel && shouldCancel()) {
+          throw new Error(
+            `Import cancelled after ${processedFeatures} of ${features.length} features, rolled back`
+          );
+        }
+        const startIdx = batchIndex * batchSize;
+        const endIdx = Math.min(startIdx + batchSize, features.length);
+        const batchFeatures = features.slice(startIdx, endIdx);
 
-      try {
-        const batchResult = await this.insertFeatureBatch(
-          batchFeatures,
-          networkData
+        console.log(
+          `⚡ Processing batch ${batchIndex + 1}/${totalBatches} (${
+            batchFeatures.length
+          } features)`
         );
+
+        let batchResult;
+        try {
+          batchResult = await this.insertFeatureBatch(
+            client,
+            batchFeatures,
+            networkData
+          );
+        } catch (error) {
+          console.error(`❌ Batch ${batchIndex + 1} failed:`, error);
+          throw new Error(
+            `Batch processing failed at batch ${batchIndex + 1}: ${
+              error.message
+            }`
+          );
+        }
         insertedRecords += batchResult.insertedCount;
         batchResults.push(batchResult);
 
@@ -265,12 +608,14 @@ export class NetworkService {
             insertedRecords,
           });
         }
-      } catch (error) {
-        console.error(`❌ Batch ${batchIndex + 1} failed:`, error);
-        throw new Error(
-          `Batch processing failed at batch ${batchIndex + 1}: ${error.message}`
-        );
       }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
     }
 
     return {
@@ -282,36 +627,26 @@ export class NetworkService {
   }
 
   /**
-   * Insert a batch of features into the database
+   * Insert a batch of features through the import's client
    */
-  async insertFeatureBatch(features, networkData) {
-    const client = await pool.connect();
-
-    let errFeature = {};
+  async insertFeatureBatch(client, features, networkData) {
     try {
-      await client.query("BEGIN");
-
-      const insertedRecords = [];
-
-      for (const feature of features) {
-        errFeature = feature;
-        const record = this.transformFeatureToRecord(feature, networkData);
-        const result = await this.insertSingleRecord(client, record);
-        insertedRecords.push(result);
-      }
-
-      await client.query("COMMIT");
+      const records = features.map((feature) =>
+        this.transformFeatureToRecord(feature, networkData)
+      );
+      const insertedRecords = await this.insertRecords(client, records);
 
       return {
         insertedCount: insertedRecords.length,
         records: insertedRecords,
       };
     } catch (error) {
-      await client.query("ROLLBACK");
-      console.log(errFeature);
+      console.log(
+        `Failed batch: iNetworkID ${features[0]?.properties.iNetworkID} to ${
+          features[features.length - 1]?.properties.iNetworkID
+        }`
+      );
       throw error;
-    } finally {
-      client.release();
     }
   }
 
@@ -322,11 +657,15 @@ export class NetworkService {
     const props = feature.properties;
     const geom = feature.geometry;
 
-    // Convert GeoJSON coordinates to WKT format for PostGIS
-    const coordinates = geom.coordinates
-      .map((coord) => `${coord[0]} ${coord[1]} ${coord[2] || 0}`)
-      .join(",");
-    const wkt = `LINESTRING Z(${coordinates})`;
+    // GeoJSON for ST_GeomFromGeoJSON, z defaults to 0 so PostGIS stores LINESTRING Z
+    const geojson = JSON.stringify({
+      type: "LineString",
+      coordinates: geom.coordinates.map((coord) => [
+        coord[0],
+        coord[1],
+        coord[2] || 0,
+      ]),
+    });
 
     return {
       // Network identifiers
@@ -371,81 +710,248 @@ export class NetworkService {
       region: networkData.region,
       building_type: networkData.buildingType[0],
 
-      // Geometry (WKT format)
-      geom_wkt: wkt,
+      // Geometry (GeoJSON text)
+      geom_geojson: geojson,
     };
   }
 
   /**
-   * Insert a single record into the database
+   * Insert records with multi-row INSERT statements
+   * @returns {Array<Object>} pedestrianrouteid and inetworkid of every inserted row
    */
-  async insertSingleRecord(client, record) {
-    const insertSQL = `
-      INSERT INTO indoor_network (
-        pedestrianrouteid, inetworkid, floorpolyid,
-        level_id, level_english_name, level_chinese_name,
-        aliasname_en, aliasname_tc, highway, oneway, wheelchair, emergency, exit, restricted,
-        wheelchairaccess, featuretype, creation_date, creation_by, lastamendment_date, lastamendment_by,
-        venue_id, buildingname_eng, buildingname_chi, display_name, region, building_type, geom,wheelchairbarrier,weatherproof
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
-        $17, $18, $19, $20, $21, $22, $23, $24, $25, $26,
-        ST_GeomFromText($27, 4326),$28,$29
-      ) RETURNING pedestrianrouteid, inetworkid
-    `;
+  async insertRecords(client, records) {
+    const insertedRows = [];
+    const columns = [...RECORD_COLUMNS, "geom"];
 
-    const values = [
-      record.pedestrianrouteid, //1
-      record.inetworkid, //2
-      record.floorpolyid, //3
-      record.level_id, //4
-      record.level_english_name, //5
-      record.level_chinese_name, //6
-      record.aliasname_en, //7
-      record.aliasname_tc, //8
-      record.highway, //9
-      record.oneway, //10
-      record.wheelchair, //11
-      record.emergency, //12
-      record.exit, //13
-      record.restricted, //14
-      record.wheelchairaccess, //15
-      record.featuretype, //16
-      record.creation_date, //17
-      record.creation_by, //18
-      record.lastamendment_date, //19
-      record.lastamendment_by, //20
-      record.venue_id, //21
-      record.buildingname_eng, //22
-      record.buildingname_chi, //23
-      record.display_name, //24
-      record.region, //25
-      record.building_type, //26
-      record.geom_wkt, //27
-      record.wheelchairbarrier, //28
-      record.weatherproof, //29
-    ];
-
-    const result = await client.query(insertSQL, values);
-    return result.rows[0];
+    for (let start = 0; start < records.length; start += MAX_ROWS_PER_INSERT) {
+      const chunk = records.slice(start, start + MAX_ROWS_PER_INSERT);
+      const values = [];
+      const rows = chunk.map((record) => {
+        const placeholders = RECORD_COLUMNS.map((col) => {
+          values.push(record[col]);
+          return `$${values.length}`;
+        });
+        values.push(record.geom_geojson);
+        placeholders.push(
+          `ST_SetSRID(ST_GeomFromGeoJSON($${values.length}), 4326)`
+        );
+        return `(${placeholders.join(", ")})`;
+      });
+
+      const insertSQL = `
+        INSERT INTO indoor_network (${columns.join(", ")})
+        VALUES ${rows.join(",\n")}
+        RETURNING pedestrianrouteid, inetworkid
+      `;
+      const result = await client.query(insertSQL, values);
+      insertedRows.push(...result.rows);
+    }
+    return insertedRows;
+  }
+
+  /**
+   * Merge a delivery into the stored network of its venue in one transaction:
+   * new iNetworkIDs are inserted, changed ones updated and edges missing from
+   * the delivery deleted; unchanged edges are not touched. Cancelling rolls
+   * the whole merge back.
+   */
+  async mergeIndoorNetwork(
+    networkData,
+    batchSize,
+    progressCallback,
+    shouldCancel = null
+  ) {
+    const venueId = networkData.venue_id;
+    const features = this.getImportableFeatures(networkData);
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      // Serialise concurrent imports of the same venue
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        venueId,
+      ]);
+
+      const existing = await this.loadExistingRecords(client, venueId);
+      const added = [];
+      const changed = [];
+      const deliveredIds = new Set();
+      let unchanged = 0;
+      for (const feature of features) {
+        const record = this.transformFeatureToRecord(feature, networkData);
+        const id = String(record.inetworkid);
+        deliveredIds.add(id);
+        const current = existing.get(id);
+        if (!current) {
+          added.push(record);
+        } else if (this.recordChanged(record, feature, current)) {
+          changed.push(record);
+        } else {
+          unchanged++;
+        }
+      }
+      const removedIds = [...existing.keys()].filter(
+        (id) => !deliveredIds.has(id)
+      );
+
+      console.log(
+        `🔀 Merging venue ${venueId}: ${added.length} added, ${changed.length} changed, ${removedIds.length} removed, ${unchanged} unchanged`
+      );
+
+      const writes = [
+        ...added.map((record) => ({ record, insert: true })),
+        ...changed.map((record) => ({ record, insert: false })),
+      ];
+      const totalBatches = Math.ceil(writes.length / batchSize);
+      let processedFeatures = 0;
+      let insertedRecords = 0;
+      let updatedRecords = 0;
+      for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+        if (shouldCancel && shouldCancel()) {
+          throw new Error("Import cancelled, merge rolled back");
+        }
+        const batch = writes.slice(
+          batchIndex * batchSize,
+          (batchIndex + 1) * batchSize
+        );
+        const inserts = batch.filter((w) => w.insert).map((w) => w.record);
+        await this.insertRecords(client, inserts);
+        insertedRecords += inserts.length;
+        for (const { record, insert } of batch) {
+          if (!insert) {
+            await this.updateSingleRecord(client, record);
+            updatedRecords++;
+          }
+        }
+        processedFeatures += batch.length;
+
+        if (progressCallback) {
+          progressCallback({
+            batchIndex: batchIndex + 1,
+            totalBatches,
+            processedFeatures,
+            totalFeatures: writes.length,
+            progressPercent: Math.round(
+              (processedFeatures / writes.length) * 100
+            ),
+            insertedRecords,
+            updatedRecords,
+          });
+        }
+      }
+
+      if (removedIds.length > 0) {
+        await client.query(
+          "DELETE FROM indoor_network WHERE venue_id = $1 AND inetworkid::text = ANY($2)",
+          [venueId, removedIds]
+        );
+      }
+
+      await client.query("COMMIT");
+
+      return {
+        mode: "merge",
+        processedFeatures,
+        insertedRecords,
+        updatedRecords,
+        totalBatches,
+        added: added.length,
+        changed: changed.length,
+        removed: removedIds.length,
+        unchanged,
+        changes: {
+          added: added.map((r) => r.inetworkid),
+          changed: changed.map((r) => r.inetworkid),
+          removed: removedIds,
+        },
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stored edges of a venue as text, keyed by iNetworkID
+   */
+  async loadExistingRecords(client, venueId) {
+    const columns = RECORD_COLUMNS.map((col) => `${col}::text AS ${col}`);
+    const result = await client.query(
+      `SELECT ${columns.join(", ")}, ST_AsGeoJSON(geom) AS geometry
+       FROM indoor_network WHERE venue_id = $1`,
+      [venueId]
+    );
+    return new Map(result.rows.map((row) => [row.inetworkid, row]));
+  }
+
+  /**
+   * Whether a delivered record differs from its stored (text) version
+   */
+  recordChanged(record, feature, current) {
+    const asText = (value) =>
+      value === null || value === undefined ? null : String(value);
+    if (RECORD_COLUMNS.some((col) => asText(record[col]) !== current[col])) {
+      return true;
+    }
+    const stored = JSON.parse(current.geometry).coordinates;
+    const delivered = feature.geometry.coordinates;
+    if (stored.length !== delivered.length) {
+      return true;
+    }
+    return delivered.some((coord, i) =>
+      [coord[0], coord[1], coord[2] || 0].some(
+        (value, axis) => Math.abs(value - (stored[i][axis] || 0)) > 1e-9
+      )
+    );
   }
 
   /**
-   * Get import st
-   *   */
-  async getNetworkByVenueId(venueId) {
+   * Update the stored edge with the same venue_id and iNetworkID
+   */
+  async updateSingleRecord(client, record) {
+    const columns = RECORD_COLUMNS.filter(
+      (col) => col !== "venue_id" && col !== "inetworkid"
+    );
+    const assignments = columns.map((col, i) => `${col} = $${i + 1}`);
+    const n = columns.length;
+    const updateSQL = `
+      UPDATE indoor_network
+      SET ${assignments.join(", ")}, geom = ST_SetSRID(ST_GeomFromGeoJSON($${
+      n + 1
+    }), 4326)
+      WHERE venue_id = $${n + 2} AND inetworkid = $${n + 3}
+    `;
+    await client.query(updateSQL, [
+      ...columns.map((col) => record[col]),
+      record.geom_geojson,
+      record.venue_id,
+      record.inetworkid,
+    ]);
+  }
+
+  /**
+   * Stored edges of a venue with their geometry as GeoJSON
+   * @param {string} venueId
+   * @param {Object} options
+   * @param {boolean} options.includeRestricted - Also return staff-only edges
+   */
+  async getNetworkByVenueId(venueId, { includeRestricted = false } = {}) {
     const statsSQL = `
       SELECT *, ST_AsGeoJSON(geom) AS geometry
       FROM indoor_network 
-      WHERE venue_id = $1
+      WHERE venue_id = $1${
+        includeRestricted ? "" : ` AND ${PUBLIC_EDGE_CONDITION}`
+      }
     `;
 
     const result = await this.postgisService.query(statsSQL, [venueId]);
     return result.rows;
   }
 
-  async networkGeoJSONScheme(venueId) {
-    const networks = await this.getNetworkByVenueId(venueId);
+  async networkGeoJSONScheme(venueId, options = {}) {
+    const networks = await this.getNetworkByVenueId(venueId, options);
     if (!networks || networks.length === 0) {
       return null;
     } else {
@@ -495,4 +1001,1590 @@ export class NetworkService {
       return result;
     }
   }
+
+  /**
+   * Building type, name and edge count of a venue's network
+   * @param {string} venueId
+   * @param {Object} options
+   * @param {boolean} options.includeRestricted - Also count staff-only edges
+   * @returns {Object|null} null when the venue has no network
+   */
+  async getNetworkSummary(venueId, { includeRestricted = false } = {}) {
+    const result = await this.postgisService.query(
+      `SELECT building_type, display_name, COUNT(*)::int AS total_records
+       FROM ${POSTGIS_TABLE.INDOOR_NETWORK}
+       WHERE venue_id = $1${
+         includeRestricted ? "" : ` AND ${PUBLIC_EDGE_CONDITION}`
+       }
+       GROUP BY building_type, display_name
+       LIMIT 1`,
+      [venueId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Read a venue's edges through a server-side cursor, one page at a time.
+   * Every pass reads them all again from the same REPEATABLE READ snapshot,
+   * so an import running meanwhile cannot make two passes disagree.
+   * @param {string} venueId
+   * @param {Function} onRows - async (rows, pass) => false to stop early
+   * @param {number} pageSize - Rows per FETCH
+   * @param {Object} options
+   * @param {boolean} options.includeRestricted - Also read staff-only edges
+   * @param {number} options.passes - Times the edges are read
+   */
+  async streamNetworkRows(
+    venueId,
+    onRows,
+    pageSize = 1000,
+    { includeRestricted = false, passes = 1 } = {}
+  ) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+      let open = true;
+      for (let pass = 0; pass < passes && open; pass++) {
+        await client.query(
+          `DECLARE network_export NO SCROLL CURSOR FOR
+           SELECT ${RECORD_COLUMNS.join(", ")},
+             ST_AsGeoJSON(geom) AS geometry, ST_AsText(geom) AS wkt
+           FROM ${POSTGIS_TABLE.INDOOR_NETWORK}
+           WHERE venue_id = $1${
+             includeRestricted ? "" : ` AND ${PUBLIC_EDGE_CONDITION}`
+           }
+           ORDER BY inetworkid`,
+          [venueId]
+        );
+        while (open) {
+          const { rows } = await client.query(
+            `FETCH ${pageSize} FROM network_export`
+          );
+          if (rows.length === 0) break;
+          open = (await onRows(rows, pass)) !== false;
+        }
+        await client.query("CLOSE network_export");
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stream a venue's network in an export format (see networkExport.js)
+   * @param {string} venueId
+   * @param {string} format - "geojson", "csv" or "osm"
+   * @param {Function} write - async (chunk) => false when the client is gone
+   * @param {Object} options
+   * @param {boolean} options.includeRestricted - Also export staff-only edges
+   */
+  async exportNetwork(venueId, format, write, options = {}) {
+    const levels =
+      format === "osm"
+        ? await this.getLevelProperty(venueId, "ordinal")
+        : new Map();
+    const writer = createExportWriter(format, {
+      venueId,
+      columns: RECORD_COLUMNS,
+      levels,
+    });
+
+    if ((await write(writer.head())) === false) return;
+    let open = true;
+    await this.streamNetworkRows(
+      venueId,
+      async (rows, pass) => {
+        const chunk = rows.map((row) => writer.write(row, pass)).join("");
+        open = (await write(chunk)) !== false;
+        return open;
+      },
+      undefined,
+      { ...options, passes: writer.passes }
+    );
+    if (!open) return;
+    await write(writer.tail());
+  }
+
+  /**
+   * Nearest edge of a level to a position, with the point on the edge
+   * closest to it (height interpolated along the edge)
+   * @param {string} venueId
+   * @param {string} levelId
+   * @param {number} lon
+   * @param {number} lat
+   * @param {Object} options
+   * @param {boolean} options.includeRestricted - Also match staff-only edges
+   * @returns {Object|null} null when the level has no edges
+   */
+  async findNearestEdge(
+    venueId,
+    levelId,
+    lon,
+    lat,
+    { includeRestricted = false } = {}
+  ) {
+    // The index-assisted <-> ordering is planar, so re-rank a few candidates in metres
+    const nearestSQL = `
+      WITH target AS (
+        SELECT ST_SetSRID(ST_MakePoint($3, $4), 4326) AS pt
+      ),
+      candidates AS (
+        SELECT n.*, ST_Force2D(n.geom) AS geom2d
+        FROM ${POSTGIS_TABLE.INDOOR_NETWORK} n, target
+        WHERE n.venue_id = $1 AND n.level_id = $2${
+          includeRestricted ? "" : ` AND ${PUBLIC_EDGE_CONDITION}`
+        }
+        ORDER BY n.geom <-> target.pt
+        LIMIT 10
+      )
+      SELECT c.inetworkid, c.level_id, c.level_english_name, c.level_chinese_name,
+        c.highway, c.oneway, c.wheelchair, c.aliasname_en, c.aliasname_tc,
+        c.building_type,
+        ST_AsGeoJSON(c.geom) AS geometry,
+        ST_AsGeoJSON(ST_LineInterpolatePoint(c.geom,
+          ST_LineLocatePoint(c.geom2d, target.pt))) AS point,
+        ST_LineLocatePoint(c.geom2d, target.pt) AS fraction,
+        ST_Length(c.geom2d::geography) AS edge_length,
+        ST_Distance(c.geom2d::geography, target.pt::geography) AS distance
+      FROM candidates c, target
+      ORDER BY distance
+      LIMIT 1
+    `;
+    const result = await this.postgisService.query(nearestSQL, [
+      venueId,
+      levelId,
+      lon,
+      lat,
+    ]);
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+    return {
+      buildingType: row.building_type,
+      edge: {
+        type: "Feature",
+        id: row.inetworkid,
+        properties: {
+          iNetworkID: row.inetworkid,
+          level_id: row.level_id,
+          LevelEnglishName: row.level_english_name,
+          LevelChineseName: row.level_chinese_name,
+          highway: row.highway,
+          oneway: row.oneway,
+          wheelchair: row.wheelchair,
+          AliasNameEN: row.aliasname_en,
+          AliasNameTC: row.aliasname_tc,
+        },
+        geometry: JSON.parse(row.geometry),
+      },
+      point: JSON.parse(row.point),
+      // Position along the edge: 0 at its first vertex, 1 at its last
+      fraction: Number(row.fraction),
+      edgeLength: Number(row.edge_length),
+      distance: Number(row.distance),
+    };
+  }
+
+  /**
+   * Length and attribute statistics of a venue's network
+   * @returns {Object|null} null when the venue has no network
+   */
+  async getNetworkStats(venueId, options = {}) {
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return null;
+    }
+    return {
+      venue_id: venueId,
+      displayName: graph.displayName,
+      buildingType: graph.buildingType,
+      ...networkStatistics(graph.edges),
+    };
+  }
+
+  /**
+   * Build (or reuse) the routing graph of a venue
+   * @returns {NetworkGraph|null} null when the venue has no network
+   */
+  async getNetworkGraph(venueId, { includeRestricted = false } = {}) {
+    const key = graphCacheKey(venueId, includeRestricted);
+    if (graphCache.has(key)) {
+      return graphCache.get(key);
+    }
+    const rows = await this.getNetworkByVenueId(venueId, { includeRestricted });
+    if (!rows || rows.length === 0) {
+      return null;
+    }
+    const graph = new NetworkGraph(rows);
+    graph.venueId = venueId;
+    graph.buildingType = rows[0].building_type;
+    graph.displayName = rows[0].display_name;
+    graph.includesRestricted = includeRestricted;
+    graphCache.set(key, graph);
+    return graph;
+  }
+
+  invalidateNetworkGraph(venueId) {
+    graphCache.delete(graphCacheKey(venueId, false));
+    graphCache.delete(graphCacheKey(venueId, true));
+  }
+
+  /**
+   * Stored schedules of a venue's edges and units
+   * @returns {Array<Object>} { target_type, target_id, schedule, updated_by, updated_at }
+   */
+  async getSchedules(venueId) {
+    const result = await this.postgisService.query(
+      `SELECT target_type, target_id, schedule, updated_by, updated_at
+       FROM ${POSTGIS_TABLE.NETWORK_SCHEDULE}
+       WHERE venue_id = $1
+       ORDER BY target_type, target_id`,
+      [venueId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create or replace the schedule of an edge or unit
+   * @param {string} venueId
+   * @param {string} targetType - "edge" or "unit"
+   * @param {string} targetId - inetworkid or unit id
+   * @param {Object} schedule - Validated with validateSchedule
+   * @param {string} updatedBy - Username
+   */
+  async setSchedule(venueId, targetType, targetId, schedule, updatedBy) {
+    const result = await this.postgisService.query(
+      `INSERT INTO ${POSTGIS_TABLE.NETWORK_SCHEDULE}
+         (venue_id, target_type, target_id, schedule, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, now())
+       ON CONFLICT (venue_id, target_type, target_id) DO UPDATE
+       SET schedule = EXCLUDED.schedule,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = EXCLUDED.updated_at
+       RETURNING target_type, target_id, schedule, updated_by, updated_at`,
+      [
+        venueId,
+        targetType,
+        String(targetId),
+        JSON.stringify(schedule),
+        updatedBy,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * @returns {boolean} Whether there was a schedule to delete
+   */
+  async deleteSchedule(venueId, targetType, targetId) {
+    const result = await this.postgisService.query(
+      `DELETE FROM ${POSTGIS_TABLE.NETWORK_SCHEDULE}
+       WHERE venue_id = $1 AND target_type = $2 AND target_id = $3`,
+      [venueId, targetType, String(targetId)]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Closed and reversed edges and closed units of a venue at a moment
+   * @returns {Object} schedulesAt result
+   */
+  async getScheduleState(venueId, date) {
+    return schedulesAt(await this.getSchedules(venueId), date);
+  }
+
+  /**
+   * Closures of a venue, newest first
+   * @param {string} venueId
+   * @param {Object} options
+   * @param {Date} [options.at] - Only the closures active at this moment
+   * @returns {Array<Object>}
+   */
+  async getClosures(venueId, { at = null } = {}) {
+    const result = await this.postgisService.query(
+      `SELECT id, target_type, target_id, reason, starts_at, expires_at,
+         created_by, created_at
+       FROM ${POSTGIS_TABLE.NETWORK_CLOSURE}
+       WHERE venue_id = $1${
+         at ? " AND starts_at <= $2 AND expires_at > $2" : ""
+       }
+       ORDER BY starts_at DESC, id DESC`,
+      at ? [venueId, at] : [venueId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Store a closure, validated with validateClosure
+   * @param {string} venueId
+   * @param {Object} closure - { target_type, target_id, reason, starts_at?, expires_at }
+   * @param {string} createdBy - Username
+   */
+  async createClosure(venueId, closure, createdBy) {
+    const result = await this.postgisService.query(
+      `INSERT INTO ${POSTGIS_TABLE.NETWORK_CLOSURE}
+         (venue_id, target_type, target_id, reason, starts_at, expires_at,
+          created_by)
+       VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, now()), $6, $7)
+       RETURNING id, target_type, target_id, reason, starts_at, expires_at,
+         created_by, created_at`,
+      [
+        venueId,
+        closure.target_type,
+        String(closure.target_id),
+        closure.reason.trim(),
+        closure.starts_at ?? null,
+        closure.expires_at,
+        createdBy,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * End a closure now, it is kept as history
+   * @returns {Object|null} The lifted closure, null when there is no
+   *   closure with this id still to come or active
+   */
+  async liftClosure(venueId, closureId) {
+    const result = await this.postgisService.query(
+      `UPDATE ${POSTGIS_TABLE.NETWORK_CLOSURE}
+       SET expires_at = now(), starts_at = LEAST(starts_at, now())
+       WHERE venue_id = $1 AND id = $2 AND expires_at > now()
+       RETURNING id, target_type, target_id, reason, starts_at, expires_at,
+         created_by, created_at`,
+      [venueId, closureId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * IMDF openings of a venue, from its building_data document
+   */
+  async getVenueOpenings(venueId) {
+    const buildingCol = await this.mongoDbService.getCollection(
+      MONGO_COLLECTIONS.BUILDING_DATA
+    );
+    const buildingDoc = await buildingCol.findOne(
+      { venue_id: venueId },
+      { projection: { opening: 1 } }
+    );
+    return buildingDoc?.opening || [];
+  }
+
+  /**
+   * IMDF units of a venue with the given ids, from its building_data document
+   */
+  async getVenueUnits(venueId, unitIds) {
+    const buildingCol = await this.mongoDbService.getCollection(
+      MONGO_COLLECTIONS.BUILDING_DATA
+    );
+    const buildingDoc = await buildingCol.findOne(
+      { venue_id: venueId },
+      { projection: { unit: 1 } }
+    );
+    return (buildingDoc?.unit || []).filter((unit) =>
+      unitIds.has(String(unit.id))
+    );
+  }
+
+  /**
+   * Edges and units closed by a venue's closures, the edges through closed
+   * openings included
+   * @param {string} venueId
+   * @param {NetworkGraph} graph
+   * @param {Array<Object>} closures - getClosures result
+   * @returns {{closedEdges: Set<string>, closedUnits: Set<string>}}
+   */
+  async closedByClosures(venueId, graph, closures) {
+    const openings = closures.some((c) => c.target_type === "opening")
+      ? await this.getVenueOpenings(venueId)
+      : [];
+    return closedByClosures(closures, graph, openings);
+  }
+
+  /**
+   * Routing graph of a venue as it is at a moment: edges closed by their
+   * schedule or by a closure (directly or through a closed opening) and
+   * edges running into or across closed units left out, reversed edges
+   * walked the other way and `closedUnitIds` set. The
+   * cached graph is returned as is when nothing is scheduled or closed.
+   * @param {string} venueId
+   * @param {Date} date - Departure time
+   * @param {Object} options
+   * @param {boolean} options.includeRestricted - Also route over staff-only edges
+   * @returns {NetworkGraph|null} null when the venue has no network
+   */
+  async getScheduledGraph(venueId, date, { includeRestricted = false } = {}) {
+    const graph = await this.getNetworkGraph(venueId, { includeRestricted });
+    if (!graph) {
+      return null;
+    }
+    const [schedules, closures] = await Promise.all([
+      this.getSchedules(venueId),
+      this.getClosures(venueId, { at: date }),
+    ]);
+    if (schedules.length === 0 && closures.length === 0) {
+      return graph;
+    }
+    const state = schedulesAt(schedules, date);
+    const closed = await this.closedByClosures(venueId, graph, closures);
+    closed.closedEdges.forEach((id) => state.closedEdges.add(id));
+    closed.closedUnits.forEach((id) => state.closedUnits.add(id));
+    if (state.closedUnits.size > 0) {
+      const units = await this.getVenueUnits(venueId, state.closedUnits);
+      edgesInUnits(graph, units).forEach((id) => state.closedEdges.add(id));
+    }
+    const scheduled = new NetworkGraph(
+      applySchedules(
+        graph.edges.map((edge) => edge.properties),
+        state
+      )
+    );
+    scheduled.venueId = graph.venueId;
+    scheduled.buildingType = graph.buildingType;
+    scheduled.displayName = graph.displayName;
+    scheduled.includesRestricted = graph.includesRestricted;
+    scheduled.closedUnitIds = state.closedUnits;
+    return scheduled;
+  }
+
+  /**
+   * Resolve a route endpoint to a position and level
+   * @param {string} venueId
+   * @param {Object} point - { unit_id } or { lon, lat, level_id }
+   * @returns {Object|null} { position: [lon, lat, z?], level_id, unit_id? }
+   */
+  async resolveRoutePoint(venueId, point) {
+    if (point.unit_id) {
+      const buildingCol = await this.mongoDbService.getCollection(
+        MONGO_COLLECTIONS.BUILDING_DATA
+      );
+      const buildingDoc = await buildingCol.findOne(
+        { venue_id: venueId },
+        { projection: { unit: 1 } }
+      );
+      const unit = buildingDoc
+        ? buildingDoc.unit.find((u) => u.id === point.unit_id)
+        : null;
+      if (!unit) {
+        return null;
+      }
+      return {
+        position: geometryCentroid(unit.geometry),
+        level_id: unit.properties.level_id,
+        unit_id: unit.id,
+      };
+    }
+    return {
+      position: [point.lon, point.lat],
+      level_id: point.level_id,
+    };
+  }
+
+  /**
+   * Resolve a route endpoint and snap it to the closest node on its level
+   * @returns {Object} Resolved point with `node` and snap `distance`, or `{ error }`
+   */
+  async snapRoutePoint(venueId, graph, point, name) {
+    const resolved = await this.resolveRoutePoint(venueId, point);
+    if (!resolved) {
+      return { error: `Unknown ${name} unit: ${point.unit_id}` };
+    }
+    if (resolved.unit_id && graph.closedUnitIds?.has(resolved.unit_id)) {
+      return { error: `The ${name} unit ${resolved.unit_id} is closed` };
+    }
+    const snapped = graph.nearestNode(resolved.position, {
+      levelId: resolved.level_id,
+    });
+    if (!snapped) {
+      return {
+        error: `No network edge on level ${resolved.level_id} for ${name} point`,
+      };
+    }
+    return { ...resolved, ...snapped };
+  }
+
+  describeEndpoint(endpoint) {
+    return {
+      unit_id: endpoint.unit_id,
+      level_id: endpoint.level_id,
+      snapDistance: endpoint.distance,
+      coordinates: endpoint.node.coordinates,
+    };
+  }
+
+  /**
+   * Shortest walking path between two points of a venue
+   * @param {string} venueId
+   * @param {Object} start - { unit_id } or { lon, lat, level_id }
+   * @param {Object} end - { unit_id } or { lon, lat, level_id }
+   * @param {Object} options - Route options
+   * @param {Object} options.graph - Pre-loaded graph of the venue
+   * @param {string} options.profile - Key of ROUTING_PROFILES, e.g. "wheelchair"
+   * @returns {Object} Route result, `success: false` with an error otherwise
+   */
+  async getRoute(venueId, start, end, options = {}) {
+    const { profile = "default" } = options;
+    const routingProfile = ROUTING_PROFILES[profile];
+    if (!routingProfile) {
+      return { success: false, error: `Unknown routing profile: ${profile}` };
+    }
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+
+    const from = await this.snapRoutePoint(venueId, graph, start, "start");
+    if (from.error) {
+      return { success: false, error: from.error };
+    }
+    const to = await this.snapRoutePoint(venueId, graph, end, "end");
+    if (to.error) {
+      return { success: false, error: to.error };
+    }
+
+    const path = graph.shortestPath(from.node.id, to.node.id, {
+      edgeFilter: routingProfile.edgeFilter,
+      edgeCost: routingProfile.edgeCost,
+    });
+    const detour =
+      profile === "default"
+        ? null
+        : this.explainDetour(
+            graph,
+            from.node.id,
+            to.node.id,
+            path,
+            routingProfile
+          );
+    if (!path) {
+      return {
+        success: false,
+        error:
+          profile === "default"
+            ? "No path found between start and end"
+            : `No ${profile} path found between start and end`,
+        profile,
+        detour,
+      };
+    }
+
+    const features = graph.stepsToLevelFeatures(path.steps);
+    return {
+      success: true,
+      venue_id: venueId,
+      profile,
+      detour,
+      totalDistance: path.distance + from.distance + to.distance,
+      networkDistance: path.distance,
+      start: this.describeEndpoint(from),
+      end: this.describeEndpoint(to),
+      instructions: buildInstructions(path.steps),
+      featureCollection: {
+        type: "FeatureCollection",
+        name: "Indoor Route",
+        features,
+      },
+    };
+  }
+
+  /**
+   * Shortest walking path from a point of one venue to a point of another,
+   * over both indoor networks and the outdoor pedestrian network around
+   * them; exits are linked to the outdoor network by proximity
+   * @param {Object} from - { venueId, point: { unit_id } or { lon, lat, level_id } }
+   * @param {Object} to - Same as `from`
+   * @param {Object} options - Route options
+   * @param {Object} options.fromGraph - Pre-loaded graph of the start venue
+   * @param {Object} options.toGraph - Pre-loaded graph of the end venue
+   * @param {string} options.profile - Key of ROUTING_PROFILES
+   * @param {boolean} options.includeRestricted - Also route over staff-only edges
+   * @returns {Object} Route result, `success: false` with an error otherwise
+   */
+  async getVenueToVenueRoute(from, to, options = {}) {
+    const { profile = "default", includeRestricted = false } = options;
+    const routingProfile = ROUTING_PROFILES[profile];
+    if (!routingProfile) {
+      return { success: false, error: `Unknown routing profile: ${profile}` };
+    }
+    const fromGraph =
+      options.fromGraph ||
+      (await this.getNetworkGraph(from.venueId, { includeRestricted }));
+    const toGraph =
+      options.toGraph ||
+      (await this.getNetworkGraph(to.venueId, { includeRestricted }));
+    if (!fromGraph || !toGraph) {
+      return {
+        success: false,
+        error: `No network data found for venue ${
+          fromGraph ? to.venueId : from.venueId
+        }`,
+      };
+    }
+
+    const [a, b] = [fromGraph.bounds(), toGraph.bounds()];
+    const outdoorRows = await this.outdoorNetworkService.getOutdoorGraphRows(
+      [
+        Math.min(a[0], b[0]) - OUTDOOR_SEARCH_MARGIN,
+        Math.min(a[1], b[1]) - OUTDOOR_SEARCH_MARGIN,
+        Math.max(a[2], b[2]) + OUTDOOR_SEARCH_MARGIN,
+        Math.max(a[3], b[3]) + OUTDOOR_SEARCH_MARGIN,
+      ],
+      MAX_OUTDOOR_EDGES
+    );
+    const links = linkExits(
+      [fromGraph, toGraph],
+      new NetworkGraph(outdoorRows)
+    );
+    // The cached venue graphs stay untouched, their rows are reused
+    const graph = new NetworkGraph([
+      ...fromGraph.edges.map((edge) => edge.properties),
+      ...toGraph.edges.map((edge) => edge.properties),
+      ...outdoorRows,
+      ...links,
+    ]);
+
+    const start = await this.snapRoutePoint(
+      from.venueId,
+      graph,
+      from.point,
+      "start"
+    );
+    if (start.error) {
+      return { success: false, error: start.error };
+    }
+    const end = await this.snapRoutePoint(to.venueId, graph, to.point, "end");
+    if (end.error) {
+      return { success: false, error: end.error };
+    }
+
+    const path = graph.shortestPath(start.node.id, end.node.id, {
+      edgeFilter: routingProfile.edgeFilter,
+      edgeCost: routingProfile.edgeCost,
+    });
+    if (!path) {
+      return {
+        success: false,
+        error:
+          links.length === 0
+            ? "No exit of either venue is near the outdoor network"
+            : "No path found between the venues",
+        profile,
+      };
+    }
+
+    const outdoorDistance = path.steps
+      .filter(({ edge }) => edge.properties.level_id === OUTDOOR_LEVEL_ID)
+      .reduce((sum, { edge }) => sum + edge.length, 0);
+    return {
+      success: true,
+      from_venue_id: from.venueId,
+      to_venue_id: to.venueId,
+      profile,
+      totalDistance: path.distance + start.distance + end.distance,
+      networkDistance: path.distance,
+      outdoorDistance,
+      start: { venue_id: from.venueId, ...this.describeEndpoint(start) },
+      end: { venue_id: to.venueId, ...this.describeEndpoint(end) },
+      instructions: buildInstructions(path.steps),
+      featureCollection: {
+        type: "FeatureCollection",
+        name: "Venue Route",
+        features: graph.stepsToLevelFeatures(path.steps),
+      },
+    };
+  }
+
+  /**
+   * Compare a profile route with the unrestricted shortest path and list the
+   * edges the profile refused along it
+   * @returns {Object|null} null when the unrestricted path needs no detour
+   */
+  explainDetour(graph, startId, endId, profilePath, routingProfile) {
+    const defaultPath = graph.shortestPath(startId, endId);
+    if (!defaultPath) {
+      return null;
+    }
+    const barriers = defaultPath.steps
+      .map(({ edge }) => ({ edge, reason: routingProfile.blockReason(edge) }))
+      .filter(({ reason }) => reason)
+      .map(({ edge, reason }) => ({
+        iNetworkID: edge.id,
+        reason,
+        highway: edge.properties.highway,
+        level_id: edge.properties.level_id,
+        AliasNameEN: edge.properties.aliasname_en,
+        AliasNameTC: edge.properties.aliasname_tc,
+      }));
+    if (barriers.length === 0) {
+      return null;
+    }
+    return {
+      defaultDistance: defaultPath.distance,
+      extraDistance: profilePath
+        ? profilePath.distance - defaultPath.distance
+        : null,
+      barriers,
+    };
+  }
+
+  /**
+   * Exit edges of a graph and the nodes they touch
+   */
+  getExits(graph) {
+    const exitEdges = graph.edges.filter((e) => e.properties.exit === true);
+    const exitNodes = new Map();
+    exitEdges.forEach((edge) => {
+      exitNodes.set(edge.from, edge);
+      exitNodes.set(edge.to, edge);
+    });
+    return { exitEdges, exitNodes };
+  }
+
+  describeExit(edge) {
+    return {
+      iNetworkID: edge.id,
+      level_id: edge.properties.level_id,
+      AliasNameEN: edge.properties.aliasname_en,
+      AliasNameTC: edge.properties.aliasname_tc,
+    };
+  }
+
+  /**
+   * Shortest path from a point to the nearest exit edge
+   * @param {string} venueId
+   * @param {Object} start - { unit_id } or { lon, lat, level_id }
+   * @param {Object} options - Evacuation options
+   * @param {Object} options.graph - Pre-loaded graph of the venue
+   * @param {boolean} options.emergencyOnly - Only walk edges flagged `emergency`
+   * @param {boolean} options.excludeLifts - Never use lifts (default true)
+   * @returns {Object} Route result, `success: false` with an error otherwise
+   */
+  async getEvacuationRoute(venueId, start, options = {}) {
+    const { emergencyOnly = false, excludeLifts = true } = options;
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+    const { exitNodes } = this.getExits(graph);
+    if (exitNodes.size === 0) {
+      return { success: false, error: "No exit edges in this venue network" };
+    }
+
+    const from = await this.snapRoutePoint(venueId, graph, start, "start");
+    if (from.error) {
+      return { success: false, error: from.error };
+    }
+
+    const profile = evacuationProfile({ emergencyOnly, excludeLifts });
+    const path = graph.shortestPath(from.node.id, [...exitNodes.keys()], {
+      edgeFilter: profile.edgeFilter,
+    });
+    if (!path) {
+      return {
+        success: false,
+        error: "No evacuation path found to any exit",
+      };
+    }
+
+    return {
+      success: true,
+      venue_id: venueId,
+      emergencyOnly,
+      excludeLifts,
+      totalDistance: path.distance + from.distance,
+      networkDistance: path.distance,
+      start: this.describeEndpoint(from),
+      exit: this.describeExit(exitNodes.get(path.endId)),
+      instructions: buildInstructions(path.steps),
+      featureCollection: {
+        type: "FeatureCollection",
+        name: "Evacuation Route",
+        features: graph.stepsToLevelFeatures(path.steps),
+      },
+    };
+  }
+
+  /**
+   * Evacuation routes of every network node on a level (or the whole venue):
+   * one search outward from all exits against the travel direction gives each
+   * node its next edge towards the nearest exit
+   * @param {string} venueId
+   * @param {Object} options - Same as getEvacuationRoute plus `levelId`
+   * @returns {Object} Edges oriented towards the exits with `distanceToExit`
+   */
+  async getEvacuationPlan(venueId, options = {}) {
+    const {
+      levelId = null,
+      emergencyOnly = false,
+      excludeLifts = true,
+    } = options;
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+    const { exitNodes } = this.getExits(graph);
+    if (exitNodes.size === 0) {
+      return { success: false, error: "No exit edges in this venue network" };
+    }
+
+    const profile = evacuationProfile({ emergencyOnly, excludeLifts });
+    const { costs, previous } = graph.search([...exitNodes.keys()], {
+      edgeFilter: profile.edgeFilter,
+      reverse: true,
+    });
+
+    const features = new Map();
+    const unreachable = [];
+    for (const node of graph.nodes.values()) {
+      if (levelId && !node.levelIds.has(levelId)) continue;
+      if (!costs.has(node.id)) {
+        unreachable.push(node.coordinates);
+        continue;
+      }
+      // Follow the links towards the exit until an already drawn edge
+      let current = node.id;
+      while (previous.has(current)) {
+        const { from, edge, forward } = previous.get(current);
+        if (features.has(edge.index)) break;
+        features.set(edge.index, {
+          type: "Feature",
+          id: edge.id,
+          geometry: {
+            type: "LineString",
+            coordinates: forward
+              ? edge.coordinates
+              : [...edge.coordinates].reverse(),
+          },
+          properties: {
+            iNetworkID: edge.id,
+            level_id: edge.properties.level_id,
+            highway: edge.properties.highway,
+            distanceToExit: costs.get(current),
+          },
+        });
+        current = from;
+      }
+    }
+
+    return {
+      success: true,
+      venue_id: venueId,
+      level_id: levelId,
+      emergencyOnly,
+      excludeLifts,
+      exits: [...new Set(exitNodes.values())].map((e) => this.describeExit(e)),
+      unreachableNodes: unreachable.length,
+      featureCollection: {
+        type: "FeatureCollection",
+        name: "Evacuation Routes",
+        features: [...features.values()],
+      },
+    };
+  }
+
+  /**
+   * Units and amenities of a venue, from its building_data document
+   * @param {string} venueId
+   * @param {NetworkGraph} [graph] - Scheduled graph, its closed units and
+   *   the amenities only found in them are left out
+   * @returns {{units: Array, amenities: Array}}
+   */
+  async getVenueUnitsAndAmenities(venueId, graph = null) {
+    const buildingCol = await this.mongoDbService.getCollection(
+      MONGO_COLLECTIONS.BUILDING_DATA
+    );
+    const buildingDoc = await buildingCol.findOne(
+      { venue_id: venueId },
+      { projection: { unit: 1, amenities: 1 } }
+    );
+    const units = buildingDoc?.unit || [];
+    const amenities = buildingDoc?.amenities || [];
+    const closed = graph?.closedUnitIds;
+    if (!closed || closed.size === 0) {
+      return { units, amenities };
+    }
+    return {
+      units: units.filter((unit) => !closed.has(unit.id)),
+      amenities: amenities.filter((amenity) => {
+        const unitIds = amenity.properties?.unit_ids || [];
+        return unitIds.length === 0 || unitIds.some((id) => !closed.has(id));
+      }),
+    };
+  }
+
+  /**
+   * Everything reachable within a walking budget of a point or unit: the
+   * network segments (cut where the budget runs out) and the units and
+   * amenities they enter, on every level
+   * @param {string} venueId
+   * @param {Object} start - { unit_id } or { lon, lat, level_id }
+   * @param {Object} options
+   * @param {number} [options.maxDistance] - Budget in metres
+   * @param {number} [options.maxSeconds] - Budget in seconds, used instead of maxDistance when set
+   * @param {string} [options.profile] - Key of ROUTING_PROFILES, its edge filter applies
+   * @returns {Object} Reachable segments, units and amenities with their cost
+   */
+  async getReachability(venueId, start, options = {}) {
+    const {
+      maxDistance = null,
+      maxSeconds = null,
+      profile = "default",
+    } = options;
+    const routingProfile = ROUTING_PROFILES[profile];
+    if (!routingProfile) {
+      return { success: false, error: `Unknown routing profile: ${profile}` };
+    }
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+    const from = await this.snapRoutePoint(venueId, graph, start, "start");
+    if (from.error) {
+      return { success: false, error: from.error };
+    }
+
+    const bySeconds = maxSeconds !== null;
+    const budget = bySeconds ? maxSeconds : maxDistance;
+    // Walking from the start point onto the network uses up part of the budget
+    const snapCost = bySeconds ? from.distance / WALKING_SPEED : from.distance;
+    const searchOptions = {
+      edgeFilter: routingProfile.edgeFilter,
+      edgeCost: bySeconds ? walkingSeconds : null,
+      maxCost: Math.max(0, budget - snapCost),
+    };
+    const { costs } = graph.search(from.node.id, searchOptions);
+    const segments = graph
+      .reachableSegments(costs, searchOptions)
+      .map((segment) => ({
+        ...segment,
+        costs: segment.costs.map((cost) => cost + snapCost),
+      }));
+
+    const { units, amenities } = await this.getVenueUnitsAndAmenities(
+      venueId,
+      graph
+    );
+    const unitCosts = unitsTouched(segments, units);
+    const unitById = new Map(units.map((unit) => [unit.id, unit]));
+    const reachedUnits = [...unitCosts.entries()]
+      .map(([unitId, cost]) => {
+        const props = unitById.get(unitId).properties;
+        return {
+          unit_id: unitId,
+          level_id: props.level_id,
+          category: props.category,
+          ...featureNames(props),
+          cost,
+        };
+      })
+      .sort((a, b) => a.cost - b.cost);
+    const reachedAmenities = amenitiesInUnits(amenities, unitCosts)
+      .map(({ amenity, unitId, cost }) => ({
+        amenity_id: amenity.id,
+        unit_id: unitId,
+        level_id: unitById.get(unitId).properties.level_id,
+        category: amenity.properties.category,
+        ...featureNames(amenity.properties),
+        cost,
+      }))
+      .sort((a, b) => a.cost - b.cost);
+
+    const features = segments.map(({ edge, coordinates, costs, partial }) => ({
+      type: "Feature",
+      id: edge.id,
+      geometry: { type: "LineString", coordinates },
+      properties: {
+        iNetworkID: edge.id,
+        level_id: edge.properties.level_id,
+        LevelEnglishName: edge.properties.level_english_name,
+        LevelChineseName: edge.properties.level_chinese_name,
+        highway: edge.properties.highway,
+        partial,
+        minCost: Math.min(...costs),
+        maxCost: Math.max(...costs),
+      },
+    }));
+
+    return {
+      success: true,
+      venue_id: venueId,
+      profile,
+      costUnit: bySeconds ? "seconds" : "metres",
+      budget,
+      start: this.describeEndpoint(from),
+      levels: [...new Set(features.map((f) => f.properties.level_id))],
+      units: reachedUnits,
+      amenities: reachedAmenities,
+      featureCollection: {
+        type: "FeatureCollection",
+        name: "Reachable Network",
+        features,
+      },
+    };
+  }
+
+  /**
+   * Expand matrix origins / destinations into points snapped to the graph.
+   * An item is a unit id, { unit_id }, { amenity_id }, { lon, lat, level_id },
+   * or { unit_category } / { amenity_category } for every unit / amenity of
+   * that category (or of a subcategory, "restroom" includes "restroom.female").
+   * @returns {Array<Object>} One entry per point, with `node` or an `error`
+   */
+  async resolveMatrixPoints(venueId, graph, items, buildingData = null) {
+    const data =
+      buildingData || (await this.getVenueUnitsAndAmenities(venueId, graph));
+    const unitById = new Map(data.units.map((unit) => [unit.id, unit]));
+    const unitPoint = (unit) => ({
+      unit_id: unit.id,
+      ...featureNames(unit.properties),
+      category: unit.properties.category,
+      level_id: unit.properties.level_id,
+      position: geometryCentroid(unit.geometry),
+    });
+    // Amenities sit on the level of the first unit they belong to
+    const amenityPoint = (amenity) => {
+      const unit = unitById.get(amenity.properties.unit_ids?.[0]);
+      return {
+        amenity_id: amenity.id,
+        unit_id: unit?.id ?? null,
+        ...featureNames(amenity.properties),
+        category: amenity.properties.category,
+        level_id: unit?.properties.level_id ?? null,
+        position: geometryCentroid(amenity.geometry),
+      };
+    };
+
+    const points = [];
+    items.forEach((raw) => {
+      const item = typeof raw === "string" ? { unit_id: raw } : raw || {};
+      if (item.unit_category) {
+        data.units
+          .filter((u) =>
+            categoryMatches(u.properties.category, item.unit_category)
+          )
+          .forEach((unit) => points.push(unitPoint(unit)));
+      } else if (item.amenity_category) {
+        data.amenities
+          .filter((a) =>
+            categoryMatches(a.properties.category, item.amenity_category)
+          )
+          .forEach((amenity) => points.push(amenityPoint(amenity)));
+      } else if (item.unit_id) {
+        const unit = unitById.get(item.unit_id);
+        points.push(
+          unit
+            ? unitPoint(unit)
+            : {
+                unit_id: item.unit_id,
+                error: graph.closedUnitIds?.has(item.unit_id)
+                  ? "Unit is closed"
+                  : "Unknown unit",
+              }
+        );
+      } else if (item.amenity_id) {
+        const amenity = data.amenities.find((a) => a.id === item.amenity_id);
+        points.push(
+          amenity
+            ? amenityPoint(amenity)
+            : { amenity_id: item.amenity_id, error: "Unknown amenity" }
+        );
+      } else if (
+        Number.isFinite(item.lon) &&
+        Number.isFinite(item.lat) &&
+        item.level_id
+      ) {
+        points.push({
+          level_id: item.level_id,
+          position: [item.lon, item.lat],
+        });
+      } else {
+        points.push({ error: "Invalid point", input: raw });
+      }
+    });
+
+    return points.map(({ position, ...point }) => {
+      if (point.error) return point;
+      const snapped =
+        position && graph.nearestNode(position, { levelId: point.level_id });
+      if (!snapped) {
+        return {
+          ...point,
+          error: `No network edge on level ${point.level_id}`,
+        };
+      }
+      return {
+        ...point,
+        node: snapped.node,
+        snapDistance: snapped.distance,
+      };
+    });
+  }
+
+  /**
+   * Walking distances (metres) and times (seconds) between every origin and
+   * every destination, one graph search per origin. Rows are handed to
+   * `onRow` as they are computed, so large matrices can be streamed.
+   * @param {string} venueId
+   * @param {Array} origins - Items of resolveMatrixPoints
+   * @param {Array} destinations - Items of resolveMatrixPoints
+   * @param {Object} options
+   * @param {Object} options.graph - Pre-loaded graph of the venue
+   * @param {string} options.profile - Key of ROUTING_PROFILES
+   * @param {string} options.metric - Path chosen by "distance" (default) or "time"
+   * @param {number} options.maxCells - Refuse larger matrices
+   * @param {Function} options.onHeader - async (header) => false to stop, called once points are resolved
+   * @param {Function} options.onRow - async (row) => false to stop
+   * @returns {Object} Header and rows, `success: false` with an error otherwise
+   */
+  async getDistanceMatrix(venueId, origins, destinations, options = {}) {
+    const {
+      profile = "default",
+      metric = "distance",
+      maxCells = Infinity,
+      onHeader = null,
+      onRow = null,
+    } = options;
+    const routingProfile = ROUTING_PROFILES[profile];
+    if (!routingProfile) {
+      return { success: false, error: `Unknown routing profile: ${profile}` };
+    }
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+
+    const buildingData = await this.getVenueUnitsAndAmenities(venueId, graph);
+    const from = await this.resolveMatrixPoints(
+      venueId,
+      graph,
+      origins,
+      buildingData
+    );
+    const to = await this.resolveMatrixPoints(
+      venueId,
+      graph,
+      destinations,
+      buildingData
+    );
+    if (from.length * to.length > maxCells) {
+      return {
+        success: false,
+        error: `${from.length} origins x ${to.length} destinations exceeds the limit of ${maxCells} cells`,
+      };
+    }
+
+    const describe = ({ node, ...point }) => ({
+      ...point,
+      coordinates: node ? node.coordinates : null,
+    });
+    const header = {
+      success: true,
+      venue_id: venueId,
+      profile,
+      metric,
+      units: { distance: "metres", duration: "seconds" },
+      origins: from.map(describe),
+      destinations: to.map(describe),
+    };
+    if (onHeader && (await onHeader(header)) === false) return header;
+
+    const searchOptions = {
+      edgeFilter: routingProfile.edgeFilter,
+      edgeCost: metric === "time" ? walkingSeconds : routingProfile.edgeCost,
+    };
+    const destinationIds = to.map((point) => point.node?.id ?? null);
+    const round1 = (value) => Math.round(value * 10) / 10;
+    const rows = [];
+    for (let i = 0; i < from.length; i++) {
+      const origin = from[i];
+      let row = { origin: i, distances: null, durations: null };
+      if (origin.node) {
+        const { distances, durations } = matrixRow(
+          graph,
+          origin.node.id,
+          destinationIds,
+          searchOptions
+        );
+        // Walking between each point and its snapped node is included
+        const walk = (j) => origin.snapDistance + to[j].snapDistance;
+        row = {
+          origin: i,
+          distances: distances.map((d, j) =>
+            d === null ? null : round1(d + walk(j))
+          ),
+          durations: durations.map((t, j) =>
+            t === null ? null : round1(t + walk(j) / WALKING_SPEED)
+          ),
+        };
+      }
+      if (onRow) {
+        if ((await onRow(row)) === false) break;
+        // Let other requests through between rows of a large matrix
+        await new Promise((resolve) => setImmediate(resolve));
+      } else {
+        rows.push(row);
+      }
+    }
+    if (onRow) return header;
+    return {
+      ...header,
+      distances: rows.map((row) => row.distances),
+      durations: rows.map((row) => row.durations),
+    };
+  }
+
+  /**
+   * Place an amenity on the network: at its point, on the level (and at the
+   * elevation) of the first unit it belongs to
+   * @returns {Object} { amenity, unit, levelId, point, snapped } with
+   *   `snapped` null when it cannot be placed
+   */
+  snapAmenity(graph, amenity, unitById, levelZ) {
+    const unit = unitById.get(amenity.properties.unit_ids?.[0]);
+    const levelId = unit?.properties.level_id;
+    const point = geometryCentroid(amenity.geometry);
+    const snapped =
+      point && levelId
+        ? graph.nearestNode([point[0], point[1], levelZ.get(levelId)], {
+            levelId,
+          })
+        : null;
+    return { amenity, unit, levelId, point, snapped };
+  }
+
+  /**
+   * Amenities of a category closest to a point by walking distance over the
+   * network, each with its path (see snapAmenity for their position)
+   * @param {string} venueId
+   * @param {Object} start - { unit_id } or { lon, lat, level_id }
+   * @param {Object} options
+   * @param {string} options.category - Amenity category, subcategories included
+   * @param {number} options.limit - Amenities returned
+   * @param {Object} options.graph - Pre-loaded graph of the venue
+   * @param {string} options.profile - Key of ROUTING_PROFILES
+   * @returns {Object} Closest amenities first, `success: false` with an error otherwise
+   */
+  async getNearestAmenities(venueId, start, options = {}) {
+    const { category, limit = 3, profile = "default" } = options;
+    const routingProfile = ROUTING_PROFILES[profile];
+    if (!routingProfile) {
+      return { success: false, error: `Unknown routing profile: ${profile}` };
+    }
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+    const from = await this.snapRoutePoint(venueId, graph, start, "start");
+    if (from.error) {
+      return { success: false, error: from.error };
+    }
+
+    const { units, amenities } = await this.getVenueUnitsAndAmenities(
+      venueId,
+      graph
+    );
+    const levelZ = await this.getLevelElevations(venueId);
+    const unitById = new Map(units.map((unit) => [unit.id, unit]));
+    const candidates = amenities
+      .filter((amenity) =>
+        categoryMatches(amenity.properties.category, category)
+      )
+      .map((amenity) => this.snapAmenity(graph, amenity, unitById, levelZ));
+
+    const { previous, costs } = graph.search(from.node.id, {
+      edgeFilter: routingProfile.edgeFilter,
+      edgeCost: routingProfile.edgeCost,
+    });
+    const reachable = candidates.filter(
+      ({ snapped }) => snapped && costs.has(snapped.node.id)
+    );
+    const nearest = reachable
+      .map((candidate) => {
+        const steps = graph.reconstructSteps(
+          previous,
+          candidate.snapped.node.id
+        );
+        const walk = from.distance + candidate.snapped.distance;
+        return {
+          ...candidate,
+          steps,
+          distance: steps.reduce((sum, s) => sum + s.edge.length, 0) + walk,
+          duration:
+            steps.reduce((sum, s) => sum + walkingSeconds(s.edge), 0) +
+            walk / WALKING_SPEED,
+        };
+      })
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+
+    return {
+      success: true,
+      venue_id: venueId,
+      category,
+      profile,
+      start: this.describeEndpoint(from),
+      candidates: candidates.length,
+      unreachable: candidates.length - reachable.length,
+      amenities: nearest.map(
+        ({
+          amenity,
+          unit,
+          levelId,
+          point,
+          snapped,
+          steps,
+          distance,
+          duration,
+        }) => ({
+          amenity_id: amenity.id,
+          unit_id: unit.id,
+          level_id: levelId,
+          category: amenity.properties.category,
+          ...featureNames(amenity.properties),
+          distance,
+          duration,
+          snapDistance: snapped.distance,
+          coordinates: point,
+          instructions: buildInstructions(steps),
+          featureCollection: {
+            type: "FeatureCollection",
+            name: "Amenity Route",
+            features: graph.stepsToLevelFeatures(steps),
+          },
+        })
+      ),
+    };
+  }
+
+  /**
+   * Walking time from every unit to the nearest amenity of a category, found
+   * with one search outward from all of them against the travel direction.
+   * A unit's time is that of the first network point inside it, or of the
+   * node closest to its centre when no edge enters it.
+   * @param {string} venueId
+   * @param {Object} options
+   * @param {string} options.category - Amenity category, e.g. "defibrillator"
+   * @param {number} options.thresholdSeconds - Units beyond this are uncovered
+   * @param {Object} options.graph - Pre-loaded graph of the venue
+   * @param {string} options.profile - Key of ROUTING_PROFILES
+   * @returns {Object} Per-unit seconds and the uncovered units, slowest first
+   */
+  async getAmenityCoverage(venueId, options = {}) {
+    const { category, thresholdSeconds, profile = "default" } = options;
+    const routingProfile = ROUTING_PROFILES[profile];
+    if (!routingProfile) {
+      return { success: false, error: `Unknown routing profile: ${profile}` };
+    }
+    const graph =
+      options.graph || (await this.getNetworkGraph(venueId, options));
+    if (!graph) {
+      return { success: false, error: "No network data found for this venue" };
+    }
+
+    const { units, amenities } = await this.getVenueUnitsAndAmenities(
+      venueId,
+      graph
+    );
+    const levelZ = await this.getLevelElevations(venueId);
+    const unitById = new Map(units.map((unit) => [unit.id, unit]));
+    const placed = amenities
+      .filter((amenity) =>
+        categoryMatches(amenity.properties.category, category)
+      )
+      .map((amenity) => this.snapAmenity(graph, amenity, unitById, levelZ))
+      .filter(({ snapped }) => snapped);
+    if (placed.length === 0) {
+      return {
+        success: false,
+        error: `No ${category} amenity on the network of this venue`,
+      };
+    }
+
+    // Each amenity's search starts at the time of walking from its node to it
+    const startCosts = new Map();
+    placed.forEach(({ snapped }) => {
+      const seconds = snapped.distance / WALKING_SPEED;
+      const known = startCosts.get(snapped.node.id);
+      if (known === undefined || seconds < known) {
+        startCosts.set(snapped.node.id, seconds);
+      }
+    });
+    const searchOptions = {
+      edgeFilter: routingProfile.edgeFilter,
+      edgeCost: walkingSeconds,
+      maxCost: Infinity,
+      reverse: true,
+    };
+    const { costs } = graph.search([...startCosts.keys()], {
+      ...searchOptions,
+      startCosts,
+    });
+    const segments = graph.reachableSegments(costs, searchOptions);
+    const touched = unitsTouched(segments, units);
+
+    const unitResults = units.map((unit) => {
+      const props = unit.properties;
+      let seconds = touched.has(unit.id) ? touched.get(unit.id) : null;
+      const centre = geometryCentroid(unit.geometry);
+      const snapped =
+        centre &&
+        graph.nearestNode([centre[0], centre[1], levelZ.get(props.level_id)], {
+          levelId: props.level_id,
+        });
+      if (snapped && costs.has(snapped.node.id)) {
+        const viaCentre =
+          costs.get(snapped.node.id) + snapped.distance / WALKING_SPEED;
+        seconds = seconds === null ? viaCentre : Math.min(seconds, viaCentre);
+      }
+      return {
+        unit_id: unit.id,
+        level_id: props.level_id,
+        category: props.category,
+        ...featureNames(props),
+        seconds: seconds === null ? null : Math.round(seconds * 10) / 10,
+        covered: seconds !== null && seconds <= thresholdSeconds,
+      };
+    });
+    const uncovered = unitResults
+      .filter((unit) => !unit.covered)
+      .sort((a, b) => (b.seconds ?? Infinity) - (a.seconds ?? Infinity));
+
+    return {
+      success: true,
+      venue_id: venueId,
+      category,
+      profile,
+      thresholdSeconds,
+      amenities: placed.map(({ amenity, unit, levelId }) => ({
+        amenity_id: amenity.id,
+        unit_id: unit.id,
+        level_id: levelId,
+        category: amenity.properties.category,
+        ...featureNames(amenity.properties),
+      })),
+      summary: {
+        units: unitResults.length,
+        covered: unitResults.length - uncovered.length,
+        uncovered: uncovered.length,
+        unreachable: uncovered.filter((unit) => unit.seconds === null).length,
+      },
+      units: unitResults,
+      uncovered,
+    };
+  }
+
+  /**
+   * Elevation (zValue) of every level of a venue, from its building data
+   * @returns {Map<string, number>} level_id => zValue
+   */
+  async getLevelElevations(venueId) {
+    return this.getLevelProperty(venueId, "zValue");
+  }
+
+  /**
+   * One property of every level of a venue, from its building_data document
+   * @returns {Map<string, *>} level_id => property value
+   */
+  async getLevelProperty(venueId, property) {
+    const buildingCol = await this.mongoDbService.getCollection(
+      MONGO_COLLECTIONS.BUILDING_DATA
+    );
+    const buildingDoc = await buildingCol.findOne(
+      { venue_id: venueId },
+      { projection: { level: 1 } }
+    );
+    const values = new Map();
+    (buildingDoc?.level || []).forEach((level) => {
+      values.set(level.id, level.properties[property]);
+    });
+    return values;
+  }
+
+  /**
+   * Pairs of edges on the same level that share part of their line
+   */
+  async findOverlappingEdges(venueId) {
+    const overlapSQL = `
+      SELECT a.inetworkid AS a_id, b.inetworkid AS b_id, a.level_id,
+        ST_Length(ST_Force2D(ST_Intersection(a.geom, b.geom))::geography) AS overlap_length
+      FROM ${POSTGIS_TABLE.INDOOR_NETWORK} a
+      JOIN ${POSTGIS_TABLE.INDOOR_NETWORK} b
+        ON a.venue_id = b.venue_id
+        AND a.level_id = b.level_id
+        AND a.inetworkid < b.inetworkid
+        AND a.geom && b.geom
+      WHERE a.venue_id = $1 AND ST_Relate(a.geom, b.geom, '1********')
+    `;
+    const result = await this.postgisService.query(overlapSQL, [venueId]);
+    return result.rows.map((row) => ({
+      iNetworkIDs: [row.a_id, row.b_id],
+      level_id: row.level_id,
+      overlapLength: row.overlap_length,
+    }));
+  }
+
+  /**
+   * Run the topology checks on a venue's stored network and keep the report
+   * @returns {Object|null} Report, null when the venue has no network
+   */
+  async validateNetworkTopology(venueId) {
+    // Staff-only corridors are part of the stored network and its connectivity
+    const graph = await this.getNetworkGraph(venueId, {
+      includeRestricted: true,
+    });
+    if (!graph) {
+      return null;
+    }
+    const levelElevations = await this.getLevelElevations(venueId);
+    const report = validateNetworkTopology(graph, { levelElevations });
+    report.overlaps = await this.findOverlappingEdges(venueId);
+    report.summary.overlaps = report.overlaps.length;
+    report.valid =
+      report.summary.components <= 1 &&
+      Object.entries(report.summary)
+        .filter(([key]) => !["edges", "nodes", "components"].includes(key))
+        .every(([, count]) => count === 0);
+    report.venue_id = venueId;
+    report.generatedAt = new Date().toISOString();
+
+    await this.postgisService.query(
+      `INSERT INTO ${POSTGIS_TABLE.NETWORK_VALIDATION} (venue_id, valid, report, created_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (venue_id) DO UPDATE
+       SET valid = EXCLUDED.valid, report = EXCLUDED.report, created_at = EXCLUDED.created_at`,
+      [venueId, report.valid, JSON.stringify(report)]
+    );
+    console.log(
+      `🧭 Topology report for ${venueId}: ${
+        report.valid ? "valid" : "issues found"
+      }`
+    );
+    return report;
+  }
+
+  /**
+   * Latest stored topology report of a venue
+   */
+  async getTopologyReport(venueId) {
+    const row = await this.postgisService.findOne(
+      POSTGIS_TABLE.NETWORK_VALIDATION,
+      "WHERE venue_id = $1",
+      [venueId]
+    );
+    return row ? row.report : null;
+  }
 }
@@ -0,0 +1,252 @@
+import { STAIRS_HIGHWAYS, LIFT_HIGHWAYS } from "./routingProfiles.js";
+
+// `highway` values that connect levels
+export const VERTICAL_HIGHWAYS = [
+  ...STAIRS_HIGHWAYS,
+  ...LIFT_HIGHWAYS,
+  "escalator",
+];
+
+// Metres an edge may sit above or below its level's elevation
+const DEFAULT_Z_TOLERANCE = 1.0;
+
+/**
+ * Small union-find used to group edges into connected components
+ */
+class DisjointSet {
+  constructor() {
+    this.parent = new Map();
+  }
+
+  find(x) {
+    if (!this.parent.has(x)) this.parent.set(x, x);
+    let root = x;
+    while (this.parent.get(root) !== root) root = this.parent.get(root);
+    // Path compression
+    while (this.parent.get(x) !== root) {
+      const next = this.parent.get(x);
+      this.parent.set(x, root);
+      x = next;
+    }
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) this.parent.set(rootA, rootB);
+  }
+}
+
+const zRange = (coordinates) => {
+  const zs = coordinates.map((c) => c[2] || 0);
+  return { minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+};
+
+/**
+ * Whether an edge is a connector between levels: a stairs / lift /
+ * escalator edge, or one whose ends differ in height by more than the tolerance
+ */
+export function isVerticalEdge(edge, zTolerance = DEFAULT_Z_TOLERANCE) {
+  const highway = String(edge.properties.highway || "").toLowerCase();
+  if (VERTICAL_HIGHWAYS.includes(highway)) return true;
+  const first = edge.coordinates[0];
+  const last = edge.coordinates[edge.coordinates.length - 1];
+  return Math.abs((last[2] || 0) - (first[2] || 0)) > zTolerance;
+}
+
+/**
+ * Connected components of edges (ignoring oneway), largest one first
+ */
+const connectedComponents = (edges) => {
+  const components = new DisjointSet();
+  edges.forEach((edge) => components.union(edge.from, edge.to));
+  const groups = new Map();
+  edges.forEach((edge) => {
+    const root = components.find(edge.from);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(edge);
+  });
+  return [...groups.values()]
+    .sort((a, b) => b.length - a.length)
+    .map((group) => ({
+      edgeCount: group.length,
+      levels: [...new Set(group.map((e) => e.properties.level_id))],
+      iNetworkIDs: group.map((e) => e.id),
+    }));
+};
+
+/**
+ * Topology checks of an imported network graph
+ * @param {NetworkGraph} graph - Graph of one venue
+ * @param {Object} options
+ * @param {Map<string, number>} [options.levelElevations] - level_id => zValue
+ * @param {number} [options.zTolerance] - Allowed distance from the level elevation in metres
+ * @returns {Object} Report with one list per issue type and a summary
+ */
+export function validateNetworkTopology(graph, options = {}) {
+  const { levelElevations = new Map(), zTolerance = DEFAULT_Z_TOLERANCE } =
+    options;
+  const edges = graph.edges;
+  const incident = new Map();
+  edges.forEach((edge) => {
+    [edge.from, edge.to].forEach((nodeId) => {
+      if (!incident.has(nodeId)) incident.set(nodeId, []);
+      incident.get(nodeId).push(edge);
+    });
+  });
+
+  const componentList = connectedComponents(edges);
+
+  // Dangling endpoints: nodes used by a single edge, except at exits
+  const danglingEndpoints = [];
+  incident.forEach((nodeEdges, nodeId) => {
+    if (nodeEdges.length !== 1) return;
+    const edge = nodeEdges[0];
+    if (edge.properties.exit === true) return;
+    danglingEndpoints.push({
+      iNetworkID: edge.id,
+      level_id: edge.properties.level_id,
+      coordinates: graph.nodes.get(nodeId).coordinates,
+    });
+  });
+
+  // Horizontal edges must lie at their level's elevation
+  const zMismatches = [];
+  edges.forEach((edge) => {
+    if (isVerticalEdge(edge, zTolerance)) return;
+    const levelZ = levelElevations.get(edge.properties.level_id);
+    if (levelZ === undefined || levelZ === null) return;
+    const { minZ, maxZ } = zRange(edge.coordinates);
+    if (
+      Math.abs(minZ - levelZ) > zTolerance ||
+      Math.abs(maxZ - levelZ) > zTolerance
+    ) {
+      zMismatches.push({
+        iNetworkID: edge.id,
+        level_id: edge.properties.level_id,
+        levelZ,
+        minZ,
+        maxZ,
+      });
+    }
+  });
+
+  // Duplicates: the same iNetworkID twice, or two edges between the same nodes
+  const duplicates = [];
+  const byId = new Map();
+  const byNodes = new Map();
+  edges.forEach((edge) => {
+    if (byId.has(edge.id)) {
+      duplicates.push({
+        reason: "duplicate iNetworkID",
+        iNetworkIDs: [edge.id],
+      });
+    }
+    byId.set(edge.id, edge);
+    const key = [edge.from, edge.to].sort().join("|");
+    if (byNodes.has(key) && edge.from !== edge.to) {
+      duplicates.push({
+        reason: "same end nodes",
+        iNetworkIDs: [byNodes.get(key).id, edge.id],
+      });
+    } else {
+      byNodes.set(key, edge);
+    }
+  });
+
+  // Vertical connectors: chains of vertical edges must touch two levels
+  const invalidConnectors = [];
+  const verticalEdges = edges.filter((e) => isVerticalEdge(e, zTolerance));
+  const chains = new DisjointSet();
+  verticalEdges.forEach((edge) => chains.union(edge.from, edge.to));
+  const chainGroups = new Map();
+  verticalEdges.forEach((edge) => {
+    const root = chains.find(edge.from);
+    if (!chainGroups.has(root)) chainGroups.set(root, []);
+    chainGroups.get(root).push(edge);
+  });
+  chainGroups.forEach((chain) => {
+    const levels = new Set();
+    chain.forEach((edge) => {
+      [edge.from, edge.to].forEach((nodeId) => {
+        incident.get(nodeId).forEach((other) => {
+          if (!isVerticalEdge(other, zTolerance)) {
+            levels.add(other.properties.level_id);
+          }
+        });
+      });
+    });
+    if (levels.size < 2) {
+      invalidConnectors.push({
+        iNetworkIDs: chain.map((e) => e.id),
+        highway: [...new Set(chain.map((e) => e.properties.highway))],
+        levels: [...levels],
+      });
+    }
+  });
+
+  return {
+    summary: {
+      edges: edges.length,
+      nodes: graph.nodes.size,
+      components: componentList.length,
+      danglingEndpoints: danglingEndpoints.length,
+      zMismatches: zMismatches.length,
+      duplicates: duplicates.length,
+      invalidConnectors: invalidConnectors.length,
+    },
+    // The largest component is the network itself, the rest are islands
+    disconnectedComponents: componentList.slice(1),
+    danglingEndpoints,
+    zMismatches,
+    duplicates,
+    invalidConnectors,
+  };
+}
+
+/**
+ * A topology report with only the issues of visible edges, for users who may
+ * not see staff-only ones: entries listing hidden edges lose them, entries
+ * left without an edge are dropped and the issue counts follow. Components
+ * are counted again over the visible edges, as hiding edges can split them.
+ * @param {Object} report - validateNetworkTopology result (with overlaps)
+ * @param {NetworkGraph} graph - Graph of the edges the user may see
+ * @returns {Object} A new report
+ */
+export function visibleTopologyReport(report, graph) {
+  const visibleIds = new Set(graph.edges.map((edge) => String(edge.id)));
+  const visible = (id) => visibleIds.has(String(id));
+  const byEdge = (entries = []) =>
+    entries.filter((entry) => visible(entry.iNetworkID));
+  const byEdges = (entries = []) =>
+    entries
+      .map((entry) => ({
+        ...entry,
+        iNetworkIDs: entry.iNetworkIDs.filter(visible),
+      }))
+      .filter((entry) => entry.iNetworkIDs.length > 0);
+
+  const componentList = connectedComponents(graph.edges);
+  const filtered = {
+    disconnectedComponents: componentList.slice(1),
+    danglingEndpoints: byEdge(report.danglingEndpoints),
+    zMismatches: byEdge(report.zMismatches),
+    duplicates: byEdges(report.duplicates),
+    invalidConnectors: byEdges(report.invalidConnectors),
+  };
+  if (report.overlaps) filtered.overlaps = byEdges(report.overlaps);
+
+  const summary = {
+    ...report.summary,
+    edges: graph.edges.length,
+    nodes: graph.nodes.size,
+    components: componentList.length,
+  };
+  Object.keys(filtered)
+    .filter((key) => key in summary)
+    .forEach((key) => {
+      summary[key] = filtered[key].length;
+    });
+  return { ...report, ...filtered, summary };
+}
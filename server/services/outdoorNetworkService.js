@@ -0,0 +1,308 @@
+import pool from "../dbServices/pgPool.js";
+import { PostgisService } from "../dbServices/PostgisService.js";
+import { POSTGIS_TABLE } from "../../config/postgistable.js";
+import { distance3D } from "./geoUtils.js";
+
+// level_id given to outdoor edges and to the links joining them to indoor exits
+export const OUTDOOR_LEVEL_ID = "outdoor";
+
+// Metres an indoor exit may be from the outdoor network (or another venue's
+// exit) and still be linked to it
+export const OUTDOOR_LINK_DISTANCE = 30;
+
+// Stored columns of an outdoor edge besides its geometry
+const OUTDOOR_COLUMNS = [
+  "feature_id",
+  "highway",
+  "aliasname_en",
+  "aliasname_tc",
+  "oneway",
+  "wheelchair",
+  "weatherproof",
+  "properties",
+];
+
+/**
+ * Thrown when the outdoor edges between two venues are too many to load,
+ * the request asks for too large an area rather than the server failing
+ */
+export class OutdoorAreaTooLargeError extends Error {
+  constructor(limit) {
+    super(
+      `More than ${limit} outdoor edges between these venues, the area is too large to route across`
+    );
+    this.name = "OutdoorAreaTooLargeError";
+    this.limit = limit;
+  }
+}
+
+const MAX_ROWS_PER_INSERT = Math.floor(65535 / (OUTDOOR_COLUMNS.length + 1));
+
+const firstDefined = (...values) =>
+  values.find((value) => value !== undefined && value !== null);
+
+/**
+ * Outdoor pedestrian network rows of one feature: a MultiLineString gives
+ * one row per part, z defaults to 0 so PostGIS stores LINESTRING Z
+ * @returns {Array<Object>} Records, empty when the geometry is not a line
+ */
+export function outdoorFeatureToRecords(feature, index) {
+  const props = feature.properties || {};
+  const geometry = feature.geometry;
+  const lines =
+    geometry?.type === "LineString"
+      ? [geometry.coordinates]
+      : geometry?.type === "MultiLineString"
+      ? geometry.coordinates
+      : [];
+  const featureId = String(
+    firstDefined(
+      props.PedestrianRouteID,
+      props.id,
+      feature.id,
+      `feature-${index}`
+    )
+  );
+
+  return lines
+    .filter((coords) => Array.isArray(coords) && coords.length >= 2)
+    .map((coords, part) => ({
+      feature_id: lines.length > 1 ? `${featureId}#${part}` : featureId,
+      highway: firstDefined(props.highway, "footway"),
+      aliasname_en: firstDefined(props.AliasNameEN, props.name, null),
+      aliasname_tc: firstDefined(props.AliasNameTC, props["name:zh"], null),
+      oneway: firstDefined(props.oneway, null),
+      wheelchair: firstDefined(props.wheelchair, null),
+      weatherproof: firstDefined(props.WeatherProof, props.weatherproof, null),
+      properties: JSON.stringify(props),
+      geom_geojson: JSON.stringify({
+        type: "LineString",
+        coordinates: coords.map((c) => [c[0], c[1], c[2] || 0]),
+      }),
+    }));
+}
+
+/**
+ * Stored outdoor edge in the shape of an `indoor_network` row, so it can be
+ * added to a NetworkGraph next to indoor edges
+ */
+export function outdoorRowToGraphRow(row) {
+  return {
+    ...row,
+    inetworkid: `outdoor-${row.feature_id}`,
+    level_id: OUTDOOR_LEVEL_ID,
+    level_english_name: "Outdoor",
+    level_chinese_name: "室外",
+    exit: false,
+    venue_id: null,
+  };
+}
+
+/**
+ * Connector edges from the exits of indoor graphs to the nearest node of
+ * the outdoor graph or of another venue's exits, within `maxDistance`
+ * metres (3D, so a footbridge-level exit joins the footbridge, not the
+ * street below). Exits already sharing a node need no link.
+ * @param {Array<NetworkGraph>} indoorGraphs - One graph per venue
+ * @param {NetworkGraph} outdoorGraph
+ * @param {number} maxDistance
+ * @returns {Array<Object>} Graph rows of the links
+ */
+export function linkExits(
+  indoorGraphs,
+  outdoorGraph,
+  maxDistance = OUTDOOR_LINK_DISTANCE
+) {
+  const exitEnds = indoorGraphs.map((graph) => {
+    const ends = new Map();
+    graph.edges
+      .filter((edge) => edge.properties.exit === true)
+      .forEach((edge) => {
+        [edge.from, edge.to].forEach((nodeId) =>
+          ends.set(nodeId, { graph, edge, node: graph.nodes.get(nodeId) })
+        );
+      });
+    return [...ends.values()];
+  });
+
+  const links = [];
+  exitEnds.forEach((ends, venueIndex) => {
+    const candidates = [
+      ...outdoorGraph.nodes.values(),
+      ...exitEnds
+        .filter((_, i) => i !== venueIndex)
+        .flatMap((other) => other.map((end) => end.node)),
+    ];
+    // One link per exit edge, from whichever of its ends is closest
+    const best = new Map();
+    ends.forEach(({ graph, edge, node }) => {
+      candidates.forEach((candidate) => {
+        const d = distance3D(node.coordinates, candidate.coordinates);
+        if (d > maxDistance) return;
+        const current = best.get(edge);
+        if (!current || d < current.distance) {
+          best.set(edge, { graph, edge, node, candidate, distance: d });
+        }
+      });
+    });
+    best.forEach(({ graph, edge, node, candidate, distance }) => {
+      if (distance === 0) return;
+      links.push({
+        inetworkid: `link-${graph.venueId}-${edge.id}`,
+        level_id: OUTDOOR_LEVEL_ID,
+        level_english_name: "Outdoor",
+        level_chinese_name: "室外",
+        highway: "footway",
+        exit: false,
+        venue_id: null,
+        link: true,
+        exit_inetworkid: edge.id,
+        geometry: {
+          type: "LineString",
+          coordinates: [node.coordinates, candidate.coordinates],
+        },
+      });
+    });
+  });
+  return links;
+}
+
+export class OutdoorNetworkService {
+  constructor() {
+    this.postgisService = new PostgisService();
+  }
+
+  /**
+   * Replace (or extend) the stored outdoor pedestrian network in one
+   * transaction, so routing never sees a half-imported network
+   * @param {Object|Array<Object>} networkData - GeoJSON FeatureCollection of
+   *   LineStrings, or the several making up one network (their features are
+   *   numbered on from one to the next)
+   * @param {Object} options
+   * @param {boolean} options.clearExisting - Delete the current network first
+   * @param {number} options.batchSize - Features per progress step
+   * @param {Object} job - { reportProgress, isCancelled } from JobService
+   * @returns {Object} Inserted edge count and skipped features
+   */
+  async importOutdoorNetwork(networkData, options = {}, job = {}) {
+    const { clearExisting = true, batchSize = 1000 } = options;
+    const { reportProgress = () => {}, isCancelled = () => false } = job;
+    const documents = [].concat(networkData);
+    if (
+      documents.length === 0 ||
+      documents.some(
+        (document) =>
+          document?.type !== "FeatureCollection" ||
+          !Array.isArray(document.features)
+      )
+    ) {
+      throw new Error("Invalid GeoJSON: must be a FeatureCollection");
+    }
+    const features = documents.flatMap((document) => document.features);
+    const skipped = [];
+    let insertedEdges = 0;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (clearExisting) {
+        await client.query(`DELETE FROM ${POSTGIS_TABLE.OUTDOOR_NETWORK}`);
+      }
+      for (let start = 0; start < features.length; start += batchSize) {
+        if (isCancelled()) {
+          throw new Error(
+            `Import cancelled after ${start} of ${features.length} features`
+          );
+        }
+        const records = [];
+        features.slice(start, start + batchSize).forEach((feature, i) => {
+          const featureRecords = outdoorFeatureToRecords(feature, start + i);
+          if (featureRecords.length === 0) {
+            skipped.push(start + i);
+            return;
+          }
+          records.push(...featureRecords);
+        });
+        insertedEdges += await this.insertRecords(client, records);
+        const processedFeatures = Math.min(start + batchSize, features.length);
+        reportProgress({
+          processedFeatures,
+          totalFeatures: features.length,
+          progressPercent: Math.round(
+            (processedFeatures / features.length) * 100
+          ),
+          insertedEdges,
+        });
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(
+      `✅ Outdoor network import: ${insertedEdges} edges, ${skipped.length} features skipped`
+    );
+    return {
+      success: true,
+      totalFeatures: features.length,
+      insertedEdges,
+      skippedFeatures: skipped.length,
+      // Indexes of features without a usable line, first 100 only
+      skippedIndexes: skipped.slice(0, 100),
+    };
+  }
+
+  /**
+   * Insert records with multi-row INSERT statements
+   * @returns {number} Inserted rows
+   */
+  async insertRecords(client, records) {
+    let inserted = 0;
+    const columns = [...OUTDOOR_COLUMNS, "geom"];
+    for (let start = 0; start < records.length; start += MAX_ROWS_PER_INSERT) {
+      const chunk = records.slice(start, start + MAX_ROWS_PER_INSERT);
+      const values = [];
+      const rows = chunk.map((record) => {
+        const placeholders = OUTDOOR_COLUMNS.map((col) => {
+          values.push(record[col]);
+          return `$${values.length}`;
+        });
+        values.push(record.geom_geojson);
+        placeholders.push(
+          `ST_SetSRID(ST_GeomFromGeoJSON($${values.length}), 4326)`
+        );
+        return `(${placeholders.join(", ")})`;
+      });
+      const result = await client.query(
+        `INSERT INTO ${POSTGIS_TABLE.OUTDOOR_NETWORK} (${columns.join(", ")})
+         VALUES ${rows.join(",\n")}`,
+        values
+      );
+      inserted += result.rowCount;
+    }
+    return inserted;
+  }
+
+  /**
+   * Outdoor edges intersecting a bounding box, as graph rows
+   * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+   * @param {number} limit - Refuse to load more edges than this
+   */
+  async getOutdoorGraphRows(bbox, limit) {
+    const result = await this.postgisService.query(
+      `SELECT ${OUTDOOR_COLUMNS.filter((c) => c !== "properties").join(", ")},
+         ST_AsGeoJSON(geom) AS geometry
+       FROM ${POSTGIS_TABLE.OUTDOOR_NETWORK}
+       WHERE geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)
+       LIMIT $5`,
+      [...bbox, limit + 1]
+    );
+    if (result.rows.length > limit) {
+      throw new OutdoorAreaTooLargeError(limit);
+    }
+    return result.rows.map(outdoorRowToGraphRow);
+  }
+}
@@ -0,0 +1,249 @@
+import { bearing } from "./geoUtils.js";
+import { isVerticalEdge } from "./networkTopology.js";
+import {
+  LIFT_HIGHWAYS,
+  RAMP_HIGHWAYS,
+  STAIRS_HIGHWAYS,
+  normalize,
+} from "./routingProfiles.js";
+
+// Heading changes (degrees) below this continue the current instruction
+const STRAIGHT_ANGLE = 30;
+
+// [max angle, maneuver] for turns to one side
+const TURN_LIMITS = [
+  [60, "slight"],
+  [135, "turn"],
+  [180, "sharp"],
+];
+
+const TURN_TEXT = {
+  "slight left": { en: "Bear left", tc: "稍向左轉" },
+  "slight right": { en: "Bear right", tc: "稍向右轉" },
+  "turn left": { en: "Turn left", tc: "左轉" },
+  "turn right": { en: "Turn right", tc: "右轉" },
+  "sharp left": { en: "Turn sharp left", tc: "向左急轉" },
+  "sharp right": { en: "Turn sharp right", tc: "向右急轉" },
+  straight: { en: "Continue", tc: "繼續" },
+};
+
+// Names of the connector types; "connector" is a sloped edge of another kind
+const CONNECTOR_TEXT = {
+  escalator: { en: "the escalator", tc: "扶手電梯" },
+  lift: { en: "the lift", tc: "升降機" },
+  stairs: { en: "the stairs", tc: "樓梯" },
+  ramp: { en: "the ramp", tc: "斜道" },
+};
+
+const connectorType = (highway) => {
+  const value = normalize(highway);
+  if (value === "escalator") return "escalator";
+  if (LIFT_HIGHWAYS.includes(value)) return "lift";
+  if (STAIRS_HIGHWAYS.includes(value)) return "stairs";
+  if (RAMP_HIGHWAYS.includes(value)) return "ramp";
+  return "connector";
+};
+
+// Coordinates of a path step in walking order
+const orientedCoordinates = ({ edge, forward }) =>
+  forward ? edge.coordinates : [...edge.coordinates].reverse();
+
+// Bearing of the first (or last) non-degenerate segment of a line
+const lineHeading = (coords, atEnd) => {
+  const indices = coords.map((_, i) => i).slice(1);
+  if (atEnd) indices.reverse();
+  for (const i of indices) {
+    const a = coords[i - 1];
+    const b = coords[i];
+    if (a[0] !== b[0] || a[1] !== b[1]) return bearing(a, b);
+  }
+  return null;
+};
+
+/**
+ * Maneuver for a change of heading, e.g. "turn left" or "straight"
+ */
+export function turnManeuver(fromHeading, toHeading) {
+  if (fromHeading === null || toHeading === null) return "straight";
+  const delta = ((toHeading - fromHeading + 540) % 360) - 180;
+  const angle = Math.abs(delta);
+  if (angle < STRAIGHT_ANGLE) return "straight";
+  const side = delta < 0 ? "left" : "right";
+  const [, kind] = TURN_LIMITS.find(([limit]) => angle <= limit);
+  return `${kind} ${side}`;
+}
+
+const formatDistance = (metres) => Math.max(1, Math.round(metres));
+
+const levelName = (props) => ({
+  en: props.level_english_name || props.level_id,
+  tc: props.level_chinese_name || props.level_english_name || props.level_id,
+});
+
+const walkText = (maneuver, leg, startsFresh) => {
+  const distance = formatDistance(leg.distance);
+  const name = leg.name;
+  if (startsFresh) {
+    return {
+      en: name
+        ? `Head along ${name.en} for ${distance} m`
+        : `Head straight for ${distance} m`,
+      tc: name ? `沿${name.tc}直行${distance}米` : `直行${distance}米`,
+    };
+  }
+  const turn = TURN_TEXT[maneuver];
+  return {
+    en: name
+      ? `${turn.en} along ${name.en} for ${distance} m`
+      : `${turn.en} for ${distance} m`,
+    tc: name
+      ? `${turn.tc}沿${name.tc}行走${distance}米`
+      : `${turn.tc}行走${distance}米`,
+  };
+};
+
+const levelChangeText = (type, direction, level) => {
+  const dir =
+    direction > 0
+      ? { en: "up ", tc: "上" }
+      : direction < 0
+      ? { en: "down ", tc: "下" }
+      : { en: "", tc: "往" };
+  if (type === "connector") {
+    return { en: `Go ${dir.en}to ${level.en}`, tc: `${dir.tc}${level.tc}` };
+  }
+  const connector = CONNECTOR_TEXT[type];
+  if (type === "lift") {
+    return {
+      en: `Take ${connector.en} to ${level.en}`,
+      tc: `乘${connector.tc}往${level.tc}`,
+    };
+  }
+  // Escalators are ridden (乘), stairs and ramps walked (經)
+  const verb = type === "escalator" ? "乘" : "經";
+  return {
+    en: `Take ${connector.en} ${dir.en}to ${level.en}`,
+    tc: `${verb}${connector.tc}${dir.tc}${level.tc}`,
+  };
+};
+
+/**
+ * Turn-by-turn instructions in English and Traditional Chinese for the
+ * steps of a path (see NetworkGraph.shortestPath). Consecutive edges with
+ * the same name on one level and no real turn are merged into one
+ * instruction; runs of stairs / lift / escalator edges become one level change.
+ * @param {Array<{edge: Object, forward: boolean}>} steps
+ * @returns {Array<Object>} { type, maneuver, distance, level_id, coordinates, iNetworkIDs, instruction: { en, tc } }
+ */
+export function buildInstructions(steps) {
+  // Split the path into walking legs and level changes
+  const parts = [];
+  steps.forEach((step) => {
+    const props = step.edge.properties;
+    const coords = orientedCoordinates(step);
+    const vertical = isVerticalEdge(step.edge);
+    const name = props.aliasname_en
+      ? { en: props.aliasname_en, tc: props.aliasname_tc || props.aliasname_en }
+      : null;
+    const startHeading = lineHeading(coords, false);
+    const last = parts[parts.length - 1];
+
+    if (vertical) {
+      if (last && last.type === "level_change") {
+        last.steps.push(step);
+        last.distance += step.edge.length;
+        last.rise += (coords[coords.length - 1][2] || 0) - (coords[0][2] || 0);
+        return;
+      }
+      parts.push({
+        type: "level_change",
+        steps: [step],
+        distance: step.edge.length,
+        rise: (coords[coords.length - 1][2] || 0) - (coords[0][2] || 0),
+        start: coords[0],
+        highway: props.highway,
+      });
+      return;
+    }
+
+    const maneuver =
+      last && last.type === "walk"
+        ? turnManeuver(last.endHeading, startHeading)
+        : null;
+    const sameWay =
+      last &&
+      last.type === "walk" &&
+      maneuver === "straight" &&
+      last.levelId === props.level_id &&
+      (last.name?.en || null) === (name?.en || null);
+    if (sameWay) {
+      last.steps.push(step);
+      last.distance += step.edge.length;
+      last.endHeading = lineHeading(coords, true) ?? last.endHeading;
+      return;
+    }
+    parts.push({
+      type: "walk",
+      steps: [step],
+      distance: step.edge.length,
+      levelId: props.level_id,
+      name,
+      // After a level change the heading starts afresh
+      maneuver: last && last.type === "walk" ? maneuver : null,
+      start: coords[0],
+      endHeading: lineHeading(coords, true) ?? startHeading,
+    });
+  });
+
+  const instructions = parts.map((part, i) => {
+    const iNetworkIDs = part.steps.map((s) => s.edge.id);
+    if (part.type === "level_change") {
+      // The level reached is that of the next walking leg, if any
+      const next = parts[i + 1];
+      const target = next
+        ? next.steps[0].edge.properties
+        : part.steps[part.steps.length - 1].edge.properties;
+      const type = connectorType(part.highway);
+      return {
+        type: "level_change",
+        maneuver: type,
+        distance: part.distance,
+        level_id: target.level_id,
+        coordinates: part.start,
+        iNetworkIDs,
+        instruction: levelChangeText(
+          type,
+          Math.sign(Math.round(part.rise * 10)),
+          levelName(target)
+        ),
+      };
+    }
+    // Legs after a level change start like the first one, without a turn
+    const startsFresh = i === 0 || part.maneuver === null;
+    const maneuver = i === 0 ? "depart" : part.maneuver || "straight";
+    return {
+      type: i === 0 ? "depart" : maneuver === "straight" ? "continue" : "turn",
+      maneuver,
+      distance: part.distance,
+      level_id: part.levelId,
+      coordinates: part.start,
+      iNetworkIDs,
+      instruction: walkText(maneuver, part, startsFresh),
+    };
+  });
+
+  if (steps.length > 0) {
+    const lastStep = steps[steps.length - 1];
+    const coords = orientedCoordinates(lastStep);
+    instructions.push({
+      type: "arrive",
+      maneuver: "arrive",
+      distance: 0,
+      level_id: lastStep.edge.properties.level_id,
+      coordinates: coords[coords.length - 1],
+      iNetworkIDs: [],
+      instruction: { en: "Arrive at your destination", tc: "到達目的地" },
+    });
+  }
+  return instructions;
+}
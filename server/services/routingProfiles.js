@@ -0,0 +1,113 @@
+// `highway` values of the indoor network, grouped by how they are walked
+export const STAIRS_HIGHWAYS = ["steps", "stairs", "staircase"];
+export const LIFT_HIGHWAYS = ["elevator", "lift"];
+export const ESCALATOR_HIGHWAYS = ["escalator"];
+export const RAMP_HIGHWAYS = ["ramp"];
+
+// Walking speeds in metres per second for time-based costs
+export const WALKING_SPEED = 1.2;
+const STAIRS_SPEED = 0.5;
+const LIFT_SPEED = 1.0;
+// Average wait for a lift car, added once per lift edge
+const LIFT_WAIT_SECONDS = 30;
+
+// Cost multiplier applied to lifts and ramps so the wheelchair profile
+// prefers them over an equally long alternative
+const WHEELCHAIR_PREFERRED_FACTOR = 0.8;
+
+// Attribute value compared case- and space-insensitively, "" when unset
+export const normalize = (value) =>
+  value === null || value === undefined
+    ? ""
+    : String(value).trim().toLowerCase();
+
+/**
+ * Whether a yes/no style attribute (`emergency`, `exit`, ...) is set
+ */
+export function isFlagSet(value) {
+  if (value === true || value === 1) return true;
+  return ["yes", "y", "true", "1", "designated"].includes(normalize(value));
+}
+
+/**
+ * Why an edge cannot be used in a wheelchair, null when it can
+ */
+export function wheelchairBlockReason(edge) {
+  const props = edge.properties;
+  if (Number(props.wheelchairbarrier) === 1) {
+    return "wheelchair barrier";
+  }
+  if (STAIRS_HIGHWAYS.includes(normalize(props.highway))) {
+    return "stairs";
+  }
+  if (ESCALATOR_HIGHWAYS.includes(normalize(props.highway))) {
+    return "escalator";
+  }
+  if (normalize(props.wheelchair) === "no") {
+    return "not wheelchair accessible";
+  }
+  return null;
+}
+
+/**
+ * Seconds needed to walk (or ride) an edge
+ */
+export function walkingSeconds(edge) {
+  const highway = normalize(edge.properties.highway);
+  if (STAIRS_HIGHWAYS.includes(highway)) {
+    return edge.length / STAIRS_SPEED;
+  }
+  if (LIFT_HIGHWAYS.includes(highway)) {
+    return LIFT_WAIT_SECONDS + edge.length / LIFT_SPEED;
+  }
+  return edge.length / WALKING_SPEED;
+}
+
+/**
+ * Routing profiles: `edgeFilter` removes edges from the search and
+ * `edgeCost` weights the remaining ones (see NetworkGraph.search)
+ */
+export const ROUTING_PROFILES = {
+  default: {
+    edgeFilter: null,
+    edgeCost: null,
+    blockReason: () => null,
+  },
+  wheelchair: {
+    edgeFilter: (edge) => !wheelchairBlockReason(edge),
+    edgeCost: (edge) => {
+      const highway = normalize(edge.properties.highway);
+      return LIFT_HIGHWAYS.includes(highway) || RAMP_HIGHWAYS.includes(highway)
+        ? edge.length * WHEELCHAIR_PREFERRED_FACTOR
+        : edge.length;
+    },
+    blockReason: wheelchairBlockReason,
+  },
+};
+
+/**
+ * Edge filter for evacuation: lifts are not used in an emergency and
+ * `emergencyOnly` keeps to the designated emergency routes (exits included)
+ */
+export function evacuationProfile({
+  emergencyOnly = false,
+  excludeLifts = true,
+}) {
+  return {
+    edgeFilter: (edge) => {
+      const props = edge.properties;
+      if (excludeLifts && LIFT_HIGHWAYS.includes(normalize(props.highway))) {
+        return false;
+      }
+      if (
+        emergencyOnly &&
+        !isFlagSet(props.emergency) &&
+        !isFlagSet(props.exit)
+      ) {
+        return false;
+      }
+      return true;
+    },
+    edgeCost: null,
+  };
+}
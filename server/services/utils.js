@@ -3,35 +3,130 @@ import path from "path";
 import { MongoDbService } from "../dbServices/MongoDbService.js";
 import { MONGO_COLLECTIONS } from "../../config/collections.js";
 import { getMongoClient } from "../dbServices/mongoClient.js";
+import { JsonFileService } from "./JsonFileService.js";
+import { firstPosition, validateVenueData } from "./venueValidation.js";
+import { previewVenueImport } from "./venueImportPreview.js";
+import { VenueRevisionService } from "./venueRevisionService.js";
 
 export class Utils {
-  async convertToVenueMongoDBTable(data) {
+  constructor() {
+    this.venueRevisionService = new VenueRevisionService();
+  }
+
+  /**
+   * Import wrapped venue JSON files one after another, as run by an import job
+   * @param {Array<string>} filePaths - Venue JSON files ({ data: {...} })
+   * @param {Object} job - { reportProgress, isCancelled } from JobService
+   * @param {Object} options - { strict, dryRun, importedBy } of convertToVenueMongoDBTable
+   */
+  async importVenueFiles(filePaths, job = {}, options = {}) {
+    const { reportProgress = () => {}, isCancelled = () => false } = job;
+    const jsonService = new JsonFileService();
+    const failedList = [];
+    // Files imported despite validation issues, with their issue counts
+    const issueList = [];
+    const previewList = [];
+    let processedFiles = 0;
+
+    for (const filePath of filePaths) {
+      if (isCancelled()) break;
+      const json = await jsonService.readJson(filePath);
+      const venues = await this.convertToVenueMongoDBTable(json.data, options);
+      const file = path.basename(filePath);
+      if (!venues.success) {
+        failedList.push({
+          file,
+          displayName: venues.displayName,
+          error: venues.message,
+          report: venues.report,
+        });
+      } else if (venues.dryRun) {
+        previewList.push({
+          file,
+          venue_id: venues.venue_id,
+          report: venues.report,
+          preview: venues.preview,
+        });
+      } else if (venues.report.issues.length > 0) {
+        issueList.push({
+          file,
+          venue_id: venues.venue_id,
+          counts: venues.report.counts,
+        });
+      }
+      processedFiles++;
+      reportProgress({
+        file: path.basename(filePath),
+        processedFiles,
+        totalFiles: filePaths.length,
+        progressPercent: Math.round((processedFiles / filePaths.length) * 100),
+      });
+    }
+
+    return {
+      processedFiles,
+      totalFiles: filePaths.length,
+      failedFiles: failedList.length,
+      failures: failedList,
+      filesWithIssues: issueList,
+      ...(options.dryRun && { dryRun: true, previews: previewList }),
+    };
+  }
+
+  /**
+   * Validate wrapped venue JSON and store it as the venue / building_data
+   * documents. Data with fatal issues is never stored, data with errors
+   * (unknown levels, units or anchors, missing heights ...) only when not strict.
+   * A dry run prepares the documents and compares them with the stored ones
+   * without writing anything.
+   * @param {Object} data - { venue: { content: FeatureCollection }, ..., buildingType, displayName }
+   * @param {Object} options
+   * @param {boolean} options.strict - Refuse data with any validation error
+   * @param {boolean} options.dryRun - Preview the import instead of storing it
+   * @param {string} options.importedBy - Username recorded with the revision
+   * @returns {Object} { success, message, displayName, venue_id, report, dryRun, preview }
+   *   report is the validateVenueData result, preview the previewVenueImport one
+   */
+  async convertToVenueMongoDBTable(
+    data,
+    { strict = false, dryRun = false, importedBy = null } = {}
+  ) {
+    const displayName = data?.displayName;
     try {
-      console.log(data);
-      data.address = data.address.content.features;
-      data.building = data.building.content.features;
-      data.footprint = data.footprint.content.features;
-      data.level = data.level.content.features;
-      data.unit = data.unit.content.features;
-      data.opening = data.opening.content.features;
-      data.window = data.window ? data.window.content.features : null;
-      data.amenities =
-        data.buildingType === "MTR"
-          ? data.amenity.content.features
-          : data.amenities.content.features;
+      const features = (entry) => entry?.content?.features;
+      data.address = features(data.address);
+      data.building = features(data.building);
+      data.footprint = features(data.footprint);
+      data.level = features(data.level);
+      data.unit = features(data.unit);
+      data.opening = features(data.opening);
+      data.window = data.window ? features(data.window) : null;
+      data.amenities = features(
+        data.buildingType === "MTR" ? data.amenity : data.amenities
+      );
       data.anchors =
         data.buildingType === "MTR" && data.anchor
-          ? data.anchor.content.features
+          ? features(data.anchor)
           : data.anchors
-          ? data.anchors.content.features
+          ? features(data.anchors)
           : null;
       data.occupants =
         data.buildingType === "MTR" && data.occupant
-          ? data.occupant.content.features
+          ? features(data.occupant)
           : data.occupants
-          ? data.occupants.content.features
+          ? features(data.occupants)
           : null;
-      data.venue = data.venue.content.features;
+      data.venue = features(data.venue);
+
+      const report = validateVenueData(data);
+      if (!report.importable || (strict && !report.valid)) {
+        return {
+          success: false,
+          displayName,
+          message: `Venue data has ${report.counts.fatal} fatal issues and ${report.counts.error} errors`,
+          report,
+        };
+      }
 
       const venue = data.venue[0];
       const venueId = venue.id;
@@ -48,7 +143,12 @@ export class Utils {
 
       const errorAddingVenue = this.addVenueIdToAllFeatures(data, venueId);
       if (typeof errorAddingVenue === "string") {
-        return errorAddingVenue;
+        return {
+          success: false,
+          displayName,
+          message: "Failed to add the venue id to the features",
+          report,
+        };
       }
       data.venue_id = venueId;
       delete data.venue;
@@ -58,15 +158,27 @@ export class Utils {
         delete data.amenity;
         delete data.anchor;
       }
+      if (dryRun) {
+        const stored = await this.getStoredVenueData(venueId);
+        return {
+          success: true,
+          dryRun: true,
+          message: "Dry run, nothing was written",
+          displayName,
+          venue_id: venueId,
+          report,
+          preview: previewVenueImport({ venue, buildingData: data }, stored),
+        };
+      }
       // Return both the venue and the cleaned data for further use
-      const result = await this.upsertVenueAndBuildingDataWithoutTransaction({
-        venue,
-        buildingData: data,
-      });
-      return result;
+      const result = await this.upsertVenueAndBuildingDataWithoutTransaction(
+        { venue, buildingData: data },
+        { importedBy }
+      );
+      return { ...result, displayName, venue_id: venueId, report };
     } catch (error) {
       console.log(error);
-      return DataTransfer.displayName;
+      return { success: false, displayName, message: error.message };
     }
   }
 
@@ -112,14 +224,11 @@ export class Utils {
       });
       data.level.forEach((l) => {
         l.properties.venue_id = venueId;
-        l.properties.zValue =
-          l.geometry.type === "Polygon"
-            ? l.geometry.coordinates[0][0][2]
-            : l.geometry.coordinates[0][0][0][2];
+        l.properties.zValue = firstPosition(l.geometry)[2];
       });
       data.unit.forEach((u) => {
         u.properties.venue_id = venueId;
-        u.properties.zValue = u.geometry.coordinates[0][0][2];
+        u.properties.zValue = firstPosition(u.geometry)[2];
         u.properties.nameEn =
           u.properties.name && u.properties.name.en ? u.properties.name.en : "";
         u.properties.nameZh =
@@ -145,22 +254,18 @@ export class Utils {
       if (data.occupants) {
         data.occupants.forEach((o) => {
           o.properties.venue_id = venueId;
-          o.properties.zValue = o.geometry.coordinates[2];
+          // Occupants without a known anchor have no position
+          o.properties.zValue = firstPosition(o.geometry)?.[2] ?? null;
         });
       }
 
       data.opening.forEach((o) => {
         o.properties.venue_id = venueId;
         o.properties.zValue = o.geometry.coordinates[0][2];
-        o.properties.automatic = o.properties.door.automatic
-          ? o.properties.door.automatic
-          : false;
-        o.properties.material = o.properties.door.material
-          ? o.properties.door.material
-          : null;
-        o.properties.doorType = o.properties.door.type
-          ? o.properties.door.type
-          : null;
+        const door = o.properties.door || {};
+        o.properties.automatic = door.automatic ? door.automatic : false;
+        o.properties.material = door.material ? door.material : null;
+        o.properties.doorType = door.type ? door.type : null;
         delete o.properties.door;
       });
       if (data.window) {
@@ -177,29 +282,47 @@ export class Utils {
     }
   }
 
-  async upsertVenueAndBuildingDataWithoutTransaction({ venue, buildingData }) {
+  /**
+   * Stored venue and building_data documents of a venue, null when absent
+   * @returns {Object} { venue, buildingData }
+   */
+  async getStoredVenueData(venueId) {
     const client = await getMongoClient();
-    let result;
-    try {
-      // Use the same client and session for all operations
-      const db = client.db(process.env.MONGO_INITDB_DATABASE);
-      const venueCollection = db.collection(MONGO_COLLECTIONS.VENUE);
-      const buildingCollection = db.collection(MONGO_COLLECTIONS.BUILDING_DATA);
+    const db = client.db(process.env.MONGO_INITDB_DATABASE);
+    const [venue, buildingData] = await Promise.all([
+      db.collection(MONGO_COLLECTIONS.VENUE).findOne({ id: venueId }),
+      db
+        .collection(MONGO_COLLECTIONS.BUILDING_DATA)
+        .findOne({ venue_id: venueId }),
+    ]);
+    return { venue, buildingData };
+  }
 
-      await venueCollection.replaceOne({ id: venue.id }, venue, {
-        upsert: true,
-      });
-      await buildingCollection.replaceOne(
-        { venue_id: buildingData.venue_id },
-        buildingData,
-        { upsert: true }
+  /**
+   * Replace the venue and building_data documents of a venue, recording the
+   * new documents as its next revision first (VenueRevisionService.apply
+   * puts the previous documents back when the replacement fails)
+   * @param {Object} documents - { venue, buildingData }
+   * @param {Object} options - { importedBy } username recorded with the revision
+   * @returns {Object} { success, message, revision }
+   */
+  async upsertVenueAndBuildingDataWithoutTransaction(
+    { venue, buildingData },
+    { importedBy = null } = {}
+  ) {
+    try {
+      const db = await this.venueRevisionService.getDb();
+      const revision = await this.venueRevisionService.apply(
+        db,
+        { venue, buildingData },
+        { source: "import", importedBy }
       );
       return {
         success: true,
         message: "Upsert venue and indoor_data successful",
+        revision,
       };
     } catch (err) {
-      // If any error occurs, the transaction is automatically aborted by withTransaction
       return { success: false, message: err.message };
     }
   }
@@ -0,0 +1,156 @@
+import { distance3D } from "./geoUtils.js";
+
+/**
+ * Feature-level differences between two building_data documents of a venue
+ * (two revisions), for reviewing a supplier's resubmission
+ */
+
+// building_data collections compared by diffBuildingData
+export const DIFF_COLLECTIONS = ["unit", "opening", "amenities", "occupants"];
+
+// Metres a geometry may shift (digitising noise, reprojection) and still
+// count as unchanged
+export const DEFAULT_MOVE_TOLERANCE = 0.5;
+
+/**
+ * JSON with sorted keys, so stored documents compare equal whatever their
+ * key order
+ */
+export const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Every [lon, lat, z?] position of a geometry
+const positions = (coords, result = []) => {
+  if (!Array.isArray(coords)) return result;
+  if (typeof coords[0] === "number") {
+    result.push(coords);
+    return result;
+  }
+  coords.forEach((c) => positions(c, result));
+  return result;
+};
+
+/**
+ * How far apart two geometries are in metres: the largest distance from a
+ * vertex of either to the nearest vertex of the other (3D). 0 when both are
+ * missing, Infinity when only one is.
+ */
+export function geometryDisplacement(a, b) {
+  const from = positions(a?.coordinates);
+  const to = positions(b?.coordinates);
+  if (from.length === 0 || to.length === 0) {
+    return from.length === to.length ? 0 : Infinity;
+  }
+  const farthest = (source, target) =>
+    source.reduce(
+      (max, p) =>
+        Math.max(
+          max,
+          target.reduce((min, q) => Math.min(min, distance3D(p, q)), Infinity)
+        ),
+      0
+    );
+  return Math.max(farthest(from, to), farthest(to, from));
+}
+
+/**
+ * Properties added, removed or given another value
+ * @returns {Array<{property: string, from: *, to: *}>} from / to are null when absent
+ */
+export function propertyChanges(from = {}, to = {}) {
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+  return keys
+    .filter((key) => canonical(from[key]) !== canonical(to[key]))
+    .map((key) => ({
+      property: key,
+      from: from[key] ?? null,
+      to: to[key] ?? null,
+    }));
+}
+
+const describe = (feature) => ({
+  id: feature.id,
+  level_id: feature.properties?.level_id ?? null,
+  name: feature.properties?.nameEn || feature.properties?.name?.en || null,
+});
+
+/**
+ * Added, removed and modified features of one collection. A feature is
+ * modified when a property changed or its geometry moved more than
+ * `tolerance` metres.
+ */
+export function diffFeatureCollection(fromFeatures, toFeatures, tolerance) {
+  const fromById = new Map((fromFeatures || []).map((f) => [f.id, f]));
+  const toById = new Map((toFeatures || []).map((f) => [f.id, f]));
+  const result = { added: [], removed: [], modified: [], unchanged: 0 };
+
+  toById.forEach((feature, id) => {
+    const previous = fromById.get(id);
+    if (!previous) {
+      result.added.push(describe(feature));
+      return;
+    }
+    const properties = propertyChanges(previous.properties, feature.properties);
+    const geometryChanged =
+      canonical(previous.geometry) !== canonical(feature.geometry);
+    const displacement = geometryChanged
+      ? geometryDisplacement(previous.geometry, feature.geometry)
+      : 0;
+    const moved = displacement > tolerance;
+    if (properties.length === 0 && !moved) {
+      result.unchanged++;
+      return;
+    }
+    result.modified.push({
+      ...describe(feature),
+      properties,
+      moved,
+      // null when a geometry was added or removed
+      displacement: Number.isFinite(displacement)
+        ? Math.round(displacement * 100) / 100
+        : null,
+    });
+  });
+  fromById.forEach((feature, id) => {
+    if (!toById.has(id)) result.removed.push(describe(feature));
+  });
+  return result;
+}
+
+/**
+ * Differences from one building_data document to another
+ * @param {Object} from - Older building_data
+ * @param {Object} to - Newer building_data
+ * @param {Object} options
+ * @param {number} options.tolerance - Metres a geometry may move unnoticed
+ * @returns {Object} { tolerance, collections: { unit: { added, removed, modified, unchanged }, ... }, summary }
+ */
+export function diffBuildingData(
+  from,
+  to,
+  { tolerance = DEFAULT_MOVE_TOLERANCE } = {}
+) {
+  const collections = {};
+  const summary = {};
+  DIFF_COLLECTIONS.forEach((type) => {
+    const diff = diffFeatureCollection(from[type], to[type], tolerance);
+    collections[type] = diff;
+    summary[type] = {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      modified: diff.modified.length,
+      unchanged: diff.unchanged,
+    };
+  });
+  return { tolerance, collections, summary };
+}
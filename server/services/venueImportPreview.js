@@ -0,0 +1,124 @@
+import { canonical } from "./venueDiff.js";
+
+/**
+ * What a venue import would change, comparing the venue / building_data
+ * documents Utils.convertToVenueMongoDBTable prepared with the stored ones
+ */
+
+// building_data collections compared feature by feature
+export const PREVIEW_COLLECTIONS = [
+  "address",
+  "building",
+  "footprint",
+  "level",
+  "unit",
+  "opening",
+  "window",
+  "amenities",
+  "occupants",
+];
+
+// venue document fields set from the import metadata
+const VENUE_FIELDS = [
+  "buildingType",
+  "region",
+  "displayName",
+  "buildingName",
+  "LastAmendmentDate",
+];
+
+// Most ids listed per change, the counts cover all of them
+const MAX_IDS = 200;
+
+/**
+ * Added, removed and changed feature ids of one collection
+ * @param {Array} next - Features to be stored
+ * @param {Array} current - Stored features
+ */
+export function diffFeatures(next, current) {
+  const nextById = new Map((next || []).map((f) => [f.id, f]));
+  const currentById = new Map((current || []).map((f) => [f.id, f]));
+  const added = [...nextById.keys()].filter((id) => !currentById.has(id));
+  const removed = [...currentById.keys()].filter((id) => !nextById.has(id));
+  const changed = [...nextById.keys()].filter(
+    (id) =>
+      currentById.has(id) &&
+      canonical(nextById.get(id)) !== canonical(currentById.get(id))
+  );
+  return {
+    count: nextById.size,
+    currentCount: currentById.size,
+    added: added.length,
+    removed: removed.length,
+    changed: changed.length,
+    addedIds: added.slice(0, MAX_IDS),
+    removedIds: removed.slice(0, MAX_IDS),
+    changedIds: changed.slice(0, MAX_IDS),
+  };
+}
+
+/**
+ * Levels by ordinal with the zValue computed for them and the number of
+ * units on each
+ */
+export function levelHeights(levels, units = []) {
+  const unitCounts = new Map();
+  units.forEach((unit) => {
+    const levelId = unit.properties.level_id;
+    unitCounts.set(levelId, (unitCounts.get(levelId) || 0) + 1);
+  });
+  return (levels || [])
+    .map((level) => ({
+      level_id: level.id,
+      ordinal: level.properties.ordinal,
+      name: level.properties.name?.en ?? null,
+      zValue: level.properties.zValue ?? null,
+      units: unitCounts.get(level.id) || 0,
+    }))
+    .sort((a, b) => a.ordinal - b.ordinal);
+}
+
+/**
+ * Preview of an import
+ * @param {Object} prepared - { venue, buildingData } ready to be upserted
+ * @param {Object} stored - { venue, buildingData } currently stored, null when absent
+ * @returns {Object} { venue_id, exists, venueChanges, collections, levels }
+ */
+export function previewVenueImport({ venue, buildingData }, stored) {
+  const current = stored?.buildingData || {};
+  const collections = {};
+  PREVIEW_COLLECTIONS.forEach((type) => {
+    if (!buildingData[type] && !current[type]) return;
+    collections[type] = diffFeatures(buildingData[type], current[type]);
+  });
+  const venueChanges = [];
+  if (stored?.venue) {
+    VENUE_FIELDS.forEach((field) => {
+      if (canonical(venue[field]) !== canonical(stored.venue[field])) {
+        venueChanges.push({
+          field,
+          current: stored.venue[field] ?? null,
+          next: venue[field] ?? null,
+        });
+      }
+    });
+    ["height", "min_height"].forEach((field) => {
+      const next = venue.properties[field];
+      const previous = stored.venue.properties?.[field];
+      if (canonical(next) !== canonical(previous)) {
+        venueChanges.push({
+          field,
+          current: previous ?? null,
+          next: next ?? null,
+        });
+      }
+    });
+  }
+  return {
+    venue_id: venue.id,
+    exists: !!stored?.buildingData,
+    venueChanges,
+    collections,
+    levels: levelHeights(buildingData.level, buildingData.unit),
+  };
+}
@@ -0,0 +1,240 @@
+import { MONGO_COLLECTIONS } from "../../config/collections.js";
+import { getMongoClient } from "../dbServices/mongoClient.js";
+import { PREVIEW_COLLECTIONS } from "./venueImportPreview.js";
+
+/**
+ * Every version of a venue's venue / building_data documents, one revision
+ * per import or rollback, numbered from 1 per venue. The newest revision is
+ * what the venue and building_data collections hold.
+ *
+ * Mongo runs standalone (no replica set, so no transactions): a revision is
+ * recorded before the documents are swapped, and removed again with the
+ * previous documents put back when the swap fails.
+ */
+
+// Revision fields listed without the stored documents
+const SUMMARY_PROJECTION = { venue: 0, buildingData: 0, _id: 0 };
+
+// Attempts at taking the next revision number when concurrent imports of
+// the same venue race for it
+const MAX_RECORD_ATTEMPTS = 5;
+
+const DUPLICATE_KEY = 11000;
+
+const withoutId = ({ _id, ...doc }) => doc;
+
+// Feature count per building_data collection
+const featureCounts = (buildingData) =>
+  Object.fromEntries(
+    PREVIEW_COLLECTIONS.filter((type) => Array.isArray(buildingData[type])).map(
+      (type) => [type, buildingData[type].length]
+    )
+  );
+
+export class VenueRevisionService {
+  async getDb() {
+    const client = await getMongoClient();
+    return client.db(process.env.MONGO_INITDB_DATABASE);
+  }
+
+  // Revision numbers are unique per venue
+  async ensureIndex(db) {
+    await db
+      .collection(MONGO_COLLECTIONS.VENUE_REVISION)
+      .createIndex({ venue_id: 1, revision: -1 }, { unique: true });
+  }
+
+  async insertRevision(db, { venue, buildingData }, fields, revision) {
+    await db.collection(MONGO_COLLECTIONS.VENUE_REVISION).insertOne({
+      venue_id: venue.id,
+      revision,
+      source: fields.source,
+      importedBy: fields.importedBy ?? null,
+      importedAt: new Date(),
+      rolledBackFrom: fields.rolledBackFrom ?? null,
+      LastAmendmentDate: venue.LastAmendmentDate ?? null,
+      displayName: venue.displayName ?? null,
+      buildingType: venue.buildingType ?? null,
+      features: featureCounts(buildingData),
+      venue: withoutId(venue),
+      buildingData: withoutId(buildingData),
+    });
+  }
+
+  /**
+   * Store documents as the next revision of their venue, taking the number
+   * after the one a concurrent import got first
+   * @param {Db} db
+   * @param {Object} documents - { venue, buildingData }
+   * @param {Object} fields
+   * @param {string} fields.source - "import", "rollback" or "existing"
+   * @param {string|null} fields.importedBy - Username
+   * @param {number} [fields.rolledBackFrom] - Revision restored by a rollback
+   * @returns {number} The revision number
+   */
+  async record(db, documents, fields) {
+    const collection = db.collection(MONGO_COLLECTIONS.VENUE_REVISION);
+    for (let attempt = 1; ; attempt++) {
+      const latest = await collection.findOne(
+        { venue_id: documents.venue.id },
+        { sort: { revision: -1 }, projection: { revision: 1 } }
+      );
+      const revision = latest ? latest.revision + 1 : 1;
+      try {
+        await this.insertRevision(db, documents, fields, revision);
+        return revision;
+      } catch (err) {
+        if (err.code !== DUPLICATE_KEY || attempt >= MAX_RECORD_ATTEMPTS) {
+          throw err;
+        }
+      }
+    }
+  }
+
+  /**
+   * Keep the stored documents of a venue imported before revisions were
+   * recorded as its first revision, so the next import does not lose them
+   */
+  async recordExisting(db, venueId) {
+    const revisions = db.collection(MONGO_COLLECTIONS.VENUE_REVISION);
+    if (
+      await revisions.findOne({ venue_id: venueId }, { projection: { _id: 1 } })
+    ) {
+      return null;
+    }
+    const [venue, buildingData] = await Promise.all([
+      db.collection(MONGO_COLLECTIONS.VENUE).findOne({ id: venueId }),
+      db
+        .collection(MONGO_COLLECTIONS.BUILDING_DATA)
+        .findOne({ venue_id: venueId }),
+    ]);
+    if (!venue || !buildingData) return null;
+    try {
+      await this.insertRevision(
+        db,
+        { venue, buildingData },
+        { source: "existing", importedBy: null },
+        1
+      );
+      return 1;
+    } catch (err) {
+      // A concurrent import recorded the venue's first revision already
+      if (err.code === DUPLICATE_KEY) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Make documents the current ones of their venue: record them as the next
+   * revision, then replace the venue and building_data documents. When a
+   * replacement fails the previous documents are put back and the revision
+   * removed before the error is thrown.
+   * @param {Db} db
+   * @param {Object} documents - { venue, buildingData }
+   * @param {Object} fields - As for record
+   * @returns {number} The revision number
+   */
+  async apply(db, { venue, buildingData }, fields) {
+    const venueId = venue.id;
+    await this.ensureIndex(db);
+    await this.recordExisting(db, venueId);
+    const revisions = db.collection(MONGO_COLLECTIONS.VENUE_REVISION);
+    const venues = db.collection(MONGO_COLLECTIONS.VENUE);
+    const buildings = db.collection(MONGO_COLLECTIONS.BUILDING_DATA);
+    const previous = await revisions.findOne(
+      { venue_id: venueId },
+      { sort: { revision: -1 } }
+    );
+    const revision = await this.record(db, { venue, buildingData }, fields);
+
+    try {
+      await venues.replaceOne({ id: venueId }, withoutId(venue), {
+        upsert: true,
+      });
+      await buildings.replaceOne(
+        { venue_id: venueId },
+        withoutId(buildingData),
+        { upsert: true }
+      );
+      return revision;
+    } catch (err) {
+      try {
+        if (previous) {
+          await venues.replaceOne({ id: venueId }, previous.venue, {
+            upsert: true,
+          });
+          await buildings.replaceOne(
+            { venue_id: venueId },
+            previous.buildingData,
+            { upsert: true }
+          );
+        } else {
+          await venues.deleteOne({ id: venueId });
+          await buildings.deleteOne({ venue_id: venueId });
+        }
+        await revisions.deleteOne({ venue_id: venueId, revision });
+      } catch (restoreErr) {
+        throw new Error(
+          `${err.message}; restoring revision ${
+            previous ? previous.revision : "none"
+          } failed too: ${restoreErr.message}`
+        );
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Revisions of a venue, newest first, without their documents
+   */
+  async list(venueId) {
+    const db = await this.getDb();
+    return db
+      .collection(MONGO_COLLECTIONS.VENUE_REVISION)
+      .find({ venue_id: venueId }, { projection: SUMMARY_PROJECTION })
+      .sort({ revision: -1 })
+      .toArray();
+  }
+
+  /**
+   * One revision with its venue and buildingData documents, null when absent
+   */
+  async get(venueId, revision) {
+    const db = await this.getDb();
+    return db
+      .collection(MONGO_COLLECTIONS.VENUE_REVISION)
+      .findOne({ venue_id: venueId, revision }, { projection: { _id: 0 } });
+  }
+
+  /**
+   * Make a revision current again: its documents replace the venue and
+   * building_data ones and are recorded as a new revision
+   * @returns {Object} { success, message, revision } revision is the new one
+   */
+  async rollback(venueId, revision, { importedBy = null } = {}) {
+    try {
+      const db = await this.getDb();
+      const target = await db
+        .collection(MONGO_COLLECTIONS.VENUE_REVISION)
+        .findOne({ venue_id: venueId, revision });
+      if (!target) {
+        return {
+          success: false,
+          message: `Revision ${revision} of venue ${venueId} not found`,
+        };
+      }
+      const newRevision = await this.apply(db, target, {
+        source: "rollback",
+        importedBy,
+        rolledBackFrom: revision,
+      });
+      return {
+        success: true,
+        message: `Venue ${venueId} rolled back to revision ${revision}`,
+        revision: newRevision,
+      };
+    } catch (err) {
+      return { success: false, message: err.message };
+    }
+  }
+}
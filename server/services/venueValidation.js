@@ -0,0 +1,216 @@
+/**
+ * Structured validation of venue data before Utils.convertToVenueMongoDBTable
+ * stores it. Every problem is an issue { severity, code, feature_type,
+ * feature_id, message }:
+ *   fatal   - the data cannot be converted at all
+ *   error   - it converts, but features lose their level, unit or position
+ *             (strict imports are refused)
+ *   warning - optional references that lead nowhere
+ */
+
+// Collections the conversion reads, as named once unwrapped
+const REQUIRED_COLLECTIONS = [
+  "venue",
+  "address",
+  "building",
+  "footprint",
+  "level",
+  "unit",
+  "opening",
+  "amenities",
+];
+
+// Accepted geometry types; the features' z is read from their first position
+const GEOMETRY_TYPES = {
+  venue: ["Polygon", "MultiPolygon"],
+  footprint: ["Polygon", "MultiPolygon"],
+  level: ["Polygon", "MultiPolygon"],
+  unit: ["Polygon", "MultiPolygon"],
+  opening: ["LineString"],
+  window: ["LineString"],
+  amenities: ["Point"],
+  anchors: ["Point"],
+};
+
+// Features whose zValue is taken from their geometry
+const Z_COLLECTIONS = ["level", "unit", "opening", "window", "amenities"];
+
+// Properties every feature of a collection must have
+const REQUIRED_PROPERTIES = {
+  level: ["ordinal"],
+  unit: ["category", "level_id"],
+  opening: ["level_id"],
+  amenities: ["category", "unit_ids"],
+  anchors: ["unit_id"],
+  occupants: ["anchor_id"],
+};
+
+// Most issues listed in a report, the counts cover all of them
+const MAX_ISSUES = 500;
+
+/**
+ * First [lon, lat, z?] position of a geometry, null without coordinates
+ */
+export function firstPosition(geometry) {
+  let coords = geometry?.coordinates;
+  while (Array.isArray(coords) && Array.isArray(coords[0])) {
+    coords = coords[0];
+  }
+  return Array.isArray(coords) && typeof coords[0] === "number" ? coords : null;
+}
+
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validate unwrapped venue collections ({ venue: [...], level: [...], ... }
+ * as convertToVenueMongoDBTable holds them after reading `content.features`)
+ * @param {Object} data
+ * @returns {Object} { valid, importable, counts: { fatal, error, warning }, issues, truncated }
+ *   `importable` is false with fatal issues, `valid` with any error
+ */
+export function validateVenueData(data) {
+  const issues = [];
+  const add = (severity, code, featureType, feature, message) =>
+    issues.push({
+      severity,
+      code,
+      feature_type: featureType,
+      feature_id: feature?.id ?? null,
+      message,
+    });
+
+  REQUIRED_COLLECTIONS.forEach((type) => {
+    if (!Array.isArray(data[type])) {
+      add("fatal", "MISSING_COLLECTION", type, null, `No ${type} collection`);
+    }
+  });
+  if (Array.isArray(data.venue) && data.venue.length !== 1) {
+    add(
+      "fatal",
+      "VENUE_COUNT",
+      "venue",
+      null,
+      `Expected exactly one venue, found ${data.venue.length}`
+    );
+  }
+
+  const collections = Object.keys(GEOMETRY_TYPES)
+    .concat(["address", "building", "occupants"])
+    .filter((type) => Array.isArray(data[type]));
+  const ids = {};
+  collections.forEach((type) => {
+    ids[type] = new Set();
+    data[type].forEach((feature) => {
+      if (
+        !feature ||
+        typeof feature.properties !== "object" ||
+        !feature.properties
+      ) {
+        add(
+          "fatal",
+          "MISSING_PROPERTIES",
+          type,
+          feature,
+          "Feature has no properties"
+        );
+        return;
+      }
+      if (isMissing(feature.id)) {
+        // The venue id becomes the venue_id of every document
+        add(
+          type === "venue" ? "fatal" : "error",
+          "MISSING_ID",
+          type,
+          feature,
+          "Feature has no id"
+        );
+      } else if (ids[type].has(feature.id)) {
+        add(
+          "error",
+          "DUPLICATE_ID",
+          type,
+          feature,
+          `Duplicate ${type} id ${feature.id}`
+        );
+      }
+      ids[type].add(feature.id);
+
+      const geometryTypes = GEOMETRY_TYPES[type];
+      if (geometryTypes && !geometryTypes.includes(feature.geometry?.type)) {
+        add(
+          "fatal",
+          "INVALID_GEOMETRY",
+          type,
+          feature,
+          `Geometry must be ${geometryTypes.join(" or ")}, found ${
+            feature.geometry?.type ?? "none"
+          }`
+        );
+      } else if (
+        Z_COLLECTIONS.includes(type) &&
+        !Number.isFinite(firstPosition(feature.geometry)?.[2])
+      ) {
+        add("error", "MISSING_Z", type, feature, "Coordinates have no height");
+      }
+
+      (REQUIRED_PROPERTIES[type] || []).forEach((property) => {
+        if (isMissing(feature.properties[property])) {
+          add(
+            "error",
+            "MISSING_PROPERTY",
+            type,
+            feature,
+            `Missing required property ${property}`
+          );
+        }
+      });
+    });
+  });
+
+  // Cross-references: [collection, property, target collection, code, severity]
+  const references = [
+    ["unit", "level_id", "level", "UNKNOWN_LEVEL", "error"],
+    ["opening", "level_id", "level", "UNKNOWN_LEVEL", "error"],
+    ["window", "level_id", "level", "UNKNOWN_LEVEL", "error"],
+    ["amenities", "unit_ids", "unit", "UNKNOWN_UNIT", "error"],
+    ["anchors", "unit_id", "unit", "UNKNOWN_UNIT", "error"],
+    ["occupants", "anchor_id", "anchors", "UNKNOWN_ANCHOR", "error"],
+    ["level", "building_ids", "building", "UNKNOWN_BUILDING", "warning"],
+    ["footprint", "building_ids", "building", "UNKNOWN_BUILDING", "warning"],
+    ["venue", "address_id", "address", "UNKNOWN_ADDRESS", "warning"],
+    ["building", "address_id", "address", "UNKNOWN_ADDRESS", "warning"],
+    ["anchors", "address_id", "address", "UNKNOWN_ADDRESS", "warning"],
+  ];
+  references.forEach(([type, property, target, code, severity]) => {
+    if (!ids[type] || !ids[target]) return;
+    data[type].forEach((feature) => {
+      const value = feature?.properties?.[property];
+      if (isMissing(value)) return;
+      (Array.isArray(value) ? value : [value]).forEach((id) => {
+        if (!ids[target].has(id)) {
+          add(
+            severity,
+            code,
+            type,
+            feature,
+            `${property} ${id} matches no ${target} feature`
+          );
+        }
+      });
+    });
+  });
+
+  const counts = { fatal: 0, error: 0, warning: 0 };
+  issues.forEach((issue) => counts[issue.severity]++);
+  return {
+    valid: counts.fatal === 0 && counts.error === 0,
+    importable: counts.fatal === 0,
+    counts,
+    issues: issues.slice(0, MAX_ISSUES),
+    truncated: issues.length > MAX_ISSUES,
+  };
+}
@@ -0,0 +1,64 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import { expandUploadedFiles } from "../server/middleware/fileUpload.js";
+
+describe("expandUploadedFiles", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "upload-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("replaces a zip with its matching entries and cleans up", async () => {
+    const zip = new AdmZip();
+    zip.addFile("a/network.geojson", Buffer.from('{"a":1}'));
+    zip.addFile("readme.txt", Buffer.from("ignored"));
+    zip.addFile("__MACOSX/a/._network.geojson", Buffer.from("x"));
+    const zipPath = path.join(dir, "upload-1");
+    zip.writeZip(zipPath);
+    const plainPath = path.join(dir, "upload-2");
+    fs.writeFileSync(plainPath, '{"b":2}');
+
+    const { files, cleanup } = await expandUploadedFiles(
+      [
+        { originalname: "networks.zip", path: zipPath },
+        { originalname: "single.json", path: plainPath },
+      ],
+      [".json", ".geojson"]
+    );
+
+    expect(files.map((f) => f.name)).toEqual([
+      "networks.zip/a/network.geojson",
+      "single.json",
+    ]);
+    expect(fs.readFileSync(files[0].path, "utf8")).toBe('{"a":1}');
+
+    await cleanup();
+    expect(fs.existsSync(zipPath)).toBe(false);
+    expect(fs.existsSync(files[0].path)).toBe(false);
+  });
+
+  it("stops extracting once the inflated bytes pass the limit", async () => {
+    const zip = new AdmZip();
+    // Compresses to a few hundred bytes, inflates to 100 kB
+    zip.addFile("bomb.geojson", Buffer.alloc(100 * 1024, " "));
+    const zipPath = path.join(dir, "upload-1");
+    zip.writeZip(zipPath);
+
+    await expect(
+      expandUploadedFiles(
+        [{ originalname: "bomb.zip", path: zipPath }],
+        [".geojson"],
+        { maxExtractedBytes: 10 * 1024 }
+      )
+    ).rejects.toThrow("bomb.zip is too large once extracted");
+    // The upload and everything extracted so far are removed
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
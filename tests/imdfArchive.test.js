@@ -0,0 +1,176 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import { expandUploadedFiles } from "../server/middleware/fileUpload.js";
+import {
+  imdfToVenueData,
+  readImdfArchive,
+  validateImdfArchive,
+} from "../server/services/imdfArchive.js";
+import { Utils } from "../server/services/utils.js";
+
+const collection = (features) => ({ type: "FeatureCollection", features });
+const square = (x) => ({
+  type: "Polygon",
+  coordinates: [
+    [
+      [x, 22.3],
+      [x + 0.0001, 22.3],
+      [x + 0.0001, 22.3001],
+      [x, 22.3001],
+      [x, 22.3],
+    ],
+  ],
+});
+
+// A two-level venue with a shop, its door and an occupant at an anchor
+const files = {
+  "manifest.json": { version: "1.0.0", created: "2024-05-01T00:00:00Z" },
+  "venue.geojson": collection([
+    {
+      id: "venue-1",
+      type: "Feature",
+      feature_type: "venue",
+      geometry: square(114.1),
+      properties: { name: { "en-US": "Harbour Mall" } },
+    },
+  ]),
+  "level.geojson": collection(
+    [0, 1].map((ordinal) => ({
+      id: `level-${ordinal}`,
+      type: "Feature",
+      feature_type: "level",
+      geometry: square(114.1),
+      properties: { ordinal, name: { en: `L${ordinal}` } },
+    }))
+  ),
+  "unit.geojson": collection([
+    {
+      id: "unit-1",
+      type: "Feature",
+      feature_type: "unit",
+      geometry: square(114.1),
+      properties: {
+        category: "room",
+        level_id: "level-1",
+        name: { en: "Shop", "zh-Hant": "商店" },
+      },
+    },
+  ]),
+  "opening.geojson": collection([
+    {
+      id: "opening-1",
+      type: "Feature",
+      feature_type: "opening",
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [114.1, 22.3],
+          [114.10005, 22.3],
+        ],
+      },
+      properties: { category: "pedestrian", level_id: "level-1", door: null },
+    },
+  ]),
+  "anchor.geojson": collection([
+    {
+      id: "anchor-1",
+      type: "Feature",
+      feature_type: "anchor",
+      geometry: { type: "Point", coordinates: [114.10005, 22.30005] },
+      properties: { unit_id: "unit-1" },
+    },
+  ]),
+  "occupant.geojson": collection([
+    {
+      id: "occupant-1",
+      type: "Feature",
+      feature_type: "occupant",
+      geometry: null,
+      properties: { anchor_id: "anchor-1", name: { en: "Bakery" } },
+    },
+  ]),
+};
+
+describe("IMDF archive import", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "imdf-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const upload = (entries) => {
+    const zip = new AdmZip();
+    Object.entries(entries).forEach(([name, json]) =>
+      zip.addFile(`HarbourMall/${name}`, Buffer.from(JSON.stringify(json)))
+    );
+    const zipPath = path.join(dir, "upload");
+    zip.writeZip(zipPath);
+    return expandUploadedFiles(
+      [{ originalname: "harbour.zip", path: zipPath }],
+      [".json", ".geojson"]
+    );
+  };
+
+  it("converts an archive into the stored venue and building_data", async () => {
+    const uploads = await upload(files);
+    const archive = await readImdfArchive(uploads.files);
+    await uploads.cleanup();
+    expect(validateImdfArchive(archive)).toEqual([]);
+
+    const utils = new Utils();
+    let stored = null;
+    utils.upsertVenueAndBuildingDataWithoutTransaction = async (docs) => {
+      stored = docs;
+      return { success: true };
+    };
+    const result = await utils.convertToVenueMongoDBTable(
+      imdfToVenueData(archive, { buildingType: "HA", levelHeight: 5 })
+    );
+
+    expect(result.success).toBe(true);
+    expect(stored.venue.id).toBe("venue-1");
+    expect(stored.venue.displayName).toBe("Harbour Mall");
+    expect(stored.venue.properties.height).toBe(10);
+    const { buildingData } = stored;
+    expect(buildingData.venue_id).toBe("venue-1");
+    expect(buildingData.level.map((l) => l.properties.zValue)).toEqual([0, 5]);
+    expect(buildingData.unit[0].properties).toMatchObject({
+      zValue: 5,
+      nameEn: "Shop",
+      nameZh: "商店",
+    });
+    expect(buildingData.opening[0].properties.automatic).toBe(false);
+    expect(buildingData.occupants[0].geometry.coordinates).toEqual([
+      114.10005, 22.30005, 5,
+    ]);
+  });
+
+  it("reports missing files and features without a level or anchor", async () => {
+    const {
+      "opening.geojson": _opening,
+      "anchor.geojson": _anchor,
+      ...incomplete
+    } = files;
+    const uploads = await upload({
+      ...incomplete,
+      "unit.geojson": collection([
+        { id: "unit-2", type: "Feature", properties: { level_id: "L9" } },
+      ]),
+    });
+    const archive = await readImdfArchive(uploads.files);
+    await uploads.cleanup();
+
+    expect(validateImdfArchive(archive)).toEqual(["Missing opening.geojson"]);
+    archive.collections.opening = collection([]);
+    expect(validateImdfArchive(archive)).toEqual([
+      "unit unit-2 is on unknown level",
+      "occupant occupant-1 has no anchor",
+    ]);
+  });
+});
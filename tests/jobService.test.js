@@ -0,0 +1,114 @@
+import { JobService, JOB_STATUS } from "../server/services/jobService.js";
+
+// Stand-in for PostgisService that records every statement
+const fakePostgis = () => ({
+  queries: [],
+  async query(sql, params) {
+    this.queries.push({ sql, params });
+    return { rows: [] };
+  },
+  async findOne() {
+    return null;
+  },
+});
+
+const lastSavedStatus = (service) =>
+  service.postgisService.queries.at(-1)?.params[1];
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 100 && !predicate(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe("JobService", () => {
+  it("runs a submitted job and stores its result", async () => {
+    const service = new JobService();
+    service.postgisService = fakePostgis();
+    const queued = await service.submit("network-import", {}, async (job) => {
+      job.reportProgress({ processedFiles: 1 });
+      return { processedFiles: 1 };
+    });
+    expect(queued.status).toBe(JOB_STATUS.QUEUED);
+
+    await waitFor(() => lastSavedStatus(service) === JOB_STATUS.COMPLETED);
+    const lastSave = service.postgisService.queries.at(-1);
+    expect(lastSave.params[1]).toBe(JOB_STATUS.COMPLETED);
+    expect(JSON.parse(lastSave.params[3])).toEqual({ processedFiles: 1 });
+  });
+
+  it("marks a job cancelled when the runner stops on request", async () => {
+    const service = new JobService();
+    service.postgisService = fakePostgis();
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const queued = await service.submit("venue-import", {}, async (job) => {
+      await gate;
+      if (job.isCancelled()) throw new Error("Import cancelled");
+      return {};
+    });
+
+    await waitFor(() => lastSavedStatus(service) === JOB_STATUS.RUNNING);
+    expect(service.cancel(queued.id).cancelRequested).toBe(true);
+    release();
+    await waitFor(() => lastSavedStatus(service) === JOB_STATUS.CANCELLED);
+    expect(service.cancel(queued.id)).toBeNull();
+    const lastSave = service.postgisService.queries.at(-1);
+    expect(lastSave.params[1]).toBe(JOB_STATUS.CANCELLED);
+    expect(lastSave.params[4]).toBe("Import cancelled");
+  });
+
+  it("serves a finished job from memory until its status is stored", async () => {
+    const service = new JobService();
+    service.postgisService = fakePostgis();
+    let release;
+    let saving = false;
+    const gate = new Promise((resolve) => (release = resolve));
+    const query = service.postgisService.query;
+    service.postgisService.query = async function (sql, params) {
+      if (params[1] === JOB_STATUS.COMPLETED) {
+        saving = true;
+        await gate;
+      }
+      return query.call(this, sql, params);
+    };
+    const queued = await service.submit("network-import", {}, async () => ({}));
+
+    await waitFor(() => saving);
+    expect((await service.getJob(queued.id)).status).toBe(JOB_STATUS.COMPLETED);
+    expect(service.cancel(queued.id)).toBeNull();
+    release();
+    await waitFor(() => lastSavedStatus(service) === JOB_STATUS.COMPLETED);
+  });
+
+  it("shows and cancels a job only for its submitter", async () => {
+    const service = new JobService();
+    service.postgisService = fakePostgis();
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const queued = await service.submit("network-import", {}, () => gate, {
+      createdBy: "ha",
+    });
+
+    expect(await service.getJob(queued.id, { createdBy: "lcsd" })).toBeNull();
+    expect(service.cancel(queued.id, { createdBy: "lcsd" })).toBeNull();
+    expect(
+      (await service.getJob(queued.id, { createdBy: "ha" })).created_by
+    ).toBe("ha");
+    expect(service.cancel(queued.id, { createdBy: "ha" })).not.toBeNull();
+    await service.listJobs({ createdBy: "lcsd" });
+    expect(service.postgisService.queries.at(-1).params).toEqual([
+      null,
+      50,
+      "lcsd",
+    ]);
+    release({});
+    await waitFor(() => lastSavedStatus(service) === JOB_STATUS.CANCELLED);
+  });
+
+  it("reports jobs left running by a previous process as interrupted", () => {
+    const service = new JobService();
+    const row = { id: "gone", status: JOB_STATUS.RUNNING };
+    expect(service.withLiveStatus(row).status).toBe(JOB_STATUS.INTERRUPTED);
+  });
+});
@@ -0,0 +1,225 @@
+import {
+  unitsTouched,
+  amenitiesInUnits,
+  networkStatistics,
+  matrixRow,
+} from "../server/services/networkAnalysis.js";
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import { NetworkService } from "../server/services/networkService.js";
+
+const square = (id, levelId, [x0, y0], size) => ({
+  id,
+  properties: { level_id: levelId },
+  geometry: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [x0, y0],
+        [x0 + size, y0],
+        [x0 + size, y0 + size],
+        [x0, y0 + size],
+        [x0, y0],
+      ],
+    ],
+  },
+});
+
+const segment = (levelId, coordinates, costs) => ({
+  edge: { properties: { level_id: levelId } },
+  coordinates,
+  costs,
+});
+
+describe("unitsTouched", () => {
+  const units = [
+    square("corridor", "L1", [0, 0], 10),
+    square("toilet", "L1", [10, 0], 10),
+    square("upstairs", "L2", [0, 0], 10),
+  ];
+
+  it("keeps the lowest cost at which a segment enters each unit", () => {
+    const costs = unitsTouched(
+      [
+        segment(
+          "L1",
+          [
+            [1, 1],
+            [5, 5],
+            [15, 5],
+          ],
+          [0, 6, 16]
+        ),
+        segment("L1", [[12, 2]], [9]),
+      ],
+      units
+    );
+    expect(costs).toEqual(
+      new Map([
+        ["corridor", 0],
+        ["toilet", 9],
+      ])
+    );
+  });
+
+  it("counts a segment crossing a unit without a vertex inside it", () => {
+    const costs = unitsTouched(
+      [
+        segment(
+          "L1",
+          [
+            [5, -5],
+            [15, 15],
+          ],
+          [0, 20]
+        ),
+      ],
+      units
+    );
+    // Enters the corridor at y = 0 and the toilet at x = 10, y = 5
+    expect(costs.get("corridor")).toBeCloseTo(5);
+    expect(costs.get("toilet")).toBeCloseTo(10);
+  });
+
+  it("only matches units of the segment's level", () => {
+    const costs = unitsTouched([segment("L2", [[1, 1]], [3])], units);
+    expect([...costs.keys()]).toEqual(["upstairs"]);
+  });
+});
+
+describe("amenitiesInUnits", () => {
+  it("gives an amenity the cost of its cheapest reached unit", () => {
+    const amenities = [
+      { id: "wc", properties: { unit_ids: ["toilet", "corridor"] } },
+      { id: "aed", properties: { unit_ids: ["elsewhere"] } },
+    ];
+    const reached = amenitiesInUnits(
+      amenities,
+      new Map([
+        ["corridor", 4],
+        ["toilet", 9],
+      ])
+    );
+    expect(reached.map((r) => [r.amenity.id, r.unitId, r.cost])).toEqual([
+      ["wc", "corridor", 4],
+    ]);
+  });
+});
+
+describe("networkStatistics", () => {
+  const edge = (level_id, length, props = {}) => ({
+    length,
+    properties: {
+      level_id,
+      highway: "footway",
+      wheelchair: "yes",
+      ...props,
+    },
+  });
+
+  it("totals length and attributes per venue, level and highway", () => {
+    const stats = networkStatistics([
+      edge("L1", 30, { weatherproof: 1, lastamendment_date: "2024-03-01" }),
+      edge("L1", 10, {
+        highway: "steps",
+        wheelchairbarrier: 1,
+        lastamendment_date: "2025-01-15",
+      }),
+      edge("L2", 60, { exit: true, emergency: "yes" }),
+    ]);
+
+    expect(stats.totals).toMatchObject({
+      edges: 3,
+      length: 100,
+      wheelchairAccessibleShare: 0.9,
+      weatherproofShare: 0.3,
+      barriers: 1,
+      exits: 1,
+      emergencyEdges: 1,
+      lastAmendmentDate: "2025-01-15T00:00:00.000Z",
+    });
+    expect(stats.levels.map((l) => [l.level_id, l.length])).toEqual([
+      ["L1", 40],
+      ["L2", 60],
+    ]);
+    expect(stats.highways.map((h) => [h.highway, h.length])).toEqual([
+      ["footway", 90],
+      ["steps", 10],
+    ]);
+    expect(stats.levels[1].lastAmendmentDate).toBeNull();
+  });
+});
+
+describe("distance matrix", () => {
+  // A - B - C on L1, C - D a staircase to L2
+  const A = [114.1, 22.3, 0];
+  const B = [114.1001, 22.3, 0];
+  const C = [114.1002, 22.3, 0];
+  const D = [114.1002, 22.3, 4];
+  const row = (id, coordinates, extra = {}) => ({
+    inetworkid: id,
+    level_id: "L1",
+    geometry: JSON.stringify({ type: "LineString", coordinates }),
+    ...extra,
+  });
+  const graph = new NetworkGraph([
+    row(1, [A, B]),
+    row(2, [B, C]),
+    row(3, [C, D], { highway: "stairs", level_id: "L2" }),
+  ]);
+
+  it("gives distance and time to each destination from one search", () => {
+    const { distances, durations } = matrixRow(
+      graph,
+      graph.nodeKey(A),
+      [graph.nodeKey(C), graph.nodeKey(D), null],
+      {}
+    );
+    const flat = graph.edges[0].length + graph.edges[1].length;
+
+    expect(distances[0]).toBeCloseTo(flat);
+    expect(distances[1]).toBeCloseTo(flat + 4);
+    expect(durations[1]).toBeCloseTo(flat / 1.2 + 4 / 0.5);
+    expect(distances[2]).toBeNull();
+  });
+
+  it("expands categories and marks unknown units", async () => {
+    const service = new NetworkService();
+    const unit = (id, category, [lon, lat]) => ({
+      id,
+      properties: {
+        level_id: "L1",
+        category,
+        nameEn: `Room ${id}`,
+        nameZh: "",
+      },
+      geometry: { type: "Point", coordinates: [lon, lat] },
+    });
+    service.getVenueUnitsAndAmenities = async () => ({
+      units: [
+        unit("office-1", "office", A),
+        unit("office-2", "office", B),
+        unit("wc", "restroom.female", C),
+      ],
+      amenities: [],
+    });
+
+    const matrix = await service.getDistanceMatrix(
+      "venue-1",
+      [{ unit_category: "office" }],
+      [{ unit_category: "restroom" }, "missing"],
+      { graph }
+    );
+
+    expect(matrix.origins.map((o) => o.unit_id)).toEqual([
+      "office-1",
+      "office-2",
+    ]);
+    expect(matrix.origins[0]).toMatchObject({
+      nameEn: "Room office-1",
+      nameZh: null,
+    });
+    expect(matrix.destinations[1].error).toBe("Unknown unit");
+    expect(matrix.distances[1][0]).toBeCloseTo(graph.edges[1].length, 1);
+    expect(matrix.distances[0][1]).toBeNull();
+  });
+});
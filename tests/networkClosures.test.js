@@ -0,0 +1,208 @@
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import { NetworkService } from "../server/services/networkService.js";
+import {
+  closedByClosures,
+  edgesInUnits,
+  edgesThroughOpening,
+  validateClosure,
+} from "../server/services/networkClosures.js";
+
+const now = new Date("2024-05-06T08:00:00Z");
+
+// A corridor on L1 through a doorway at 114.1001, and a parallel corridor
+// 5 m further north that does not pass through it
+const line = (id, coordinates) => ({
+  inetworkid: id,
+  level_id: "L1",
+  geometry: JSON.stringify({ type: "LineString", coordinates }),
+});
+const graph = new NetworkGraph([
+  line(1, [
+    [114.1, 22.3],
+    [114.1002, 22.3],
+  ]),
+  line(2, [
+    [114.1, 22.30005],
+    [114.1002, 22.30005],
+  ]),
+]);
+const doorway = {
+  id: "door-1",
+  properties: { level_id: "L1" },
+  geometry: {
+    type: "LineString",
+    coordinates: [
+      [114.1001, 22.299995],
+      [114.1001, 22.300005],
+    ],
+  },
+};
+
+describe("validateClosure", () => {
+  it("accepts a closure with a reason and a future expiry", () => {
+    expect(
+      validateClosure(
+        {
+          target_type: "unit",
+          target_id: "shop-1",
+          reason: "Renovation",
+          expires_at: "2024-06-01T00:00:00Z",
+        },
+        now
+      )
+    ).toEqual([]);
+  });
+
+  it("reports a missing reason, a past expiry and unknown fields", () => {
+    expect(
+      validateClosure(
+        {
+          target_type: "level",
+          target_id: "",
+          reason: " ",
+          expires_at: "2024-05-01T00:00:00Z",
+          severity: "high",
+        },
+        now
+      )
+    ).toEqual([
+      "target_type must be one of unit, opening, edge",
+      "target_id is required",
+      "reason is required",
+      "expires_at must be in the future",
+      "Unknown closure fields: severity",
+    ]);
+  });
+});
+
+describe("edgesThroughOpening", () => {
+  it("finds the edges crossing a doorway on its level", () => {
+    expect(edgesThroughOpening(graph, doorway)).toEqual(["1"]);
+    expect(
+      edgesThroughOpening(graph, {
+        ...doorway,
+        properties: { level_id: "L2" },
+      })
+    ).toEqual([]);
+  });
+});
+
+// A shop on L1 between 114.10005 and 114.10015, with a corridor straight
+// across it, a longer one around it and a spur ending at its doorway
+const shop = {
+  id: "shop-1",
+  properties: { level_id: "L1" },
+  geometry: {
+    type: "Polygon",
+    coordinates: [
+      [
+        [114.10005, 22.30005],
+        [114.10015, 22.30005],
+        [114.10015, 22.30015],
+        [114.10005, 22.30015],
+        [114.10005, 22.30005],
+      ],
+    ],
+  },
+};
+const west = [114.1, 22.3001];
+const east = [114.1002, 22.3001];
+const shopGraph = () =>
+  new NetworkGraph([
+    line("across", [west, east]),
+    line("around-1", [west, [114.1, 22.3002]]),
+    line("around-2", [
+      [114.1, 22.3002],
+      [114.1002, 22.3002],
+    ]),
+    line("around-3", [[114.1002, 22.3002], east]),
+    line("spur", [
+      [114.1001, 22.3],
+      [114.1001, 22.30005],
+    ]),
+  ]);
+
+describe("edgesInUnits", () => {
+  it("finds the edges running across a unit but not those ending at it", () => {
+    expect(edgesInUnits(shopGraph(), [shop])).toEqual(["across"]);
+    expect(
+      edgesInUnits(shopGraph(), [{ ...shop, properties: { level_id: "L2" } }])
+    ).toEqual([]);
+  });
+});
+
+describe("closedByClosures", () => {
+  it("closes edges directly and through closed openings", () => {
+    const closed = closedByClosures(
+      [
+        { target_type: "opening", target_id: "door-1" },
+        { target_type: "edge", target_id: 2 },
+        { target_type: "unit", target_id: "shop-1" },
+      ],
+      graph,
+      [doorway]
+    );
+
+    expect([...closed.closedEdges]).toEqual(["1", "2"]);
+    expect([...closed.closedUnits]).toEqual(["shop-1"]);
+  });
+});
+
+describe("NetworkService.getScheduledGraph with closures", () => {
+  it("routes around an edge behind a closed doorway", async () => {
+    const service = new NetworkService();
+    service.getNetworkGraph = async () => graph;
+    service.getSchedules = async () => [];
+    service.getClosures = async () => [
+      { target_type: "opening", target_id: "door-1", reason: "Incident" },
+      { target_type: "unit", target_id: "shop-1", reason: "Renovation" },
+    ];
+    service.getVenueOpenings = async () => [doorway];
+    service.getVenueUnits = async () => [];
+    service.resolveRoutePoint = async () => ({
+      position: [114.1, 22.3],
+      level_id: "L1",
+      unit_id: "shop-1",
+    });
+
+    const scheduled = await service.getScheduledGraph("V", now);
+    const snapped = await service.snapRoutePoint(
+      "V",
+      scheduled,
+      { unit_id: "shop-1" },
+      "start"
+    );
+
+    expect(scheduled.edges.map((edge) => edge.id)).toEqual([2]);
+    expect(snapped.error).toBe("The start unit shop-1 is closed");
+  });
+});
+
+describe("NetworkService.getScheduledGraph with a closed unit", () => {
+  it("routes around the unit instead of across it", async () => {
+    const service = new NetworkService();
+    const graph = shopGraph();
+    service.getNetworkGraph = async () => graph;
+    service.getSchedules = async () => [];
+    service.getClosures = async () => [
+      { target_type: "unit", target_id: "shop-1", reason: "Renovation" },
+    ];
+    service.getVenueUnits = async (venueId, unitIds) =>
+      unitIds.has(shop.id) ? [shop] : [];
+
+    const before = graph.shortestPath(graph.nodeKey(west), graph.nodeKey(east));
+    const scheduled = await service.getScheduledGraph("V", now);
+    const after = scheduled.shortestPath(
+      scheduled.nodeKey(west),
+      scheduled.nodeKey(east)
+    );
+
+    expect(before.steps.map((step) => step.edge.id)).toEqual(["across"]);
+    expect(after.steps.map((step) => step.edge.id)).toEqual([
+      "around-1",
+      "around-2",
+      "around-3",
+    ]);
+    expect(scheduled.edges.map((edge) => edge.id)).toContain("spur");
+  });
+});
@@ -0,0 +1,132 @@
+import { createExportWriter } from "../server/services/networkExport.js";
+import { NetworkService } from "../server/services/networkService.js";
+import pool from "../server/dbServices/pgPool.js";
+
+const columns = ["inetworkid", "level_id", "highway", "aliasname_en"];
+
+const row = (id, coordinates, extra = {}) => ({
+  inetworkid: id,
+  level_id: "L1",
+  highway: "footway",
+  aliasname_en: null,
+  geometry: JSON.stringify({ type: "LineString", coordinates }),
+  wkt: `LINESTRING Z (${coordinates.map((c) => c.join(" ")).join(",")})`,
+  ...extra,
+});
+
+const rows = [
+  row(1, [
+    [114.1, 22.3, 10],
+    [114.1001, 22.3, 10],
+  ]),
+  row(
+    2,
+    [
+      [114.1001, 22.3, 10],
+      [114.1002, 22.3, 10],
+    ],
+    { aliasname_en: 'Exit "A", Concourse' }
+  ),
+];
+
+// Run every pass of a writer over the rows and join the output
+const exportRows = (format, options = {}) => {
+  const writer = createExportWriter(format, {
+    venueId: "venue-1",
+    columns,
+    ...options,
+  });
+  let output = writer.head();
+  for (let pass = 0; pass < writer.passes; pass++) {
+    rows.forEach((r) => (output += writer.write(r, pass)));
+  }
+  return output + writer.tail();
+};
+
+describe("network export writers", () => {
+  it("writes a valid GeoJSON FeatureCollection", () => {
+    const collection = JSON.parse(exportRows("geojson"));
+    expect(collection.features).toHaveLength(2);
+    expect(collection.features[1].properties.aliasname_en).toBe(
+      'Exit "A", Concourse'
+    );
+    expect(collection.features[0].geometry.coordinates[0]).toEqual([
+      114.1, 22.3, 10,
+    ]);
+  });
+
+  it("quotes CSV values and appends the WKT geometry", () => {
+    const lines = exportRows("csv").trim().split("\r\n");
+    expect(lines[0]).toBe("inetworkid,level_id,highway,aliasname_en,wkt");
+    expect(lines[2]).toContain('"Exit ""A"", Concourse"');
+    expect(lines[2]).toContain('"LINESTRING Z (');
+  });
+
+  it("shares OSM nodes between ways and tags the level", () => {
+    const xml = exportRows("osm", { levels: new Map([["L1", 1]]) });
+    expect(xml.match(/<node /g)).toHaveLength(3);
+    expect(xml.match(/<way /g)).toHaveLength(2);
+    // The shared vertex is the second node of the first way and the first of the second
+    expect(xml).toMatch(/<nd ref="-2"\/>\s+<tag k="highway"/);
+    expect(xml).toMatch(/<way id="-2" version="1">\s+<nd ref="-2"\/>/);
+    expect(xml).toContain('<tag k="level" v="1"/>');
+    expect(xml).toContain('v="Exit &quot;A&quot;, Concourse"');
+    expect(xml.indexOf("<way ")).toBeGreaterThan(xml.lastIndexOf("<node "));
+  });
+});
+
+describe("NetworkService.exportNetwork", () => {
+  const connect = pool.connect;
+  afterEach(() => {
+    pool.connect = connect;
+  });
+
+  // Pool client recording statements, each cursor returns the rows once
+  const fakeClient = () => ({
+    statements: [],
+    fetched: false,
+    async query(sql) {
+      const statement = sql.trim().split(/\s+/).slice(0, 2).join(" ");
+      this.statements.push(statement);
+      if (statement === "DECLARE network_export") this.fetched = false;
+      if (statement.startsWith("FETCH") && !this.fetched) {
+        this.fetched = true;
+        return { rows };
+      }
+      return { rows: [] };
+    },
+    release() {},
+  });
+
+  it("reads the node and way passes of OSM from one snapshot", async () => {
+    const client = fakeClient();
+    let connections = 0;
+    pool.connect = async () => {
+      connections++;
+      return client;
+    };
+    const service = new NetworkService();
+    service.getLevelProperty = async () => new Map([["L1", 1]]);
+
+    let xml = "";
+    await service.exportNetwork("venue-1", "osm", async (chunk) => {
+      xml += chunk;
+    });
+
+    expect(connections).toBe(1);
+    expect(client.statements).toEqual([
+      "BEGIN ISOLATION",
+      "DECLARE network_export",
+      "FETCH 1000",
+      "FETCH 1000",
+      "CLOSE network_export",
+      "DECLARE network_export",
+      "FETCH 1000",
+      "FETCH 1000",
+      "CLOSE network_export",
+      "COMMIT",
+    ]);
+    expect(xml.match(/<node /g)).toHaveLength(3);
+    expect(xml).not.toContain('ref="undefined"');
+  });
+});
@@ -0,0 +1,187 @@
+import {
+  NetworkGraph,
+  onewayDirection,
+} from "../server/services/networkGraph.js";
+import { ROUTING_PROFILES } from "../server/services/routingProfiles.js";
+
+// Three nodes in a row on L1 (A - B - C) plus a detour A - D - C
+const A = [114.1, 22.3, 10];
+const B = [114.1001, 22.3, 10];
+const C = [114.1002, 22.3, 10];
+const D = [114.1001, 22.3005, 10];
+
+const edge = (id, coordinates, extra = {}) => ({
+  inetworkid: id,
+  level_id: "L1",
+  geometry: JSON.stringify({ type: "LineString", coordinates }),
+  ...extra,
+});
+
+describe("NetworkGraph", () => {
+  it("connects edges that share an end vertex", () => {
+    const graph = new NetworkGraph([edge("ab", [A, B]), edge("bc", [B, C])]);
+    expect(graph.nodes.size).toBe(3);
+    expect(graph.edges).toHaveLength(2);
+  });
+
+  it("finds the shortest path and its distance", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B]),
+      edge("bc", [B, C]),
+      edge("ad", [A, D]),
+      edge("dc", [D, C]),
+    ]);
+    const path = graph.shortestPath(graph.nodeKey(A), graph.nodeKey(C));
+    expect(path.steps.map((s) => s.edge.id)).toEqual(["ab", "bc"]);
+    expect(path.distance).toBeCloseTo(
+      graph.edges[0].length + graph.edges[1].length
+    );
+  });
+
+  it("respects oneway edges", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B], { oneway: "yes" }),
+      edge("bc", [B, C]),
+      edge("ad", [A, D]),
+      edge("dc", [D, C]),
+    ]);
+    const path = graph.shortestPath(graph.nodeKey(C), graph.nodeKey(A));
+    expect(path.steps.map((s) => s.edge.id)).toEqual(["dc", "ad"]);
+  });
+
+  it("searches against the travel direction when reversed", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B], { oneway: "yes" }),
+      edge("bc", [B, C]),
+    ]);
+    const { costs, previous } = graph.search(graph.nodeKey(C), {
+      reverse: true,
+    });
+    // A can walk to C through the oneway edge, so it is reached backwards
+    expect(costs.has(graph.nodeKey(A))).toBe(true);
+    expect(previous.get(graph.nodeKey(A)).from).toBe(graph.nodeKey(B));
+    expect(graph.search(graph.nodeKey(C)).costs.has(graph.nodeKey(A))).toBe(
+      false
+    );
+  });
+
+  it("returns null when no path exists", () => {
+    const graph = new NetworkGraph([edge("ab", [A, B]), edge("cd", [C, D])]);
+    expect(graph.shortestPath(graph.nodeKey(A), graph.nodeKey(D))).toBeNull();
+  });
+
+  it("snaps to the nearest node on the requested level", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B]),
+      edge("bc", [B, C], { level_id: "L2" }),
+    ]);
+    const near = graph.nearestNode([114.10019, 22.3], { levelId: "L1" });
+    expect(near.node.id).toBe(graph.nodeKey(B));
+  });
+
+  it("splits a path into one feature per level", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B]),
+      edge("bc", [B, C], { level_id: "L2" }),
+    ]);
+    const path = graph.shortestPath(graph.nodeKey(A), graph.nodeKey(C));
+    const features = graph.stepsToLevelFeatures(path.steps);
+    expect(features.map((f) => f.properties.level_id)).toEqual(["L1", "L2"]);
+  });
+});
+
+describe("NetworkGraph.reachableSegments", () => {
+  const graph = new NetworkGraph([edge("ab", [A, B]), edge("bc", [B, C])]);
+  const reach = (maxCost) => {
+    const { costs } = graph.search(graph.nodeKey(A), { maxCost });
+    return graph.reachableSegments(costs, { maxCost });
+  };
+
+  it("cuts the edge where the budget runs out", () => {
+    const ab = graph.edges[0].length;
+    const segments = reach(ab * 1.5);
+    expect(segments.map((s) => [s.edge.id, s.partial])).toEqual([
+      ["ab", false],
+      ["bc", true],
+    ]);
+    const cut = segments[1];
+    expect(cut.costs[cut.costs.length - 1]).toBeCloseTo(ab * 1.5);
+    expect(cut.coordinates[1][0]).toBeCloseTo(114.10015, 6);
+  });
+
+  it("leaves out edges beyond the budget", () => {
+    expect(reach(graph.edges[0].length / 2).map((s) => s.edge.id)).toEqual([
+      "ab",
+    ]);
+  });
+});
+
+describe("onewayDirection", () => {
+  it("normalises oneway values", () => {
+    expect(onewayDirection("Yes")).toBe(1);
+    expect(onewayDirection("-1")).toBe(-1);
+    expect(onewayDirection("no")).toBe(0);
+    expect(onewayDirection(null)).toBe(0);
+  });
+});
+
+describe("wheelchair routing profile", () => {
+  const { edgeFilter, edgeCost, blockReason } = ROUTING_PROFILES.wheelchair;
+
+  it("detours around barriers and stairs", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B], { wheelchairbarrier: 1 }),
+      edge("bc", [B, C], { highway: "steps" }),
+      edge("ad", [A, D]),
+      edge("dc", [D, C]),
+    ]);
+    const path = graph.shortestPath(graph.nodeKey(A), graph.nodeKey(C), {
+      edgeFilter,
+      edgeCost,
+    });
+    expect(path.steps.map((s) => s.edge.id)).toEqual(["ad", "dc"]);
+    expect(graph.edges.map(blockReason)).toEqual([
+      "wheelchair barrier",
+      "stairs",
+      null,
+      null,
+    ]);
+  });
+
+  it("takes the lift rather than a shorter escalator", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B], { highway: "escalator" }),
+      edge("bc", [B, C], { highway: "Escalator" }),
+      edge("ad", [A, D], { highway: "lift" }),
+      edge("dc", [D, C]),
+    ]);
+    const path = graph.shortestPath(graph.nodeKey(A), graph.nodeKey(C), {
+      edgeFilter,
+      edgeCost,
+    });
+    expect(path.steps.map((s) => s.edge.id)).toEqual(["ad", "dc"]);
+    expect(graph.edges.map(blockReason)).toEqual([
+      "escalator",
+      "escalator",
+      null,
+      null,
+    ]);
+  });
+
+  it("prefers lifts over an equally long corridor", () => {
+    const graph = new NetworkGraph([
+      edge("ab", [A, B]),
+      edge("bc", [B, C]),
+      edge("ad", [A, D], { highway: "elevator" }),
+      edge("dc", [D, C], { highway: "elevator" }),
+    ]);
+    // Make the lift route only slightly longer than the corridor
+    graph.edges[2].length = graph.edges[0].length * 1.1;
+    graph.edges[3].length = graph.edges[1].length * 1.1;
+    const path = graph.shortestPath(graph.nodeKey(A), graph.nodeKey(C), {
+      edgeFilter,
+      edgeCost,
+    });
+    expect(path.steps.map((s) => s.edge.id)).toEqual(["ad", "dc"]);
+  });
+});
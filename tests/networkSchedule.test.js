@@ -0,0 +1,223 @@
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import { NetworkService } from "../server/services/networkService.js";
+import {
+  applySchedules,
+  scheduleState,
+  schedulesAt,
+  validateSchedule,
+} from "../server/services/networkSchedule.js";
+
+// Monday 2024-05-06 at a given Hong Kong time
+const hkt = (time, day = "06") => new Date(`2024-05-${day}T${time}:00+08:00`);
+
+describe("validateSchedule", () => {
+  it("accepts opening hours and reversal windows of an edge", () => {
+    expect(
+      validateSchedule(
+        {
+          timezone: "Asia/Hong_Kong",
+          open: [{ days: ["mon", "tue"], from: "06:00", to: "24:00" }],
+          reversed: [{ from: "07:00", to: "10:00" }],
+        },
+        "edge"
+      )
+    ).toEqual([]);
+  });
+
+  it("reports bad windows, unknown fields and unit reversals", () => {
+    const errors = validateSchedule(
+      {
+        open: [{ days: ["monday"], from: "6:00", to: "25:00" }],
+        reversed: [],
+        closed: true,
+      },
+      "unit"
+    );
+
+    expect(errors).toEqual([
+      "Only edges can have reversed windows",
+      "open[0]: from and to must be HH:MM",
+      "open[0]: days must be a list of sun, mon, tue, wed, thu, fri, sat",
+      "Unknown schedule fields: closed",
+    ]);
+  });
+});
+
+describe("scheduleState", () => {
+  const lateNight = { open: [{ days: ["mon"], from: "06:00", to: "01:00" }] };
+
+  it("keeps an overnight window open past midnight into the next day", () => {
+    expect(scheduleState(lateNight, hkt("23:30")).open).toBe(true);
+    expect(scheduleState(lateNight, hkt("00:30", "07")).open).toBe(true);
+    expect(scheduleState(lateNight, hkt("01:30", "07")).open).toBe(false);
+    // Sunday night is not covered by Monday's window
+    expect(scheduleState(lateNight, hkt("00:30")).open).toBe(false);
+  });
+
+  it("evaluates windows in the schedule's timezone", () => {
+    const schedule = {
+      timezone: "UTC",
+      open: [{ from: "00:00", to: "12:00" }],
+    };
+
+    // 09:00 in Hong Kong is 01:00 UTC
+    expect(scheduleState(schedule, hkt("09:00")).open).toBe(true);
+    expect(scheduleState(schedule, hkt("21:00")).open).toBe(false);
+  });
+});
+
+describe("applySchedules", () => {
+  const rows = [
+    { inetworkid: 1, oneway: "yes" },
+    { inetworkid: 2, oneway: null },
+    { inetworkid: 3, oneway: "yes" },
+  ];
+  const schedules = [
+    {
+      target_type: "edge",
+      target_id: "1",
+      schedule: { reversed: [{ from: "07:00", to: "10:00" }] },
+    },
+    {
+      target_type: "edge",
+      target_id: "3",
+      schedule: { open: [{ from: "10:00", to: "22:00" }] },
+    },
+    {
+      target_type: "unit",
+      target_id: "shop-1",
+      schedule: { open: [{ from: "10:00", to: "22:00" }] },
+    },
+  ];
+
+  it("drops closed edges and reverses oneway edges in their window", () => {
+    const state = schedulesAt(schedules, hkt("08:00"));
+
+    expect([...state.closedUnits]).toEqual(["shop-1"]);
+    expect(applySchedules(rows, state)).toEqual([
+      { inetworkid: 1, oneway: "-1" },
+      { inetworkid: 2, oneway: null },
+    ]);
+  });
+
+  it("leaves the rows as they are outside every window", () => {
+    expect(applySchedules(rows, schedulesAt(schedules, hkt("12:00")))).toEqual(
+      rows
+    );
+  });
+});
+
+describe("NetworkService.getScheduledGraph", () => {
+  const line = (id, coordinates, oneway = null) => ({
+    inetworkid: id,
+    level_id: "L1",
+    oneway,
+    geometry: JSON.stringify({ type: "LineString", coordinates }),
+  });
+  const graph = new NetworkGraph([
+    line(
+      1,
+      [
+        [114.1, 22.3],
+        [114.1001, 22.3],
+      ],
+      "yes"
+    ),
+    line(2, [
+      [114.1001, 22.3],
+      [114.1002, 22.3],
+    ]),
+  ]);
+  graph.venueId = "V";
+  graph.buildingType = "HA";
+
+  const service = new NetworkService();
+  service.getNetworkGraph = async () => graph;
+  service.getClosures = async () => [];
+
+  it("returns the cached graph when nothing is scheduled", async () => {
+    service.getSchedules = async () => [];
+
+    expect(await service.getScheduledGraph("V", hkt("08:00"))).toBe(graph);
+  });
+
+  it("routes against a reversed edge and around a closed one", async () => {
+    service.getSchedules = async () => [
+      {
+        target_type: "edge",
+        target_id: "1",
+        schedule: { reversed: [{ from: "07:00", to: "10:00" }] },
+      },
+      {
+        target_type: "edge",
+        target_id: "2",
+        schedule: { open: [{ from: "10:00", to: "22:00" }] },
+      },
+    ];
+    const scheduled = await service.getScheduledGraph("V", hkt("08:00"));
+    const start = scheduled.nearestNode([114.1, 22.3], { levelId: "L1" });
+    const end = scheduled.nearestNode([114.1001, 22.3], { levelId: "L1" });
+
+    expect(scheduled.edges).toHaveLength(1);
+    expect(scheduled.buildingType).toBe("HA");
+    expect(scheduled.shortestPath(start.node.id, end.node.id)).toBeNull();
+    expect(scheduled.shortestPath(end.node.id, start.node.id)).not.toBeNull();
+  });
+});
+
+describe("NetworkService.getScheduledGraph with unit opening hours", () => {
+  // A mall walkway across a shop that opens at 10:00 and a street around it
+  const line = (id, coordinates) => ({
+    inetworkid: id,
+    level_id: "L1",
+    geometry: JSON.stringify({ type: "LineString", coordinates }),
+  });
+  const west = [114.1, 22.3001];
+  const east = [114.1002, 22.3001];
+  const graph = new NetworkGraph([
+    line("through-shop", [west, east]),
+    line("street", [west, [114.1001, 22.3002], east]),
+  ]);
+  const shop = {
+    id: "shop-1",
+    properties: { level_id: "L1" },
+    geometry: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [114.10005, 22.30005],
+          [114.10015, 22.30005],
+          [114.10015, 22.30015],
+          [114.10005, 22.30015],
+          [114.10005, 22.30005],
+        ],
+      ],
+    },
+  };
+
+  const service = new NetworkService();
+  service.getNetworkGraph = async () => graph;
+  service.getClosures = async () => [];
+  service.getSchedules = async () => [
+    {
+      target_type: "unit",
+      target_id: "shop-1",
+      schedule: { open: [{ from: "10:00", to: "22:00" }] },
+    },
+  ];
+  service.getVenueUnits = async () => [shop];
+
+  const route = async (time) => {
+    const scheduled = await service.getScheduledGraph("V", hkt(time));
+    const path = scheduled.shortestPath(
+      scheduled.nodeKey(west),
+      scheduled.nodeKey(east)
+    );
+    return path.steps.map((step) => step.edge.id);
+  };
+
+  it("walks through the shop only while it is open", async () => {
+    expect(await route("12:00")).toEqual(["through-shop"]);
+    expect(await route("08:00")).toEqual(["street"]);
+  });
+});
@@ -0,0 +1,431 @@
+import { NetworkService } from "../server/services/networkService.js";
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import pool from "../server/dbServices/pgPool.js";
+
+const networkData = {
+  venue_id: "venue-1",
+  displayName: "Test Venue",
+  region: "HK",
+  buildingType: ["HA"],
+};
+
+const feature = {
+  type: "Feature",
+  geometry: {
+    type: "LineString",
+    coordinates: [
+      [114.1, 22.3, 10],
+      [114.1001, 22.3, 10],
+    ],
+  },
+  properties: {
+    iNetworkID: 101,
+    PedestrianRouteID: 5,
+    level_id: "L1",
+    highway: "footway",
+    exit: 0,
+    Restricted: "N",
+  },
+};
+
+// The same edge as loadExistingRecords reads it back: every column cast to
+// text (so BIGINT 5 is "5" and BOOLEAN false is "false"), unset ones null
+const storedRow = (overrides = {}) => ({
+  pedestrianrouteid: "5",
+  inetworkid: "101",
+  floorpolyid: null,
+  level_id: "L1",
+  level_english_name: null,
+  level_chinese_name: null,
+  buildingname_eng: null,
+  buildingname_chi: null,
+  aliasname_en: null,
+  aliasname_tc: null,
+  highway: "footway",
+  oneway: null,
+  wheelchair: null,
+  emergency: null,
+  exit: "false",
+  restricted: "N",
+  wheelchairaccess: null,
+  wheelchairbarrier: null,
+  weatherproof: null,
+  featuretype: null,
+  creation_date: null,
+  creation_by: null,
+  lastamendment_date: null,
+  lastamendment_by: null,
+  venue_id: "venue-1",
+  display_name: "Test Venue",
+  region: "HK",
+  building_type: "HA",
+  geometry:
+    '{"type":"LineString","coordinates":[[114.1,22.3,10],[114.1001,22.3,10]]}',
+  ...overrides,
+});
+
+describe("NetworkService.recordChanged", () => {
+  const service = new NetworkService();
+  const record = service.transformFeatureToRecord(feature, networkData);
+
+  it("treats an identical stored edge as unchanged", () => {
+    expect(service.recordChanged(record, feature, storedRow())).toBe(false);
+  });
+
+  it("detects attribute changes", () => {
+    const current = storedRow({ highway: "steps" });
+    expect(service.recordChanged(record, feature, current)).toBe(true);
+  });
+
+  it("detects moved geometry", () => {
+    const current = storedRow({
+      geometry: JSON.stringify({
+        type: "LineString",
+        coordinates: [
+          [114.1, 22.3, 10],
+          [114.1002, 22.3, 10],
+        ],
+      }),
+    });
+    expect(service.recordChanged(record, feature, current)).toBe(true);
+  });
+});
+
+describe("NetworkService.insertRecords", () => {
+  const service = new NetworkService();
+
+  it("inserts a batch with a single multi-row statement", async () => {
+    const queries = [];
+    const client = {
+      query: async (sql, values) => {
+        queries.push({ sql, values });
+        return { rows: [{ inetworkid: 101 }, { inetworkid: 102 }] };
+      },
+    };
+    const records = [101, 102].map((id) =>
+      service.transformFeatureToRecord(
+        {
+          ...feature,
+          properties: { ...feature.properties, iNetworkID: id },
+        },
+        networkData
+      )
+    );
+
+    const inserted = await service.insertRecords(client, records);
+
+    expect(inserted).toHaveLength(2);
+    expect(queries).toHaveLength(1);
+    expect(queries[0].sql).toContain("ST_GeomFromGeoJSON");
+    expect(queries[0].values).toHaveLength(2 * 29);
+    expect(JSON.parse(queries[0].values[28]).coordinates[0]).toEqual([
+      114.1, 22.3, 10,
+    ]);
+  });
+});
+
+describe("NetworkService.importNetworkData", () => {
+  const connect = pool.connect;
+  afterEach(() => {
+    pool.connect = connect;
+  });
+
+  // Pool client recording the first word of each statement
+  const fakeClient = () => ({
+    statements: [],
+    async query(sql) {
+      this.statements.push(sql.trim().split(/\s+/)[0]);
+      return { rows: [{ inetworkid: 101 }], rowCount: 1 };
+    },
+    release() {},
+  });
+  const second = {
+    ...feature,
+    properties: { ...feature.properties, iNetworkID: 102 },
+  };
+
+  it("rolls a cancelled replace back, clear included", async () => {
+    const client = fakeClient();
+    pool.connect = async () => client;
+    const service = new NetworkService();
+    const invalidated = [];
+    service.invalidateNetworkGraph = (venueId) => invalidated.push(venueId);
+    let batches = 0;
+
+    const result = await service.importNetworkData(
+      { ...networkData, features: [feature, second] },
+      {
+        batchSize: 1,
+        progressCallback: () => batches++,
+        shouldCancel: () => batches > 0,
+      }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Import cancelled after 1 of 2 features/);
+    expect(client.statements).toEqual([
+      "BEGIN",
+      "SELECT",
+      "DELETE",
+      "INSERT",
+      "ROLLBACK",
+    ]);
+    expect(invalidated).toEqual(["venue-1"]);
+  });
+});
+
+describe("NetworkService.importUploadedNetworkFiles", () => {
+  const service = new NetworkService();
+  const files = {
+    "ha.geojson": {
+      type: "FeatureCollection",
+      ...networkData,
+      features: [feature],
+    },
+    "mtr.geojson": {
+      type: "FeatureCollection",
+      ...networkData,
+      venue_id: "venue-2",
+      buildingType: ["MTR"],
+      features: [feature],
+    },
+    "broken.geojson": { type: "FeatureCollection", features: [] },
+  };
+  service.jsonService = { readJson: async (name) => files[name] };
+  const imported = [];
+  service.importNetworkData = async (data) => {
+    imported.push(data.venue_id);
+    return { success: true, batchResults: [1], processedFeatures: 1 };
+  };
+
+  it("imports valid files the uploader may write and reports the rest", async () => {
+    const report = await service.importUploadedNetworkFiles(
+      Object.keys(files).map((name) => ({ name, path: name })),
+      {},
+      (data) => (data.buildingType[0] === "HA" ? null : "Not allowed")
+    );
+
+    expect(imported).toEqual(["venue-1"]);
+    expect(report.success).toBe(false);
+    expect(report.importedFiles).toBe(1);
+    expect(report.reports[0].import).toEqual({
+      success: true,
+      processedFeatures: 1,
+    });
+    expect(report.reports[1].import.error).toBe("Not allowed");
+    expect(report.reports[2].validation.valid).toBe(false);
+  });
+});
+
+describe("NetworkService.importDenial", () => {
+  const service = new NetworkService();
+  const venues = { "venue-1": { buildingType: "LCSD" } };
+  service.mongoDbService = {
+    getCollection: async () => ({
+      findOne: async ({ id }) => venues[id] || null,
+    }),
+  };
+  const haNetwork = (venueId) => ({
+    ...networkData,
+    venue_id: venueId,
+    features: [feature],
+  });
+
+  it("refuses a file of the user's type that targets another type's venue", async () => {
+    expect(await service.importDenial(haNetwork("venue-1"), "HA")).toBe(
+      "Not allowed to replace the network of LCSD venue venue-1"
+    );
+    // New venues and admin are not held back
+    expect(await service.importDenial(haNetwork("venue-9"), "HA")).toBeNull();
+    expect(await service.importDenial(haNetwork("venue-1"), null)).toBeNull();
+  });
+
+  it("refuses a file of another building type", async () => {
+    expect(await service.importDenial(haNetwork("venue-9"), "LCSD")).toBe(
+      "Not allowed to import HA venue venue-9"
+    );
+  });
+});
+
+describe("NetworkService restricted edges", () => {
+  const service = new NetworkService();
+  const restricted = {
+    ...feature,
+    properties: { ...feature.properties, iNetworkID: 102, Restricted: "Y" },
+  };
+
+  it("imports restricted features", () => {
+    expect(
+      service.getImportableFeatures({ features: [feature, restricted] })
+    ).toHaveLength(2);
+  });
+
+  it("filters restricted rows unless asked for them", async () => {
+    const queries = [];
+    service.postgisService = {
+      query: async (sql) => {
+        queries.push(sql);
+        return { rows: [] };
+      },
+    };
+
+    await service.getNetworkByVenueId("venue-1");
+    await service.getNetworkByVenueId("venue-1", { includeRestricted: true });
+
+    expect(queries[0]).toMatch(/restricted/);
+    expect(queries[1]).not.toMatch(/restricted/);
+  });
+});
+
+describe("NetworkService.getNearestAmenities", () => {
+  const service = new NetworkService();
+  // Corridor A - B - C on L1; the straight-line nearest restroom (at D,
+  // beside A) is only reachable round the end of a wall via C
+  const A = [114.1, 22.3, 0];
+  const B = [114.1001, 22.3, 0];
+  const C = [114.1002, 22.3, 0];
+  const D = [114.1, 22.30002, 0];
+  const row = (id, coordinates) => ({
+    inetworkid: id,
+    level_id: "L1",
+    geometry: JSON.stringify({ type: "LineString", coordinates }),
+  });
+  const graph = new NetworkGraph([
+    row(1, [A, B]),
+    row(2, [B, C]),
+    row(3, [C, D]),
+  ]);
+  const amenity = (id, category, [lon, lat]) => ({
+    id,
+    properties: { category, unit_ids: ["u1"], nameEn: id, nameZh: "洗手間" },
+    geometry: { type: "Point", coordinates: [lon, lat] },
+  });
+  service.getVenueUnitsAndAmenities = async () => ({
+    units: [{ id: "u1", properties: { level_id: "L1" } }],
+    amenities: [
+      amenity("wc-far", "restroom", D),
+      amenity("wc-near", "restroom.wheelchair", B),
+      amenity("atm", "atm", A),
+    ],
+  });
+  service.getLevelElevations = async () => new Map([["L1", 0]]);
+
+  it("ranks amenities of a category by walking distance", async () => {
+    const result = await service.getNearestAmenities(
+      "venue-1",
+      { lon: A[0], lat: A[1], level_id: "L1" },
+      { graph, category: "restroom" }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.amenities.map((a) => a.amenity_id)).toEqual([
+      "wc-near",
+      "wc-far",
+    ]);
+    expect(result.amenities[0]).toMatchObject({
+      nameEn: "wc-near",
+      nameZh: "洗手間",
+    });
+    expect(result.amenities[1].distance).toBeGreaterThan(20);
+    expect(
+      result.amenities[1].featureCollection.features[0].properties.iNetworkIDs
+    ).toEqual([1, 2, 3]);
+  });
+});
+
+describe("NetworkService.getAmenityCoverage", () => {
+  const service = new NetworkService();
+  // Units along a corridor A - B - C, a defibrillator in the first one
+  const A = [114.1, 22.3, 0];
+  const B = [114.101, 22.3, 0];
+  const C = [114.102, 22.3, 0];
+  const graph = new NetworkGraph(
+    [
+      [A, B],
+      [B, C],
+    ].map((coordinates, i) => ({
+      inetworkid: i + 1,
+      level_id: "L1",
+      geometry: JSON.stringify({ type: "LineString", coordinates }),
+    }))
+  );
+  const unit = (id, [lon, lat], levelId = "L1", names = {}) => ({
+    id,
+    properties: { level_id: levelId, category: "room", ...names },
+    geometry: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [lon - 0.0001, lat - 0.0001],
+          [lon + 0.0001, lat - 0.0001],
+          [lon + 0.0001, lat + 0.0001],
+          [lon - 0.0001, lat + 0.0001],
+          [lon - 0.0001, lat - 0.0001],
+        ],
+      ],
+    },
+  });
+  const units = [
+    unit("a", A, "L1", { nameEn: "Lobby" }),
+    unit("b", B),
+    unit("c", C),
+    unit("x", A, "L9"),
+  ];
+  const aed = (coordinates) => ({
+    id: "aed",
+    properties: { category: "defibrillator", unit_ids: ["a"] },
+    geometry: { type: "Point", coordinates },
+  });
+  service.getVenueUnitsAndAmenities = async () => ({
+    units,
+    amenities: [aed(A)],
+  });
+  service.getLevelElevations = async () => new Map([["L1", 0]]);
+
+  it("times every unit and lists those beyond the threshold", async () => {
+    const result = await service.getAmenityCoverage("venue-1", {
+      graph,
+      category: "defibrillator",
+      thresholdSeconds: 120,
+    });
+    const seconds = Object.fromEntries(
+      result.units.map((u) => [u.unit_id, u.seconds])
+    );
+
+    expect(seconds.a).toBe(0);
+    expect(result.units[0]).toMatchObject({ nameEn: "Lobby", nameZh: null });
+    // B is about 103 m away, its unit entered about 10 m earlier
+    expect(seconds.b).toBeGreaterThan(70);
+    expect(seconds.b).toBeLessThan(120);
+    expect(result.uncovered.map((u) => u.unit_id)).toEqual(["x", "c"]);
+    expect(result.summary).toEqual({
+      units: 4,
+      covered: 2,
+      uncovered: 2,
+      unreachable: 1,
+    });
+  });
+
+  it("adds the walk from the network to the amenity", async () => {
+    const offNetwork = new NetworkService();
+    offNetwork.getVenueUnitsAndAmenities = async () => ({
+      units,
+      // About 10 m north of the corridor, inside unit a
+      amenities: [aed([A[0], A[1] + 0.00009])],
+    });
+    offNetwork.getLevelElevations = service.getLevelElevations;
+
+    const result = await offNetwork.getAmenityCoverage("venue-1", {
+      graph,
+      category: "defibrillator",
+      thresholdSeconds: 120,
+    });
+    const seconds = Object.fromEntries(
+      result.units.map((u) => [u.unit_id, u.seconds])
+    );
+
+    // 10 m at 1.2 m/s
+    expect(seconds.a).toBeCloseTo(8.3, 0);
+    expect(seconds.b).toBeGreaterThan(78);
+  });
+});
@@ -0,0 +1,152 @@
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import {
+  validateNetworkTopology,
+  visibleTopologyReport,
+} from "../server/services/networkTopology.js";
+
+const edge = (id, coordinates, extra = {}) => ({
+  inetworkid: id,
+  level_id: "L1",
+  geometry: JSON.stringify({ type: "LineString", coordinates }),
+  ...extra,
+});
+
+// A square loop on L1 at z = 10
+const A = [114.1, 22.3, 10];
+const B = [114.1001, 22.3, 10];
+const C = [114.1001, 22.3001, 10];
+const D = [114.1, 22.3001, 10];
+const loop = [
+  edge("ab", [A, B]),
+  edge("bc", [B, C]),
+  edge("cd", [C, D]),
+  edge("da", [D, A]),
+];
+
+describe("validateNetworkTopology", () => {
+  it("reports nothing for a closed loop", () => {
+    const report = validateNetworkTopology(new NetworkGraph(loop), {
+      levelElevations: new Map([["L1", 10]]),
+    });
+    expect(report.summary).toMatchObject({
+      components: 1,
+      danglingEndpoints: 0,
+      zMismatches: 0,
+      duplicates: 0,
+      invalidConnectors: 0,
+    });
+  });
+
+  it("finds islands, dangling ends and exits", () => {
+    const report = validateNetworkTopology(
+      new NetworkGraph([
+        ...loop,
+        edge("island", [
+          [114.2, 22.3, 10],
+          [114.2001, 22.3, 10],
+        ]),
+        edge("exit", [A, [114.0999, 22.3, 10]], { exit: true }),
+      ])
+    );
+    expect(report.disconnectedComponents).toHaveLength(1);
+    expect(report.disconnectedComponents[0].iNetworkIDs).toEqual(["island"]);
+    // Both ends of the island dangle; the open end of the exit does not count
+    expect(report.danglingEndpoints.map((d) => d.iNetworkID)).toEqual([
+      "island",
+      "island",
+    ]);
+  });
+
+  it("flags edges away from their level elevation and duplicates", () => {
+    const report = validateNetworkTopology(
+      new NetworkGraph([...loop, edge("ab2", [B, A])]),
+      { levelElevations: new Map([["L1", 15]]) }
+    );
+    expect(report.zMismatches).toHaveLength(5);
+    expect(report.duplicates).toEqual([
+      { reason: "same end nodes", iNetworkIDs: ["ab", "ab2"] },
+    ]);
+  });
+
+  it("checks that vertical connectors join two levels", () => {
+    const up = [114.1, 22.3, 15];
+    const upper = edge("upper", [up, [114.1001, 22.3001, 15]], {
+      level_id: "L2",
+    });
+    const valid = validateNetworkTopology(
+      new NetworkGraph([
+        ...loop,
+        upper,
+        edge("lift", [A, up], { highway: "elevator" }),
+      ])
+    );
+    expect(valid.invalidConnectors).toHaveLength(0);
+
+    const broken = validateNetworkTopology(
+      new NetworkGraph([
+        ...loop,
+        edge("stairs", [A, [114.1, 22.3, 14]], { highway: "steps" }),
+      ])
+    );
+    expect(broken.invalidConnectors).toEqual([
+      { iNetworkIDs: ["stairs"], highway: ["steps"], levels: ["L1"] },
+    ]);
+  });
+});
+
+describe("visibleTopologyReport", () => {
+  it("leaves out the issues of hidden edges", () => {
+    const report = validateNetworkTopology(
+      new NetworkGraph([
+        ...loop,
+        // A staff-only spur and a staff-only island
+        edge("staff-spur", [A, [114.1, 22.2999, 10]]),
+        edge("staff-island", [
+          [114.2, 22.3, 10],
+          [114.2001, 22.3, 10],
+        ]),
+      ]),
+      { levelElevations: new Map([["L1", 10]]) }
+    );
+    report.overlaps = [{ iNetworkIDs: ["ab", "staff-spur"], level_id: "L1" }];
+    report.summary.overlaps = 1;
+
+    const visible = visibleTopologyReport(report, new NetworkGraph(loop));
+
+    expect(report.summary.danglingEndpoints).toBeGreaterThan(0);
+    expect(visible.summary).toMatchObject({
+      edges: 4,
+      components: 1,
+      danglingEndpoints: 0,
+      overlaps: 1,
+    });
+    expect(visible.disconnectedComponents).toEqual([]);
+    expect(visible.overlaps).toEqual([{ iNetworkIDs: ["ab"], level_id: "L1" }]);
+    expect(JSON.stringify(visible)).not.toContain("staff");
+  });
+
+  it("counts the components of the visible edges", () => {
+    const island = [
+      edge("island-1", [
+        [114.2, 22.3, 10],
+        [114.2001, 22.3, 10],
+      ]),
+      edge("island-2", [
+        [114.3, 22.3, 10],
+        [114.3001, 22.3, 10],
+      ]),
+    ];
+    // The whole loop is staff-only, two public islands are left
+    const report = validateNetworkTopology(
+      new NetworkGraph([...loop, ...island])
+    );
+
+    const visible = visibleTopologyReport(report, new NetworkGraph(island));
+    expect(visible.summary).toMatchObject({ edges: 2, components: 2 });
+    expect(visible.disconnectedComponents).toHaveLength(1);
+
+    const empty = visibleTopologyReport(report, new NetworkGraph([]));
+    expect(empty.summary).toMatchObject({ edges: 0, components: 0 });
+    expect(empty.disconnectedComponents).toEqual([]);
+  });
+});
@@ -0,0 +1,232 @@
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import { NetworkService } from "../server/services/networkService.js";
+import pool from "../server/dbServices/pgPool.js";
+import {
+  OUTDOOR_LEVEL_ID,
+  OutdoorAreaTooLargeError,
+  OutdoorNetworkService,
+  linkExits,
+  outdoorFeatureToRecords,
+  outdoorRowToGraphRow,
+} from "../server/services/outdoorNetworkService.js";
+
+// Venue A (exit at 114.1002) and venue B (exit at 114.1010), joined by an
+// outdoor footbridge at the same height that stops 5 m short of each exit
+const edge = (id, venueId, coordinates, extra = {}) => ({
+  inetworkid: id,
+  venue_id: venueId,
+  level_id: `${venueId}-L1`,
+  geometry: JSON.stringify({ type: "LineString", coordinates }),
+  ...extra,
+});
+const venueGraph = (venueId, rows) => {
+  const graph = new NetworkGraph(rows);
+  graph.venueId = venueId;
+  return graph;
+};
+
+const graphA = venueGraph("A", [
+  edge(1, "A", [
+    [114.1, 22.3, 10],
+    [114.1001, 22.3, 10],
+  ]),
+  edge(2, "A", [
+    [114.1001, 22.3, 10],
+    [114.1002, 22.3, 10],
+  ]),
+  {
+    ...edge(3, "A", [
+      [114.1002, 22.3, 10],
+      [114.10025, 22.3, 10],
+    ]),
+    exit: true,
+  },
+]);
+const graphB = venueGraph("B", [
+  {
+    ...edge(1, "B", [
+      [114.101, 22.3, 10],
+      [114.1011, 22.3, 10],
+    ]),
+    exit: true,
+  },
+  edge(2, "B", [
+    [114.1011, 22.3, 10],
+    [114.1012, 22.3, 10],
+  ]),
+]);
+const outdoorRows = [
+  outdoorRowToGraphRow({
+    feature_id: "bridge",
+    aliasname_en: "Footbridge",
+    geometry: JSON.stringify({
+      type: "LineString",
+      coordinates: [
+        [114.1003, 22.3, 10],
+        [114.10095, 22.3, 10],
+      ],
+    }),
+  }),
+];
+
+describe("outdoorFeatureToRecords", () => {
+  it("splits multi-part lines and defaults the height to 0", () => {
+    const records = outdoorFeatureToRecords(
+      {
+        type: "Feature",
+        properties: { PedestrianRouteID: 7, name: "Walkway" },
+        geometry: {
+          type: "MultiLineString",
+          coordinates: [
+            [
+              [114.1, 22.3],
+              [114.1001, 22.3],
+            ],
+            [[114.2, 22.3]],
+          ],
+        },
+      },
+      0
+    );
+
+    expect(records).toHaveLength(1);
+    expect(records[0].feature_id).toBe("7#0");
+    expect(records[0].aliasname_en).toBe("Walkway");
+    expect(JSON.parse(records[0].geom_geojson).coordinates[0]).toEqual([
+      114.1, 22.3, 0,
+    ]);
+  });
+
+  it("skips features without a line", () => {
+    expect(
+      outdoorFeatureToRecords(
+        { properties: {}, geometry: { type: "Point", coordinates: [0, 0] } },
+        3
+      )
+    ).toEqual([]);
+  });
+});
+
+describe("linkExits", () => {
+  it("links each exit to the nearest outdoor node within reach", () => {
+    const links = linkExits([graphA, graphB], new NetworkGraph(outdoorRows));
+
+    expect(links.map((l) => l.exit_inetworkid)).toEqual([3, 1]);
+    expect(links.every((l) => l.level_id === OUTDOOR_LEVEL_ID)).toBe(true);
+  });
+
+  it("leaves exits far from the outdoor network unlinked", () => {
+    expect(
+      linkExits([graphA, graphB], new NetworkGraph(outdoorRows), 1)
+    ).toEqual([]);
+  });
+});
+
+describe("OutdoorNetworkService.importOutdoorNetwork", () => {
+  const connect = pool.connect;
+  afterEach(() => {
+    pool.connect = connect;
+  });
+
+  // Pool client recording statements, its `failInsert`th INSERT fails
+  const fakeClient = ({ failInsert = 0 } = {}) => ({
+    statements: [],
+    async query(sql) {
+      const statement = sql.trim().split(/\s+/)[0];
+      this.statements.push(statement);
+      const inserts = this.statements.filter((s) => s === "INSERT").length;
+      if (statement === "INSERT" && inserts === failInsert) {
+        throw new Error("insert failed");
+      }
+      return { rowCount: 1 };
+    },
+    release() {},
+  });
+  const line = (id, lon) => ({
+    type: "Feature",
+    properties: { id },
+    geometry: {
+      type: "LineString",
+      coordinates: [
+        [lon, 22.3],
+        [lon + 0.0001, 22.3],
+      ],
+    },
+  });
+  const collection = (...features) => ({
+    type: "FeatureCollection",
+    features,
+  });
+
+  it("imports every file of a network in one transaction", async () => {
+    const client = fakeClient();
+    pool.connect = async () => client;
+
+    const result = await new OutdoorNetworkService().importOutdoorNetwork([
+      collection(line("a", 114.1)),
+      collection(line("b", 114.2), { properties: {}, geometry: null }),
+    ]);
+
+    expect(client.statements).toEqual(["BEGIN", "DELETE", "INSERT", "COMMIT"]);
+    expect(result).toMatchObject({
+      totalFeatures: 3,
+      insertedEdges: 1,
+      skippedFeatures: 1,
+      skippedIndexes: [2],
+    });
+  });
+
+  it("keeps the previous network when the second file fails", async () => {
+    const client = fakeClient({ failInsert: 2 });
+    pool.connect = async () => client;
+
+    await expect(
+      new OutdoorNetworkService().importOutdoorNetwork(
+        [collection(line("a", 114.1)), collection(line("b", 114.2))],
+        { batchSize: 1 }
+      )
+    ).rejects.toThrow("insert failed");
+    expect(client.statements).toEqual([
+      "BEGIN",
+      "DELETE",
+      "INSERT",
+      "INSERT",
+      "ROLLBACK",
+    ]);
+  });
+});
+
+describe("OutdoorNetworkService.getOutdoorGraphRows", () => {
+  it("refuses an area with more edges than the limit", async () => {
+    const service = new OutdoorNetworkService();
+    service.postgisService = {
+      query: async () => ({ rows: [{ feature_id: "a" }, { feature_id: "b" }] }),
+    };
+
+    const rows = service.getOutdoorGraphRows([114.1, 22.3, 114.2, 22.4], 1);
+    await expect(rows).rejects.toBeInstanceOf(OutdoorAreaTooLargeError);
+    await expect(rows).rejects.toThrow("More than 1 outdoor edges");
+  });
+});
+
+describe("NetworkService.getVenueToVenueRoute", () => {
+  const service = new NetworkService();
+  service.outdoorNetworkService = {
+    getOutdoorGraphRows: async () => outdoorRows,
+  };
+
+  it("routes from one venue to another over the outdoor network", async () => {
+    const route = await service.getVenueToVenueRoute(
+      { venueId: "A", point: { lon: 114.1, lat: 22.3, level_id: "A-L1" } },
+      { venueId: "B", point: { lon: 114.1012, lat: 22.3, level_id: "B-L1" } },
+      { fromGraph: graphA, toGraph: graphB }
+    );
+
+    expect(route.success).toBe(true);
+    expect(
+      route.featureCollection.features.map((f) => f.properties.venue_id)
+    ).toEqual(["A", null, "B"]);
+    expect(route.outdoorDistance).toBeGreaterThan(60);
+    expect(route.networkDistance).toBeGreaterThan(route.outdoorDistance);
+  });
+});
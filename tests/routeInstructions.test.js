@@ -0,0 +1,97 @@
+import { NetworkGraph } from "../server/services/networkGraph.js";
+import {
+  buildInstructions,
+  turnManeuver,
+} from "../server/services/routeInstructions.js";
+
+// An L-shaped corridor on L1 (east, then north) and an escalator up to L2
+const A = [114.1, 22.3, 10];
+const B = [114.1005, 22.3, 10];
+const C = [114.1005, 22.3005, 10];
+const D = [114.1005, 22.301, 10];
+const E = [114.1006, 22.301, 15];
+const F = [114.1008, 22.301, 15];
+
+const level = (id, en, tc) => ({
+  level_id: id,
+  level_english_name: en,
+  level_chinese_name: tc,
+});
+const L1 = level("L1", "L1", "一樓");
+const L2 = level("L2", "L2", "二樓");
+
+const edge = (id, coordinates, extra) => ({
+  inetworkid: id,
+  geometry: JSON.stringify({ type: "LineString", coordinates }),
+  highway: "footway",
+  ...extra,
+});
+
+const routeSteps = (rows, from, to) => {
+  const graph = new NetworkGraph(rows);
+  return graph.shortestPath(graph.nodeKey(from), graph.nodeKey(to)).steps;
+};
+
+describe("turnManeuver", () => {
+  it("classifies heading changes", () => {
+    expect(turnManeuver(90, 100)).toBe("straight");
+    expect(turnManeuver(90, 0)).toBe("turn left");
+    expect(turnManeuver(350, 80)).toBe("turn right");
+    expect(turnManeuver(0, 45)).toBe("slight right");
+    expect(turnManeuver(0, 200)).toBe("sharp left");
+  });
+});
+
+describe("buildInstructions", () => {
+  const rows = [
+    edge("ab", [A, B], {
+      ...L1,
+      aliasname_en: "Concourse A",
+      aliasname_tc: "甲大堂",
+    }),
+    edge("bc", [B, C], {
+      ...L1,
+      aliasname_en: "Exit Corridor",
+      aliasname_tc: "出口走廊",
+    }),
+    edge("cd", [C, D], {
+      ...L1,
+      aliasname_en: "Exit Corridor",
+      aliasname_tc: "出口走廊",
+    }),
+    edge("de", [D, E], { ...L1, highway: "escalator" }),
+    edge("ef", [E, F], { ...L2 }),
+  ];
+
+  it("merges straight edges and describes turns and level changes", () => {
+    const instructions = buildInstructions(routeSteps(rows, A, F));
+    expect(instructions.map((i) => i.type)).toEqual([
+      "depart",
+      "turn",
+      "level_change",
+      "continue",
+      "arrive",
+    ]);
+    expect(instructions[0].instruction.en).toMatch(
+      /^Head along Concourse A for \d+ m$/
+    );
+    expect(instructions[1].instruction.en).toMatch(
+      /^Turn left along Exit Corridor for \d+ m$/
+    );
+    expect(instructions[1].instruction.tc).toMatch(/^左轉沿出口走廊行走\d+米$/);
+    expect(instructions[1].iNetworkIDs).toEqual(["bc", "cd"]);
+    expect(instructions[2].instruction).toEqual({
+      en: "Take the escalator up to L2",
+      tc: "乘扶手電梯上二樓",
+    });
+    expect(instructions[4].instruction.tc).toBe("到達目的地");
+  });
+
+  it("describes the way down in the opposite direction", () => {
+    const instructions = buildInstructions(routeSteps(rows, F, C));
+    expect(instructions[1].instruction).toEqual({
+      en: "Take the escalator down to L1",
+      tc: "乘扶手電梯下一樓",
+    });
+  });
+});
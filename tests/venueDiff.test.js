@@ -0,0 +1,112 @@
+import {
+  diffBuildingData,
+  geometryDisplacement,
+  propertyChanges,
+} from "../server/services/venueDiff.js";
+
+// A square unit about 11 m wide with its south-west corner `dx` degrees east
+const square = (dx = 0) => ({
+  type: "Polygon",
+  coordinates: [
+    [
+      [114.1 + dx, 22.3, 0],
+      [114.1001 + dx, 22.3, 0],
+      [114.1001 + dx, 22.3001, 0],
+      [114.1 + dx, 22.3, 0],
+    ],
+  ],
+});
+const unit = (id, properties = {}, geometry = square()) => ({
+  id,
+  geometry,
+  properties: { level_id: "level-0", category: "room", ...properties },
+});
+
+describe("geometryDisplacement", () => {
+  test("measures the farthest vertex shift in metres", () => {
+    // 0.00001 degrees of longitude is about a metre at 22.3 N
+    const shift = geometryDisplacement(square(), square(0.00001));
+
+    expect(shift).toBeGreaterThan(1);
+    expect(shift).toBeLessThan(1.1);
+    expect(geometryDisplacement(null, null)).toBe(0);
+    expect(geometryDisplacement(null, square())).toBe(Infinity);
+  });
+});
+
+describe("propertyChanges", () => {
+  test("lists changed, added and removed properties", () => {
+    expect(
+      propertyChanges(
+        { category: "room", nameEn: "Shop", alt_name: "A" },
+        { category: "retail", nameEn: "Shop", phone: "123" }
+      )
+    ).toEqual([
+      { property: "alt_name", from: "A", to: null },
+      { property: "category", from: "room", to: "retail" },
+      { property: "phone", from: null, to: "123" },
+    ]);
+  });
+});
+
+describe("diffBuildingData", () => {
+  test("reports added, removed and modified features beyond the tolerance", () => {
+    const from = {
+      unit: [
+        unit("unit-1"),
+        unit("unit-2"),
+        unit("unit-3"),
+        unit("unit-4"),
+        unit("unit-gone"),
+      ],
+      opening: [],
+    };
+    const to = {
+      unit: [
+        unit("unit-1"),
+        unit("unit-2", { nameEn: "Clinic" }),
+        // Moved about 5 m
+        unit("unit-3", {}, square(0.00005)),
+        // Digitising noise of a few centimetres
+        unit("unit-4", {}, square(0.0000003)),
+        unit("unit-new"),
+      ],
+      amenities: [{ id: "amenity-1", geometry: null, properties: {} }],
+    };
+
+    const diff = diffBuildingData(from, to, { tolerance: 0.5 });
+
+    expect(diff.summary.unit).toEqual({
+      added: 1,
+      removed: 1,
+      modified: 2,
+      unchanged: 2,
+    });
+    expect(diff.summary.amenities).toMatchObject({ added: 1 });
+    expect(diff.summary.occupants).toEqual({
+      added: 0,
+      removed: 0,
+      modified: 0,
+      unchanged: 0,
+    });
+    const units = diff.collections.unit;
+    expect(units.added).toEqual([
+      { id: "unit-new", level_id: "level-0", name: null },
+    ]);
+    expect(units.removed.map((u) => u.id)).toEqual(["unit-gone"]);
+    expect(units.modified[0]).toEqual({
+      id: "unit-2",
+      level_id: "level-0",
+      name: "Clinic",
+      properties: [{ property: "nameEn", from: null, to: "Clinic" }],
+      moved: false,
+      displacement: 0,
+    });
+    expect(units.modified[1]).toMatchObject({
+      id: "unit-3",
+      properties: [],
+      moved: true,
+    });
+    expect(units.modified[1].displacement).toBeGreaterThan(5);
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  diffFeatures,
+  previewVenueImport,
+} from "../server/services/venueImportPreview.js";
+import { Utils } from "../server/services/utils.js";
+
+const square = (z) => ({
+  type: "Polygon",
+  coordinates: [
+    [
+      [114.1, 22.3, z],
+      [114.1001, 22.3, z],
+      [114.1001, 22.3001, z],
+      [114.1, 22.3, z],
+    ],
+  ],
+});
+const unit = (id, levelId, z, category = "room") => ({
+  id,
+  geometry: square(z),
+  properties: { category, level_id: levelId },
+});
+const collection = (features) => ({
+  content: { type: "FeatureCollection", features },
+});
+
+describe("diffFeatures", () => {
+  test("lists added, removed and changed ids whatever the key order", () => {
+    const current = [
+      unit("unit-1", "level-0", 0),
+      unit("unit-2", "level-0", 0),
+      { properties: { level_id: "level-0", category: "room" }, id: "unit-3" },
+    ];
+    const next = [
+      unit("unit-1", "level-0", 0),
+      unit("unit-2", "level-0", 0, "walkway"),
+      { id: "unit-3", properties: { category: "room", level_id: "level-0" } },
+      unit("unit-4", "level-0", 0),
+    ];
+
+    expect(diffFeatures(next, current)).toEqual({
+      count: 4,
+      currentCount: 3,
+      added: 1,
+      removed: 0,
+      changed: 1,
+      addedIds: ["unit-4"],
+      removedIds: [],
+      changedIds: ["unit-2"],
+    });
+  });
+});
+
+describe("previewVenueImport", () => {
+  test("compares with the stored documents and lists level heights", () => {
+    const level = (id, ordinal, zValue) => ({
+      id,
+      properties: { ordinal, name: { en: `L${ordinal}` }, zValue },
+    });
+    const prepared = {
+      venue: {
+        id: "venue-1",
+        displayName: "Harbour Estate",
+        properties: { height: 12 },
+      },
+      buildingData: {
+        level: [level("level-1", 1, 4), level("level-0", 0, 0)],
+        unit: [unit("unit-1", "level-1", 4)],
+      },
+    };
+    const stored = {
+      venue: {
+        id: "venue-1",
+        displayName: "Harbour Estate (old)",
+        properties: { height: 12 },
+      },
+      buildingData: {
+        level: [level("level-0", 0, 0)],
+        unit: [unit("unit-9", "level-0", 0)],
+      },
+    };
+
+    const preview = previewVenueImport(prepared, stored);
+
+    expect(preview.exists).toBe(true);
+    expect(preview.venueChanges).toEqual([
+      {
+        field: "displayName",
+        current: "Harbour Estate (old)",
+        next: "Harbour Estate",
+      },
+    ]);
+    expect(preview.collections.unit).toMatchObject({
+      added: 1,
+      removed: 1,
+      removedIds: ["unit-9"],
+    });
+    expect(preview.levels).toEqual([
+      { level_id: "level-0", ordinal: 0, name: "L0", zValue: 0, units: 0 },
+      { level_id: "level-1", ordinal: 1, name: "L1", zValue: 4, units: 1 },
+    ]);
+  });
+});
+
+describe("Utils.convertToVenueMongoDBTable dry run", () => {
+  test("previews a new venue without writing", async () => {
+    const utils = new Utils();
+    utils.getStoredVenueData = async () => ({
+      venue: null,
+      buildingData: null,
+    });
+    utils.upsertVenueAndBuildingDataWithoutTransaction = async () => {
+      throw new Error("A dry run must not write");
+    };
+    const data = {
+      buildingType: "HA",
+      displayName: "Harbour Estate",
+      venue: collection([
+        { id: "venue-1", geometry: square(0), properties: {} },
+      ]),
+      address: collection([]),
+      building: collection([]),
+      footprint: collection([]),
+      level: collection([
+        { id: "level-0", geometry: square(3.5), properties: { ordinal: 0 } },
+      ]),
+      unit: collection([unit("unit-1", "level-0", 3.5)]),
+      opening: collection([]),
+      amenities: collection([]),
+    };
+
+    const result = await utils.convertToVenueMongoDBTable(data, {
+      dryRun: true,
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      dryRun: true,
+      venue_id: "venue-1",
+    });
+    expect(result.preview.exists).toBe(false);
+    expect(result.preview.collections.unit).toMatchObject({
+      count: 1,
+      added: 1,
+    });
+    expect(result.preview.levels[0].zValue).toBe(3.5);
+  });
+});
@@ -0,0 +1,260 @@
+import { VenueRevisionService } from "../server/services/venueRevisionService.js";
+import { MONGO_COLLECTIONS } from "../config/collections.js";
+
+const REVISIONS = MONGO_COLLECTIONS.VENUE_REVISION;
+
+// Standalone-Mongo stand-in: collections matching documents on equal
+// top-level fields, revision numbers unique per venue as the index makes
+// them, and `failReplace` names a collection whose next replaceOne throws
+const fakeDb = (initial = {}, { failReplace = null } = {}) => {
+  const docs = {};
+  let failing = failReplace;
+  const matches = (query) => (doc) =>
+    Object.entries(query).every(([key, value]) => doc[key] === value);
+  const collection = (name) => {
+    docs[name] = docs[name] || [...(initial[name] || [])];
+    return {
+      createIndex: async () => "index",
+      findOne: async (query, options = {}) => {
+        const found = docs[name].filter(matches(query));
+        if (options.sort?.revision === -1) {
+          found.sort((a, b) => b.revision - a.revision);
+        }
+        return found[0] || null;
+      },
+      insertOne: async (doc) => {
+        if (
+          name === REVISIONS &&
+          docs[name].some(
+            (d) => d.venue_id === doc.venue_id && d.revision === doc.revision
+          )
+        ) {
+          throw Object.assign(new Error("E11000 duplicate key"), {
+            code: 11000,
+          });
+        }
+        docs[name].push({ _id: `${name}-${docs[name].length + 1}`, ...doc });
+      },
+      replaceOne: async (filter, doc) => {
+        if (name === failing) {
+          failing = null;
+          throw new Error("replace failed");
+        }
+        const index = docs[name].findIndex(matches(filter));
+        if (index === -1) docs[name].push(doc);
+        else docs[name][index] = doc;
+      },
+      deleteOne: async (filter) => {
+        const index = docs[name].findIndex(matches(filter));
+        if (index !== -1) docs[name].splice(index, 1);
+      },
+    };
+  };
+  return { collection, docs };
+};
+
+const venue = (displayName) => ({
+  id: "venue-1",
+  displayName,
+  buildingType: "HA",
+  LastAmendmentDate: "2024-05-01",
+  properties: {},
+});
+const buildingData = (units) => ({
+  venue_id: "venue-1",
+  level: [{ id: "level-0" }],
+  unit: units.map((id) => ({ id })),
+});
+
+const serviceOn = (db) => {
+  const service = new VenueRevisionService();
+  service.getDb = async () => db;
+  return service;
+};
+
+describe("VenueRevisionService", () => {
+  test("numbers the revisions of a venue with their summary", async () => {
+    const db = fakeDb();
+    const service = serviceOn(db);
+
+    const first = await service.record(
+      db,
+      { venue: venue("Estate"), buildingData: buildingData(["u-1"]) },
+      { source: "import", importedBy: "ha" }
+    );
+    const second = await service.record(
+      db,
+      { venue: venue("Estate"), buildingData: buildingData(["u-1", "u-2"]) },
+      { source: "rollback", importedBy: "admin", rolledBackFrom: 1 }
+    );
+
+    expect([first, second]).toEqual([1, 2]);
+    const stored = db.docs[REVISIONS][1];
+    expect(stored).toMatchObject({
+      venue_id: "venue-1",
+      revision: 2,
+      source: "rollback",
+      importedBy: "admin",
+      rolledBackFrom: 1,
+      LastAmendmentDate: "2024-05-01",
+      buildingType: "HA",
+      features: { level: 1, unit: 2 },
+    });
+    expect(stored.importedAt).toBeInstanceOf(Date);
+  });
+
+  test("takes the next number when a concurrent import got it first", async () => {
+    const db = fakeDb();
+    const service = serviceOn(db);
+    const documents = {
+      venue: venue("Estate"),
+      buildingData: buildingData([]),
+    };
+    await service.record(db, documents, { source: "import" });
+    // The other import reads the latest revision before the first inserts
+    const collection = db.collection;
+    let stale = true;
+    db.collection = (name) => {
+      const found = collection(name);
+      if (name !== REVISIONS) return found;
+      return {
+        ...found,
+        findOne: async (...args) => {
+          if (!stale) return found.findOne(...args);
+          stale = false;
+          return null;
+        },
+      };
+    };
+
+    expect(await service.record(db, documents, { source: "import" })).toBe(2);
+  });
+
+  test("keeps data imported before revisions as the first revision", async () => {
+    const db = fakeDb({
+      [MONGO_COLLECTIONS.VENUE]: [{ _id: "a", ...venue("Old estate") }],
+      [MONGO_COLLECTIONS.BUILDING_DATA]: [{ _id: "b", ...buildingData([]) }],
+    });
+    const service = serviceOn(db);
+
+    expect(await service.recordExisting(db, "venue-1")).toBe(1);
+    // Once a venue has revisions there is nothing left to keep
+    expect(await service.recordExisting(db, "venue-1")).toBeNull();
+
+    const [existing] = db.docs[REVISIONS];
+    expect(existing).toMatchObject({
+      revision: 1,
+      source: "existing",
+      importedBy: null,
+      displayName: "Old estate",
+    });
+    expect(existing.venue._id).toBeUndefined();
+    expect(existing.buildingData._id).toBeUndefined();
+  });
+
+  test("records the revision before replacing the documents", async () => {
+    const db = fakeDb({
+      [MONGO_COLLECTIONS.VENUE]: [venue("Old estate")],
+      [MONGO_COLLECTIONS.BUILDING_DATA]: [buildingData(["u-1"])],
+    });
+    const service = serviceOn(db);
+
+    const revision = await service.apply(
+      db,
+      { venue: venue("New estate"), buildingData: buildingData(["u-2"]) },
+      { source: "import", importedBy: "ha" }
+    );
+
+    expect(revision).toBe(2);
+    expect(db.docs[REVISIONS].map((r) => r.source)).toEqual([
+      "existing",
+      "import",
+    ]);
+    expect(db.docs[MONGO_COLLECTIONS.VENUE][0].displayName).toBe("New estate");
+    expect(db.docs[MONGO_COLLECTIONS.BUILDING_DATA][0].unit).toEqual([
+      { id: "u-2" },
+    ]);
+  });
+
+  test("puts the previous documents back when a replacement fails", async () => {
+    const db = fakeDb(
+      {
+        [MONGO_COLLECTIONS.VENUE]: [venue("Old estate")],
+        [MONGO_COLLECTIONS.BUILDING_DATA]: [buildingData(["u-1"])],
+      },
+      { failReplace: MONGO_COLLECTIONS.BUILDING_DATA }
+    );
+    const service = serviceOn(db);
+
+    await expect(
+      service.apply(
+        db,
+        { venue: venue("New estate"), buildingData: buildingData(["u-2"]) },
+        { source: "import" }
+      )
+    ).rejects.toThrow("replace failed");
+
+    // The venue swap was undone, only the kept first revision remains
+    expect(db.docs[MONGO_COLLECTIONS.VENUE][0].displayName).toBe("Old estate");
+    expect(db.docs[MONGO_COLLECTIONS.BUILDING_DATA][0].unit).toEqual([
+      { id: "u-1" },
+    ]);
+    expect(db.docs[REVISIONS].map((r) => r.revision)).toEqual([1]);
+  });
+
+  test("removes the revision of a failed first import", async () => {
+    const db = fakeDb({}, { failReplace: MONGO_COLLECTIONS.BUILDING_DATA });
+    const service = serviceOn(db);
+
+    await expect(
+      service.apply(
+        db,
+        { venue: venue("Estate"), buildingData: buildingData([]) },
+        { source: "import" }
+      )
+    ).rejects.toThrow("replace failed");
+
+    expect(db.docs[REVISIONS]).toEqual([]);
+    expect(db.docs[MONGO_COLLECTIONS.VENUE]).toEqual([]);
+  });
+
+  test("rolls back by recording the older documents as a new revision", async () => {
+    const db = fakeDb();
+    const service = serviceOn(db);
+    await service.apply(
+      db,
+      { venue: venue("Estate"), buildingData: buildingData(["u-1"]) },
+      { source: "import", importedBy: "ha" }
+    );
+    await service.apply(
+      db,
+      { venue: venue("Estate v2"), buildingData: buildingData(["u-2"]) },
+      { source: "import", importedBy: "ha" }
+    );
+
+    const result = await service.rollback("venue-1", 1, {
+      importedBy: "admin",
+    });
+
+    expect(result).toEqual({
+      success: true,
+      message: "Venue venue-1 rolled back to revision 1",
+      revision: 3,
+    });
+    expect(db.docs[REVISIONS][2]).toMatchObject({
+      revision: 3,
+      source: "rollback",
+      importedBy: "admin",
+      rolledBackFrom: 1,
+      displayName: "Estate",
+    });
+    expect(db.docs[MONGO_COLLECTIONS.VENUE][0].displayName).toBe("Estate");
+    expect(db.docs[MONGO_COLLECTIONS.BUILDING_DATA][0].unit).toEqual([
+      { id: "u-1" },
+    ]);
+    expect(await service.rollback("venue-1", 9)).toEqual({
+      success: false,
+      message: "Revision 9 of venue venue-1 not found",
+    });
+  });
+});
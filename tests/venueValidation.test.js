@@ -0,0 +1,206 @@
+import { validateVenueData } from "../server/services/venueValidation.js";
+import { Utils } from "../server/services/utils.js";
+
+const collection = (features) => ({
+  content: { type: "FeatureCollection", features },
+});
+const square = (z) => ({
+  type: "Polygon",
+  coordinates: [
+    [
+      [114.1, 22.3, z],
+      [114.1001, 22.3, z],
+      [114.1001, 22.3001, z],
+      [114.1, 22.3, z],
+    ],
+  ],
+});
+const point = (z) => ({ type: "Point", coordinates: [114.10005, 22.30005, z] });
+
+// Wrapped supplier JSON of a one-level venue: a shop with a door, a
+// restroom amenity and an occupant at an anchor
+const venueData = () => ({
+  buildingType: "HA",
+  displayName: "Harbour Estate",
+  venue: collection([
+    { id: "venue-1", geometry: square(0), properties: { address_id: "a-1" } },
+  ]),
+  address: collection([{ id: "a-1", geometry: null, properties: {} }]),
+  building: collection([]),
+  footprint: collection([]),
+  level: collection([
+    { id: "level-0", geometry: square(0), properties: { ordinal: 0 } },
+  ]),
+  unit: collection([
+    {
+      id: "unit-1",
+      geometry: square(0),
+      properties: { category: "room", level_id: "level-0" },
+    },
+  ]),
+  opening: collection([
+    {
+      id: "opening-1",
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [114.1, 22.3, 0],
+          [114.10005, 22.3, 0],
+        ],
+      },
+      properties: { level_id: "level-0", door: { automatic: true } },
+    },
+  ]),
+  amenities: collection([
+    {
+      id: "amenity-1",
+      geometry: point(0),
+      properties: { category: "restroom", unit_ids: ["unit-1"] },
+    },
+  ]),
+  anchors: collection([
+    { id: "anchor-1", geometry: point(0), properties: { unit_id: "unit-1" } },
+  ]),
+  occupants: collection([
+    { id: "occupant-1", geometry: null, properties: { anchor_id: "anchor-1" } },
+  ]),
+});
+
+// Collections as convertToVenueMongoDBTable holds them once unwrapped
+const unwrapped = (data) =>
+  Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [
+      key,
+      value?.content ? value.content.features : value,
+    ])
+  );
+
+describe("validateVenueData", () => {
+  test("finds no issues in consistent data", () => {
+    const report = validateVenueData(unwrapped(venueData()));
+
+    expect(report).toEqual({
+      valid: true,
+      importable: true,
+      counts: { fatal: 0, error: 0, warning: 0 },
+      issues: [],
+      truncated: false,
+    });
+  });
+
+  test("reports broken references, geometries and properties by feature", () => {
+    const data = unwrapped(venueData());
+    data.unit[0].properties.level_id = "level-9";
+    data.amenities[0].properties.unit_ids = ["unit-9"];
+    data.occupants[0].properties.anchor_id = "anchor-9";
+    data.venue[0].properties.address_id = "a-9";
+    data.level[0].properties.ordinal = null;
+    data.opening[0].geometry.coordinates = [
+      [114.1, 22.3],
+      [114.10005, 22.3],
+    ];
+    data.anchors[0].geometry = square(0);
+
+    const report = validateVenueData(data);
+    const found = report.issues.map((issue) => [
+      issue.severity,
+      issue.code,
+      issue.feature_type,
+      issue.feature_id,
+    ]);
+
+    expect(report.valid).toBe(false);
+    expect(report.importable).toBe(false);
+    expect(found).toEqual(
+      expect.arrayContaining([
+        ["error", "UNKNOWN_LEVEL", "unit", "unit-1"],
+        ["error", "UNKNOWN_UNIT", "amenities", "amenity-1"],
+        ["error", "UNKNOWN_ANCHOR", "occupants", "occupant-1"],
+        ["warning", "UNKNOWN_ADDRESS", "venue", "venue-1"],
+        ["error", "MISSING_PROPERTY", "level", "level-0"],
+        ["error", "MISSING_Z", "opening", "opening-1"],
+        ["fatal", "INVALID_GEOMETRY", "anchors", "anchor-1"],
+      ])
+    );
+    expect(report.counts).toEqual({ fatal: 1, error: 5, warning: 1 });
+  });
+
+  test("requires the collections the import reads and a single venue", () => {
+    const data = unwrapped(venueData());
+    delete data.unit;
+    data.venue = [];
+
+    const codes = validateVenueData(data).issues.map((issue) => issue.code);
+
+    expect(codes).toEqual(["MISSING_COLLECTION", "VENUE_COUNT"]);
+  });
+});
+
+describe("Utils.convertToVenueMongoDBTable validation", () => {
+  const utilsStoring = () => {
+    const utils = new Utils();
+    utils.stored = [];
+    utils.upsertVenueAndBuildingDataWithoutTransaction = async (documents) => {
+      utils.stored.push(documents);
+      return {
+        success: true,
+        message: "Upsert venue and indoor_data successful",
+      };
+    };
+    return utils;
+  };
+
+  // Occupant whose anchor does not exist
+  const withUnknownAnchor = () => {
+    const data = venueData();
+    data.occupants.content.features[0].properties.anchor_id = "anchor-9";
+    return data;
+  };
+
+  test("imports data with errors and returns the report", async () => {
+    const utils = utilsStoring();
+
+    const result = await utils.convertToVenueMongoDBTable(withUnknownAnchor());
+
+    expect(result.success).toBe(true);
+    expect(result.venue_id).toBe("venue-1");
+    expect(result.report.counts.error).toBe(1);
+    expect(utils.stored).toHaveLength(1);
+    const occupant = utils.stored[0].buildingData.occupants[0];
+    expect(occupant.properties.zValue).toBeNull();
+  });
+
+  test("refuses data with errors in strict mode", async () => {
+    const utils = utilsStoring();
+
+    const result = await utils.convertToVenueMongoDBTable(withUnknownAnchor(), {
+      strict: true,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.displayName).toBe("Harbour Estate");
+    expect(result.report.issues[0]).toEqual({
+      severity: "error",
+      code: "UNKNOWN_ANCHOR",
+      feature_type: "occupants",
+      feature_id: "occupant-1",
+      message: "anchor_id anchor-9 matches no anchors feature",
+    });
+    expect(utils.stored).toHaveLength(0);
+  });
+
+  test("refuses data that cannot be converted with a report", async () => {
+    const utils = utilsStoring();
+    const data = venueData();
+    delete data.level;
+
+    const result = await utils.convertToVenueMongoDBTable(data);
+
+    expect(result.success).toBe(false);
+    expect(result.report.importable).toBe(false);
+    expect(result.report.issues.map((issue) => issue.code)).toContain(
+      "MISSING_COLLECTION"
+    );
+    expect(utils.stored).toHaveLength(0);
+  });
+});